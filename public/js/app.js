@@ -1,6 +1,6 @@
 // Global variables
 let map;
-let visitedKnooppunten = new Set();
+let visitedKnooppunten = new Map(); // osmId -> list of visits { visitedAt, trip, note }
 let knooppunten = new Map();
 let markers = new Map();
 let osmRoutes = []; // Store actual OSM routes
@@ -8,11 +8,33 @@ let osmRoutesVisible = true; // Toggle state for OSM routes
 let osmRoutesLoading = true; // Toggle state for OSM route loading (enabled for chunk-based loading)
 let routesCache = new Map(); // Cache for loaded routes by bounds
 let routeLines = []; // Store route polylines on the map
+let routeTileLayer = null; // Vector tile layer with the route geometry, null when Leaflet.VectorGrid is not loaded
+let edgeLines = []; // Knooppunt-to-knooppunt edge overlays carrying the length tooltips
 let loadNodesTimeout = null; // For debouncing map movements
 let currentBounds = null; // Track current bounds to avoid reloading same data
 let lastZoom = null; // Track zoom level for clustering updates
-let currentTileLayer = null; // Track current tile layer for theme switching
-let totalNodesInNetherlands = 0; // Total number of cycling nodes in Netherlands for accurate percentage
+let currentTileLayer = null; // Base layer currently shown, switched with the layer control
+let networks = []; // Knooppunt networks from /api/config { id, name, network, bbox }
+let currentNetwork = null; // id of the network shown, sent as ?network= with every node/route request
+let networkStats = null; // Totals of the current network from /api/stats { totalNodes, visitedNodes }
+let planMode = false; // When on, clicking a knooppunt adds it to the route plan instead of marking it visited
+let planWaypoints = []; // Selected plan nodes: start, optional via nodes, end
+let planLine = null; // Polyline of the planned route
+let plannedRoute = null; // Last /api/plan result, its knooppunten make up the route card
+let rideSuggestion = null; // Suggested round trip from /api/plan/suggest, with its polyline
+let currentUser = null; // Logged in account { id, name, token } for syncing visited nodes
+let pendingChanges = { add: new Set(), remove: new Set() }; // Visited changes not yet synced to the server
+let syncTimeout = null; // For debouncing server syncs
+let trackMatch = null; // Matched ride track awaiting confirmation { fileName, rideDate, matches }
+let regionStats = []; // Completion per region of the selected level, from /api/stats/regions
+let regionSort = { key: 'percentage', descending: true }; // Sort order of the region table
+let regionOverlay = null; // Choropleth layer of the selected region level
+let progressTimeout = null; // For debouncing region stats and achievement updates
+let searchResults = []; // Results of the last /api/search query
+let searchHighlight = null; // Circle around the knooppunt picked from the search results
+let qualityVisible = false; // Toggle state for the data quality overlay
+let qualityLayer = null; // Markers of the data quality issues in view
+const STORAGE_VERSION = 2; // localStorage/export format: 1 = array of osmIds, 2 = visit records
 
 // Utility functions
 // Calculate distance between two points in meters using Haversine formula
@@ -56,6 +78,68 @@ function findGroupedNodes(targetNode) {
     return groupedNodes;
 }
 
+// Visit records
+// Create a visit for now, labelled with the trip and note from the sidebar
+function createVisit() {
+    const visit = { visitedAt: new Date().toISOString() };
+    const trip = document.getElementById('visitTrip')?.value.trim();
+    const note = document.getElementById('visitNote')?.value.trim();
+    if (trip) visit.trip = trip;
+    if (note) visit.note = note;
+    return visit;
+}
+
+// Add visits to a node, skipping visits it already has
+function addVisits(osmId, visits) {
+    const existing = visitedKnooppunten.get(osmId) || [];
+    const keys = new Set(existing.map(visitKey));
+    visits.forEach(visit => {
+        if (!keys.has(visitKey(visit))) {
+            existing.push(visit);
+            keys.add(visitKey(visit));
+        }
+    });
+    visitedKnooppunten.set(osmId, existing);
+}
+
+function visitKey(visit) {
+    return `${visit.visitedAt}|${visit.trip || ''}|${visit.note || ''}`;
+}
+
+// Convert stored or imported visited data to [osmId, visits] pairs
+// Old format (version 1) is a plain array of osmIds without visit dates
+function parseVisitedEntries(entries) {
+    return (entries || []).map(entry => {
+        if (entry !== null && typeof entry === 'object') {
+            return [entry.osmId, Array.isArray(entry.visits) ? entry.visits : [{ visitedAt: null }]];
+        }
+        return [entry, [{ visitedAt: null }]];
+    }).filter(([osmId]) => osmId !== undefined && osmId !== null);
+}
+
+function serializeVisited() {
+    return Array.from(visitedKnooppunten, ([osmId, visits]) => ({ osmId, visits }));
+}
+
+// First and last known visit date of a node
+function getVisitDates(osmId) {
+    const dates = (visitedKnooppunten.get(osmId) || [])
+        .map(visit => visit.visitedAt)
+        .filter(date => date)
+        .sort();
+    return dates.length > 0 ? { first: dates[0], last: dates[dates.length - 1] } : null;
+}
+
+function formatDate(isoDate) {
+    return new Date(isoDate).toLocaleDateString('nl-NL', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Add the current network to an API url, the server uses its default network without it
+function withNetwork(url) {
+    if (!currentNetwork) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}network=${encodeURIComponent(currentNetwork)}`;
+}
+
 // Cookie utility functions
 function setCookie(name, value, days = 30) {
     const expires = new Date();
@@ -105,13 +189,13 @@ function loadMapPosition() {
 
 // Initialize application
 document.addEventListener('DOMContentLoaded', function() {
-    console.log('🚴‍♀️ Starting Nederlandse Fietsknooppunten Tracker...');
+    console.log('🚴‍♀️ Starting Fietsknooppunten Tracker...');
     
-    // Register service worker for tile caching
+    // Register service worker for offline use
     if ('serviceWorker' in navigator) {
         navigator.serviceWorker.register('/sw.js')
             .then(registration => {
-                console.log('✅ Service Worker registered for tile caching');
+                console.log('✅ Service Worker registered for offline use');
                 
                 // Clean cache weekly
                 if (registration.active) {
@@ -133,7 +217,10 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize map and load data for initial view
     initMap().then(() => {
         loadTotalStats(); // Load total statistics first
+        loadRegionStats();
+        loadAchievements();
         loadNodesForCurrentView();
+        reconcileVisited(); // Check for visited nodes that changed id in a data update
         // Routes loading is disabled by default to prevent API overload
         // User can enable it manually with the toggle button
     }).catch(error => {
@@ -164,22 +251,17 @@ async function initMap() {
             preferCanvas: true // Better performance for many markers
         });
         
-        // Initialize with standard OpenStreetMap tiles
-        currentTileLayer = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-            maxZoom: 18
-        });
-        
-        currentTileLayer.addTo(map);
+        const config = await loadConfig();
+        initTileLayers(config);
+        initNetworkSelector(config);
+        routeTileLayer = createRouteTileLayer();
         
-        // If no saved position, set map bounds to Netherlands after initialization
+        // If no saved position, set map bounds to the network after initialization
         if (!savedPosition) {
             setTimeout(() => {
-                const netherlandsBounds = [
-                    [50.7, 3.2], // Southwest corner
-                    [53.6, 7.2]  // Northeast corner
-                ];
-                map.fitBounds(netherlandsBounds);
+                const network = getCurrentNetwork();
+                const [south, west, north, east] = network ? network.bbox : [50.7, 3.2, 53.6, 7.2];
+                map.fitBounds([[south, west], [north, east]]);
             }, 100);
         }
         
@@ -211,6 +293,7 @@ function debounceLoadNodes() {
         if (currentZoom < 11) {
             // Clear routes when zooming to clustering level
             clearOsmRoutes();
+            clearEdges();
             updateStatus(`🔍 Zoom verder in (${Math.round(currentZoom)}/11) voor routes`, 'info');
         }
         
@@ -218,6 +301,8 @@ function debounceLoadNodes() {
         // Load routes with shorter delay for chunk-based loading
         setTimeout(() => {
             loadRoutesForCurrentView();
+            loadEdgesForCurrentView();
+            loadQualityForCurrentView();
         }, 1000); // 1 second delay after nodes
     }, 2000); // Increased debounce time to 2 seconds
 }
@@ -272,18 +357,19 @@ async function loadNodesForCurrentView() {
         updateStatus(`📡 Ophalen knooppunten voor ~${approxKm}x${approxKm}km gebied...`);
         
         // Use clustered API for all areas (with automatic clustering based on zoom/area)
-        const apiEndpoint = `/api/cycling-nodes/clustered/${south}/${west}/${north}/${east}?zoom=${currentZoom}`;
-        
-        const response = await fetch(apiEndpoint);
+        const apiEndpoint = withNetwork(`/api/cycling-nodes/clustered/${south}/${west}/${north}/${east}?zoom=${currentZoom}`);
         
-        if (!response.ok) {
-            throw new Error(`Server error: ${response.status}`);
-        }
+        // Send the visited nodes so the server can count them per cluster
+        const response = await fetch(apiEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ visited: [...visitedKnooppunten.keys()] })
+        });
         
         const data = await response.json();
         
-        if (data.error) {
-            throw new Error(data.error);
+        if (!response.ok || data.error) {
+            throw new Error(data.message || data.error || `Server error: ${response.status}`);
         }
         
         updateStatus(`🔄 Verwerken ${data.clusters ? data.clusters.length : data.nodes.length} items...`);
@@ -367,7 +453,7 @@ async function loadNodesForCurrentView() {
         
         // Check if this is a "no data" error with instructions
         if (error.message.includes('npm run download') || error.message.includes('No local data found')) {
-            updateStatus('📥 Geen lokale data gevonden. Run eerst "npm run download" in de terminal om Nederlandse knooppunten te downloaden.', 'error');
+            updateStatus(`📥 Geen lokale data gevonden. Run eerst "npm run download -- --network=${currentNetwork}" in de terminal om de knooppunten van dit netwerk te downloaden.`, 'error');
         } else {
             updateStatus(`❌ Fout bij ophalen knooppunten: ${error.message}`, 'error');
         }
@@ -395,6 +481,12 @@ async function loadRoutesForCurrentView() {
             return;
         }
         
+        // The vector tile layer loads its own tiles while panning
+        if (routeTileLayer) {
+            drawOsmRoutes();
+            return;
+        }
+        
         // Check cache first (after zoom check)
         const cacheKey = `${south},${west},${north},${east},${currentZoom}`;
         if (routesCache.has(cacheKey)) {
@@ -408,7 +500,7 @@ async function loadRoutesForCurrentView() {
         
         updateStatus('🛣️ Ophalen fietsroutes...');
         
-        const response = await fetch(`/api/cycling-routes/bounds/${south}/${west}/${north}/${east}?zoom=${currentZoom}`);
+        const response = await fetch(withNetwork(`/api/cycling-routes/bounds/${south}/${west}/${north}/${east}?zoom=${currentZoom}`));
         
         if (!response.ok) {
             throw new Error(`Server error: ${response.status}`);
@@ -448,14 +540,211 @@ async function loadRoutesForCurrentView() {
     }
 }
 
+// Standard OpenStreetMap tiles, used when the tile configuration cannot be loaded
+const FALLBACK_TILE_SOURCE = {
+    id: 'osm',
+    name: 'OpenStreetMap',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    subdomains: 'abc',
+    attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    maxZoom: 18,
+    dark: false
+};
+
+// Tile sources and knooppunt networks, null when they could not be loaded
+async function loadConfig() {
+    try {
+        const response = await fetch('/api/config');
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.warn('⚠️ Could not load config, using OpenStreetMap and the default network:', error.message);
+        return null;
+    }
+}
+
+// Base layers from the tile sources in /api/config, with a layer control to switch between them
+function initTileLayers(config) {
+    const tileSources = config ? config.tileSources : [FALLBACK_TILE_SOURCE];
+    const defaultSource = config ? config.defaultTileSource : FALLBACK_TILE_SOURCE.id;
+    
+    const layers = {};
+    const sourcesByLayer = new Map();
+    tileSources.forEach(source => {
+        const layer = L.tileLayer(source.url, {
+            attribution: source.attribution,
+            maxZoom: source.maxZoom,
+            subdomains: source.subdomains || 'abc'
+        });
+        layers[source.name] = layer;
+        sourcesByLayer.set(layer, source);
+    });
+    
+    // The last chosen source, as long as it is still configured
+    const savedSource = getCookie('tileSource');
+    const initial = tileSources.find(source => source.id === savedSource)
+        || tileSources.find(source => source.id === defaultSource)
+        || tileSources[0];
+    currentTileLayer = layers[initial.name];
+    currentTileLayer.addTo(map);
+    map.getContainer().classList.toggle('dark-tiles', initial.dark);
+    
+    if (tileSources.length > 1) {
+        L.control.layers(layers, null, { position: 'topleft' }).addTo(map); // The legend covers the top right
+    }
+    
+    map.on('baselayerchange', event => {
+        const source = sourcesByLayer.get(event.layer);
+        currentTileLayer = event.layer;
+        map.getContainer().classList.toggle('dark-tiles', source.dark);
+        setCookie('tileSource', source.id, 365);
+        console.log(`🗺️ Switched to ${source.name} tiles`);
+    });
+}
+
+// Fill the network selector from /api/config and pick the last chosen network
+function initNetworkSelector(config) {
+    networks = config && config.networks ? config.networks : [];
+    const savedNetwork = getCookie('network');
+    const initial = networks.find(network => network.id === savedNetwork)
+        || networks.find(network => network.id === (config && config.defaultNetwork))
+        || networks[0];
+    currentNetwork = initial ? initial.id : null;
+    
+    const select = document.getElementById('networkSelect');
+    select.innerHTML = '';
+    networks.forEach(network => {
+        const option = document.createElement('option');
+        option.value = network.id;
+        option.textContent = network.name;
+        select.appendChild(option);
+    });
+    select.value = currentNetwork;
+    select.style.display = networks.length > 1 ? 'block' : 'none';
+    updateProgressLabel();
+}
+
+function getCurrentNetwork() {
+    return networks.find(network => network.id === currentNetwork) || null;
+}
+
+function updateProgressLabel() {
+    const network = getCurrentNetwork();
+    document.getElementById('progressLabel').textContent = network
+        ? `Voortgang van ${network.name}`
+        : 'Voortgang van het netwerk';
+}
+
+// Show another knooppunt network, the visited list is shared but progress is counted per network
+function switchNetwork(id) {
+    const network = networks.find(candidate => candidate.id === id);
+    if (!network || id === currentNetwork) return;
+    
+    currentNetwork = id;
+    setCookie('network', id, 365);
+    console.log(`🌐 Switched to network ${network.name}`);
+    
+    // Nothing of the previous network stays on the map
+    clearAllMarkers();
+    knooppunten.clear();
+    clearOsmRoutes();
+    routesCache.clear();
+    clearEdges();
+    clearQualityOverlay();
+    clearRegionOverlay();
+    clearRideSuggestion();
+    clearPlan();
+    searchResults = [];
+    document.getElementById('searchResults').innerHTML = '';
+    if (routeTileLayer) {
+        routeTileLayer.setUrl(withNetwork('/api/tiles/{z}/{x}/{y}.pbf'), true);
+    }
+    currentBounds = null;
+    networkStats = null;
+    updateProgressLabel();
+    updateStats();
+    loadTotalStats();
+    
+    // Moving the map loads the new view, otherwise load it here
+    const [south, west, north, east] = network.bbox;
+    const networkBounds = L.latLngBounds([south, west], [north, east]);
+    if (!networkBounds.intersects(map.getBounds())) {
+        map.fitBounds(networkBounds);
+    } else {
+        debounceLoadNodes();
+    }
+}
+
+// Vector tile layer for the routes, served as Mapbox Vector Tiles by /api/tiles.
+// Only the routes are drawn from the tiles: the nodes and clusters in them are for other map
+// clients, the app keeps drawing those as markers from the clustered JSON because the markers
+// carry the visited styling, the ref labels and the click actions (visit, plan, expand)
+function createRouteTileLayer() {
+    if (!L.vectorGrid) {
+        console.warn('Leaflet.VectorGrid not loaded, routes are loaded per view');
+        return null;
+    }
+    
+    const hidden = () => []; // Nodes and clusters are drawn as markers, see above
+    const layer = L.vectorGrid.protobuf(withNetwork('/api/tiles/{z}/{x}/{y}.pbf'), {
+        rendererFactory: L.canvas.tile,
+        interactive: true,
+        minZoom: 11,
+        maxZoom: 18,
+        vectorTileLayerStyles: {
+            routes: { color: '#1565C0', weight: 2, opacity: 0.8 },
+            nodes: hidden,
+            clusters: hidden
+        }
+    });
+    
+    layer.on('click', event => {
+        L.popup()
+            .setLatLng(event.latlng)
+            .setContent(createRouteInfo(event.layer.properties))
+            .openOn(map);
+    });
+    
+    return layer;
+}
+
+// Popup content of a route, from a route or the properties of a route tile feature
+function createRouteInfo(route) {
+    return `
+        <div style="min-width: 200px;">
+            <strong>${route.name || `Route ${route.relationId || route.wayId || route.id}`}</strong><br>
+            ${route.network ? `<small>Netwerk: ${route.network.toUpperCase()}</small><br>` : ''}
+            ${route.wayId ? `<small>Way ID: ${route.wayId}</small><br>` : ''}
+            ${route.relationId ? `<small>Relation ID: ${route.relationId}</small><br>` : ''}
+            ${route.highway ? `<small>Type: ${route.highway}</small><br>` : ''}
+            ${route.surface ? `<small>Oppervlak: ${route.surface}</small><br>` : ''}
+            ${route.lit ? `<small>Verlichting: ${route.lit}</small><br>` : ''}
+            ${route.segments > 1 ? `<small>Delen: ${route.segments}</small><br>` : ''}
+            <small>Punten: ${route.points}</small>
+        </div>
+    `;
+}
+
 // Draw OSM routes on the map
 function drawOsmRoutes() {
     if (!osmRoutesVisible) return; // Don't draw if routes are hidden
     
+    if (routeTileLayer) {
+        if (!map.hasLayer(routeTileLayer)) routeTileLayer.addTo(map);
+        return;
+    }
+    
     osmRoutes.forEach(route => {
-        if (route.geometry && route.geometry.length >= 2) {
-            // Convert geometry to coordinate pairs for Leaflet
-            const coordinates = route.geometry.map(point => [point.lat, point.lng]);
+        // Stitched relations only have segments, single ways a geometry
+        const segments = route.segments && route.segments.length > 0 ? route.segments : [route.geometry || []];
+        const points = segments.reduce((sum, segment) => sum + segment.length, 0);
+        if (points >= 2) {
+            // Convert geometry to coordinate pairs for Leaflet, stitched relations become a multi-polyline
+            const coordinates = route.segments && route.segments.length > 0
+                ? segments.map(segment => segment.map(point => [point.lat, point.lng]))
+                : segments[0].map(point => [point.lat, point.lng]);
             
             // Determine color based on network - all dark blue and thicker
             let color = '#1565C0'; // Dark blue for all routes
@@ -470,21 +759,19 @@ function drawOsmRoutes() {
                 className: 'osm-route'
             }).addTo(map);
             
-            // Create popup with route information
-            const routeInfo = `
-                <div style="min-width: 200px;">
-                    <strong>${route.name || `Route ${route.relationId || route.wayId || route.id}`}</strong><br>
-                    ${route.network ? `<small>Netwerk: ${route.network.toUpperCase()}</small><br>` : ''}
-                    ${route.wayId ? `<small>Way ID: ${route.wayId}</small><br>` : ''}
-                    ${route.relationId ? `<small>Relation ID: ${route.relationId}</small><br>` : ''}
-                    ${route.tags?.highway ? `<small>Type: ${route.tags.highway}</small><br>` : ''}
-                    ${route.tags?.surface ? `<small>Oppervlak: ${route.tags.surface}</small><br>` : ''}
-                    ${route.tags?.lit ? `<small>Verlichting: ${route.tags.lit}</small><br>` : ''}
-                    <small>Punten: ${route.geometry.length}</small>
-                </div>
-            `;
-            
-            polyline.bindPopup(routeInfo);
+            // Create popup with route information, in the same fields as the route tiles
+            polyline.bindPopup(createRouteInfo({
+                id: route.id,
+                name: route.name,
+                network: route.network,
+                wayId: route.wayId,
+                relationId: route.relationId,
+                highway: route.tags?.highway,
+                surface: route.tags?.surface,
+                lit: route.tags?.lit,
+                segments: segments.length,
+                points: points
+            }));
             routeLines.push(polyline);
         }
     });
@@ -492,6 +779,10 @@ function drawOsmRoutes() {
 
 // Clear OSM routes from map
 function clearOsmRoutes() {
+    if (routeTileLayer && map.hasLayer(routeTileLayer)) {
+        map.removeLayer(routeTileLayer);
+    }
+    
     routeLines.forEach(line => {
         if (line.options.className && 
             (line.options.className.includes('osm-route'))) {
@@ -506,12 +797,285 @@ function clearOsmRoutes() {
     );
 }
 
+// Load knooppunt-to-knooppunt edges for current map view
+async function loadEdgesForCurrentView() {
+    try {
+        if (!map || !osmRoutesLoading || map.getZoom() < 11) return;
+        
+        const bounds = map.getBounds();
+        const south = bounds.getSouth().toFixed(4);
+        const west = bounds.getWest().toFixed(4);
+        const north = bounds.getNorth().toFixed(4);
+        const east = bounds.getEast().toFixed(4);
+        
+        const response = await fetch(withNetwork(`/api/edges/bounds/${south}/${west}/${north}/${east}`));
+        
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        
+        console.log(`🔗 Loaded ${data.edges.length} edges`);
+        
+        clearEdges();
+        if (osmRoutesVisible) {
+            drawEdges(data.edges);
+        }
+        
+    } catch (error) {
+        console.error('Error loading edges for current view:', error);
+    }
+}
+
+// Draw edges as wide, faint lines over the routes so hovering shows the edge length
+function drawEdges(edges) {
+    edges.forEach(edge => {
+        if (!edge.geometry || edge.geometry.length < 2) return;
+        
+        const polyline = L.polyline(edge.geometry.map(point => [point.lat, point.lng]), {
+            color: '#1565C0',
+            weight: 8,
+            opacity: 0.15,
+            className: 'knooppunt-edge'
+        }).addTo(map);
+        
+        const surfaces = Object.entries(edge.surface || {})
+            .sort((a, b) => b[1] - a[1])
+            .map(([surface, share]) => `${surface} ${Math.round(share * 100)}%`)
+            .join(', ');
+        
+        const tooltipContent = `
+            <div style="text-align: center; min-width: 140px;">
+                <strong>${edge.fromRef || edge.from} → ${edge.toRef || edge.to}</strong><br>
+                <small>${edge.length.toFixed(1)} km</small><br>
+                ${surfaces ? `<small>Oppervlak: ${surfaces}</small>` : ''}
+            </div>`;
+        
+        polyline.bindTooltip(tooltipContent, {
+            sticky: true,
+            direction: 'top',
+            className: 'custom-tooltip'
+        });
+        edgeLines.push(polyline);
+    });
+}
+
+// Clear edge overlays from map
+function clearEdges() {
+    edgeLines.forEach(line => map.removeLayer(line));
+    edgeLines = [];
+}
+
+// Toggle route planning mode
+function togglePlanMode() {
+    planMode = !planMode;
+    const toggleBtn = document.getElementById('planModeToggle');
+    
+    if (planMode) {
+        toggleBtn.textContent = '🧭 Route plannen AAN';
+        updateStatus('🧭 Klik op een start- en eindknooppunt (extra klikken worden tussenpunten)', 'info');
+    } else {
+        toggleBtn.textContent = '🧭 Route plannen';
+        updateStatus('📍 Klik op knooppunten om ze als bezocht te markeren', 'info');
+    }
+}
+
+// Add a knooppunt to the route plan and replan when there is a start and end
+function addPlanWaypoint(knooppunt) {
+    const last = planWaypoints[planWaypoints.length - 1];
+    if (last && last.osmId === knooppunt.osmId) return;
+    
+    // The newly clicked node becomes the end point, the previous end becomes a via node
+    planWaypoints.push({ osmId: knooppunt.osmId, ref: knooppunt.ref || knooppunt.id });
+    updateMarkerStyle(knooppunt.osmId);
+    renderPlanWaypoints();
+    
+    if (planWaypoints.length >= 2) {
+        loadRoutePlan();
+    } else {
+        updateStatus(`🧭 Start: knooppunt ${knooppunt.ref || knooppunt.id}, kies nu een eindpunt`, 'info');
+    }
+}
+
+// Remove a waypoint from the route plan
+function removePlanWaypoint(index) {
+    const [removed] = planWaypoints.splice(index, 1);
+    if (removed) updateMarkerStyle(removed.osmId);
+    renderPlanWaypoints();
+    
+    if (planWaypoints.length >= 2) {
+        loadRoutePlan();
+    } else {
+        clearPlanLine();
+        document.getElementById('planSummary').style.display = 'none';
+    }
+}
+
+// Show the selected waypoints in the sidebar
+function renderPlanWaypoints() {
+    const container = document.getElementById('planWaypoints');
+    
+    if (planWaypoints.length === 0) {
+        container.innerHTML = '<div class="empty-selection">Klik op een start- en eindknooppunt</div>';
+        return;
+    }
+    
+    container.innerHTML = planWaypoints.map((node, index) => `
+        <span class="point-tag">${node.ref}<span class="remove" onclick="removePlanWaypoint(${index})">×</span></span>
+    `).join('');
+}
+
+// Fetch the planned route from the server and draw it
+async function loadRoutePlan() {
+    try {
+        const from = planWaypoints[0].osmId;
+        const to = planWaypoints[planWaypoints.length - 1].osmId;
+        const via = planWaypoints.slice(1, -1).map(node => node.osmId);
+        
+        updateStatus('🧭 Route berekenen...');
+        
+        let url = `/api/plan?from=${from}&to=${to}`;
+        if (via.length > 0) {
+            url += `&via=${via.join(',')}`;
+        }
+        
+        const response = await fetch(withNetwork(url));
+        const data = await response.json();
+        
+        if (!response.ok || data.error) {
+            throw new Error(data.message || data.error || `Server error: ${response.status}`);
+        }
+        
+        clearPlanLine();
+        plannedRoute = data;
+        planLine = L.polyline(data.geometry.map(point => [point.lat, point.lng]), {
+            color: '#10b981',
+            weight: 5,
+            opacity: 0.9,
+            className: 'planned-route'
+        }).addTo(map);
+        
+        const summary = document.getElementById('planSummary');
+        summary.innerHTML = `<p><strong>${data.refs.join(' → ')}</strong><br>${data.distance.toFixed(1)} km</p>`;
+        summary.style.display = 'block';
+        
+        updateStatus(`✅ Route gepland: ${data.refs.length} knooppunten, ${data.distance.toFixed(1)} km`, 'success');
+        
+    } catch (error) {
+        console.error('Error planning route:', error);
+        clearPlanLine();
+        updateStatus(`⚠️ Kon geen route plannen: ${error.message}`, 'error');
+    }
+}
+
+// Remove the planned route line from the map
+function clearPlanLine() {
+    if (planLine) {
+        map.removeLayer(planLine);
+        planLine = null;
+    }
+    plannedRoute = null;
+}
+
+// Clear the complete route plan
+function clearPlan() {
+    const removed = planWaypoints;
+    planWaypoints = [];
+    removed.forEach(node => updateMarkerStyle(node.osmId));
+    
+    clearPlanLine();
+    renderPlanWaypoints();
+    document.getElementById('planSummary').style.display = 'none';
+    updateStatus('🗑️ Geplande route gewist', 'info');
+}
+
+// Suggest a round trip along unvisited knooppunten, starting at the plan start or the map center
+async function suggestRide() {
+    try {
+        const distance = parseFloat(document.getElementById('suggestDistance').value) || 40;
+        let url = `/api/plan/suggest?distance=${distance}`;
+        if (planWaypoints.length > 0) {
+            url += `&from=${planWaypoints[0].osmId}`;
+        } else {
+            const center = map.getCenter();
+            url += `&lat=${center.lat}&lng=${center.lng}`;
+        }
+        
+        updateStatus('🎲 Rit zoeken...');
+        
+        const response = await fetch(withNetwork(url), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ visited: [...visitedKnooppunten.keys()] })
+        });
+        const data = await response.json();
+        
+        if (!response.ok || data.error) {
+            throw new Error(data.message || data.error || `Server error: ${response.status}`);
+        }
+        
+        clearRideSuggestion();
+        rideSuggestion = data;
+        rideSuggestion.line = L.polyline(data.geometry.map(point => [point.lat, point.lng]), {
+            color: '#8b5cf6',
+            weight: 5,
+            opacity: 0.85,
+            dashArray: '8, 6'
+        }).addTo(map);
+        map.fitBounds(rideSuggestion.line.getBounds(), { padding: [20, 20] });
+        
+        const summary = document.getElementById('suggestionSummary');
+        summary.innerHTML = `
+            <p><strong>${data.refs.join(' → ')}</strong><br>
+            ${data.distance.toFixed(1)} km, ${data.newCount} nieuwe knooppunten</p>
+            <button class="btn btn-primary" onclick="startSuggestedRide()">▶️ Start deze rit</button>
+            <button class="btn btn-secondary" onclick="clearRideSuggestion()">Voorstel wissen</button>
+        `;
+        summary.style.display = 'block';
+        
+        updateStatus(`🎲 Rit van ${data.distance.toFixed(1)} km langs ${data.newCount} nieuwe knooppunten`, 'success');
+        
+    } catch (error) {
+        console.error('Error suggesting ride:', error);
+        updateStatus(`⚠️ Geen rit gevonden: ${error.message}`, 'error');
+    }
+}
+
+// Take over the suggested ride as the route plan, so it can be exported and its visits get a ride label
+function startSuggestedRide() {
+    if (!rideSuggestion) return;
+    
+    const waypoints = rideSuggestion.nodes.map(node => ({ osmId: node.osmId, ref: node.ref || node.id }));
+    const previous = planWaypoints;
+    planWaypoints = waypoints;
+    previous.forEach(node => updateMarkerStyle(node.osmId));
+    waypoints.forEach(node => updateMarkerStyle(node.osmId));
+    
+    const trip = document.getElementById('visitTrip');
+    if (trip && !trip.value.trim()) {
+        trip.value = `Rit ${formatDate(new Date().toISOString())}`;
+    }
+    
+    clearRideSuggestion();
+    renderPlanWaypoints();
+    loadRoutePlan();
+}
+
+function clearRideSuggestion() {
+    if (rideSuggestion) {
+        map.removeLayer(rideSuggestion.line);
+        rideSuggestion = null;
+    }
+    document.getElementById('suggestionSummary').style.display = 'none';
+}
+
 // Load cycling nodes from our API (legacy function for full Netherlands)
 async function loadCyclingNodes() {
     try {
         updateStatus('📡 Ophalen fietsknooppunten van server...');
         
-        const response = await fetch('/api/cycling-nodes');
+        const response = await fetch(withNetwork('/api/cycling-nodes'));
         
         if (!response.ok) {
             throw new Error(`Server error: ${response.status}`);
@@ -549,7 +1113,7 @@ async function loadCyclingNodes() {
         }
         
         document.getElementById('loading').style.display = 'none';
-        updateStatus(`✅ ${addedCount} Nederlandse fietsknooppunten geladen! (Bron: ${data.source})`, 'success');
+        updateStatus(`✅ ${addedCount} knooppunten geladen! (Bron: ${data.source})`, 'success');
         
         if (data.warning) {
             setTimeout(() => {
@@ -570,7 +1134,7 @@ async function loadCyclingNodes() {
         
         // Check if this is a "no data" error with instructions
         if (error.message.includes('npm run download') || error.message.includes('No local data found')) {
-            updateStatus('📥 Geen lokale data gevonden. Run eerst "npm run download" in de terminal om Nederlandse knooppunten te downloaden.', 'error');
+            updateStatus(`📥 Geen lokale data gevonden. Run eerst "npm run download -- --network=${currentNetwork}" in de terminal om de knooppunten van dit netwerk te downloaden.`, 'error');
         } else {
             updateStatus(`❌ Fout bij ophalen knooppunten: ${error.message}`, 'error');
         }
@@ -585,7 +1149,7 @@ async function loadFallbackData() {
     try {
         updateStatus('🔄 Proberen fallback data te laden...');
         
-        const response = await fetch('/api/cycling-nodes');
+        const response = await fetch(withNetwork('/api/cycling-nodes'));
         const data = await response.json();
         
         if (data.fallback && data.fallback.nodes) {
@@ -625,22 +1189,41 @@ function addKnooppuntToMap(knooppunt) {
     }).addTo(map);
     
     // Click handler using OSM ID for unique identification
-    marker.on('click', () => toggleKnooppuntVisited(knooppunt.osmId));
+    marker.on('click', () => {
+        if (planMode) {
+            addPlanWaypoint(knooppunt);
+        } else {
+            toggleKnooppuntVisited(knooppunt.osmId);
+        }
+    });
     
-    // Tooltip with enhanced info showing both IDs
+    // Tooltip with enhanced info showing both IDs, built on open so visit dates stay current
     const groupedNodes = findGroupedNodes(knooppunt);
     const groupInfo = groupedNodes.length > 1 ? `<small>🔗 ${groupedNodes.length} grouped nodes</small><br>` : '';
     
-    const tooltipContent = `
+    const tooltipContent = () => {
+        const visitDates = getVisitDates(knooppunt.osmId);
+        let visitInfo = '';
+        if (visitDates) {
+            visitInfo = visitDates.first === visitDates.last
+                ? `<small>🟠 Bezocht: ${formatDate(visitDates.first)}</small><br>`
+                : `<small>🟠 Eerste bezoek: ${formatDate(visitDates.first)}</small><br><small>🟠 Laatste bezoek: ${formatDate(visitDates.last)}</small><br>`;
+        } else if (visitedKnooppunten.has(knooppunt.osmId)) {
+            visitInfo = '<small>🟠 Bezocht (datum onbekend)</small><br>';
+        }
+        
+        return `
         <div style="text-align: center; min-width: 160px;">
             <strong>${knooppunt.name || `Node ${knooppunt.ref || knooppunt.osmId}`}</strong><br>
             ${knooppunt.ref ? `<small>Knooppunt: ${knooppunt.ref}</small><br>` : ''}
             <small>OSM ID: ${knooppunt.osmId}</small><br>
             ${groupInfo}
+            ${visitInfo}
             <small>Netwerk: ${knooppunt.network}</small><br>
             ${knooppunt.addr_city || knooppunt.addr_village ? `<small>📍 ${knooppunt.addr_city || knooppunt.addr_village}</small><br>` : ''}
             <small>${knooppunt.lat.toFixed(4)}, ${knooppunt.lng.toFixed(4)}</small>
         </div>`;
+    };
     
     marker.bindTooltip(tooltipContent, {
         permanent: false,
@@ -656,30 +1239,9 @@ function addKnooppuntToMap(knooppunt) {
     updateMarkerStyle(knooppunt.osmId);
 }
 
-// Add cluster marker to map
-function addClusterToMap(cluster) {
-    // Check if cluster contains any visited nodes
-    let hasVisitedNodes = false;
-    let visitedCount = 0;
-    
-    if (cluster.nodes && cluster.nodes.length > 0) {
-        for (const node of cluster.nodes) {
-            // ONLY match by OSM ID - knooppunt numbers are not unique!
-            if (node.osmId && visitedKnooppunten.has(node.osmId)) {
-                hasVisitedNodes = true;
-                visitedCount++;
-                continue;
-            }
-            
-            // Fallback for demo nodes only (with fallback_ prefix)
-            const fallbackKey = `fallback_${node.id}`;
-            if (visitedKnooppunten.has(fallbackKey)) {
-                hasVisitedNodes = true;
-                visitedCount++;
-                continue;
-            }
-        }
-    }
+// Pie chart icon of a cluster marker: the orange slice shows the visited share
+function createClusterIcon(cluster) {
+    const visitedCount = cluster.visitedCount || 0;
     
     // Create pie chart SVG for cluster marker - always use pie chart format
     const totalNodes = cluster.count;
@@ -746,45 +1308,51 @@ function addClusterToMap(cluster) {
         </div>
     `;
     
-    const marker = L.marker([cluster.lat, cluster.lng], {
-        icon: L.divIcon({
-            html: markerHtml,
-            className: 'custom-cluster-icon',
-            iconSize: [40, 40],
-            iconAnchor: [20, 20]
-        })
-    }).addTo(map);
-    
-    // Click handler to zoom in on cluster
-    marker.on('click', () => {
-        const currentZoom = map.getZoom();
-        map.setView([cluster.lat, cluster.lng], Math.min(currentZoom + 2, 18));
+    return L.divIcon({
+        html: markerHtml,
+        className: 'custom-cluster-icon',
+        iconSize: [40, 40],
+        iconAnchor: [20, 20]
     });
-    
-    // Enhanced tooltip with visited info
-    const visitedInfo = hasVisitedNodes ? 
-        `<small>🟢 ${visitedCount} van ${cluster.count} bezocht</small><br>` : 
+}
+
+// Tooltip of a cluster marker with visited info
+function createClusterTooltip(cluster) {
+    const visitedInfo = cluster.visitedCount > 0 ? 
+        `<small>🟢 ${cluster.visitedCount} van ${cluster.count} bezocht</small><br>` : 
         '';
     
-    const tooltipContent = `
+    return `
         <div style="text-align: center; min-width: 140px;">
             <strong>🎯 ${cluster.count} knooppunten</strong><br>
             ${visitedInfo}
-            ${cluster.nodes && cluster.nodes.length > 0 ? 
-                `<small>${cluster.nodes.slice(0, 3).map(n => n.name || `${n.id}`).join(', ')}${cluster.nodes.length > 3 ? '...' : ''}</small><br>` : 
-                ''}
             <small>🔍 Klik om in te zoomen</small>
         </div>
     `;
+}
+
+// Add cluster marker to map, the server sends the visited count of every cluster
+function addClusterToMap(cluster) {
+    const marker = L.marker([cluster.lat, cluster.lng], {
+        icon: createClusterIcon(cluster)
+    }).addTo(map);
     
-    marker.bindTooltip(tooltipContent, {
+    // Click handler to zoom in on cluster, to the zoom level where it splits up when known
+    marker.on('click', () => {
+        const currentZoom = map.getZoom();
+        const targetZoom = cluster.expansionZoom > currentZoom ? cluster.expansionZoom : currentZoom + 2;
+        map.setView([cluster.lat, cluster.lng], Math.min(targetZoom, 18));
+    });
+    
+    marker.bindTooltip(createClusterTooltip(cluster), {
         permanent: false,
         direction: 'top',
         offset: [0, -15],
         className: 'custom-tooltip'
     });
     
-    // Use cluster ID as key for markers  
+    // Use cluster ID as key for markers, keep the cluster for restyling
+    marker.cluster = cluster;
     markers.set(cluster.id, marker);
 }
 
@@ -803,13 +1371,16 @@ function toggleKnooppuntVisited(id) {
         // Remove all grouped nodes from visited
         groupedNodes.forEach(node => {
             visitedKnooppunten.delete(node.osmId);
+            recordVisitedChange(node.osmId, false);
             updateMarkerStyle(node.osmId);
         });
         updateStatus(`📍 Knooppunt ${clickedNode.id} (${groupedNodes.length} nodes) gemarkeerd als niet bezocht`, 'info');
     } else {
-        // Add all grouped nodes to visited
+        // Add all grouped nodes to visited, sharing one visit record
+        const visit = createVisit();
         groupedNodes.forEach(node => {
-            visitedKnooppunten.add(node.osmId);
+            addVisits(node.osmId, [visit]);
+            recordVisitedChange(node.osmId, true);
             updateMarkerStyle(node.osmId);
         });
         updateStatus(`✅ Knooppunt ${clickedNode.id} (${groupedNodes.length} nodes) gemarkeerd als bezocht`, 'success');
@@ -833,27 +1404,49 @@ function updateMarkerStyle(id) {
     if (visitedKnooppunten.has(id)) {
         element.classList.add('visited');
     }
+    if (planWaypoints.some(node => node.osmId === id)) {
+        element.classList.add('selected');
+    }
 }
 
 // Update all cluster markers to reflect visited status changes
-function updateAllClusterStyles() {
-    // Check if we're currently in clustering mode (zoom level < 11)
-    const currentZoom = map ? map.getZoom() : 0;
+// Only the visited counts are fetched, the clusters themselves stay on the map
+async function updateAllClusterStyles() {
+    const clusterIds = [...markers.entries()]
+        .filter(([, marker]) => marker.cluster)
+        .map(([id]) => id);
+    if (clusterIds.length === 0) return;
     
-    if (currentZoom < 11) {
-        // We're in clustering mode, reload the current view to refresh cluster styling
-        // This ensures clusters get updated colors based on visited nodes
-        setTimeout(() => {
-            loadNodesForCurrentView();
-        }, 100); // Small delay to ensure the visited status is fully processed
+    try {
+        const response = await fetch(withNetwork('/api/cycling-nodes/clusters/visited'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ids: clusterIds, visited: [...visitedKnooppunten.keys()] })
+        });
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        Object.entries(data.counts).forEach(([clusterId, visitedCount]) => {
+            updateSingleClusterStyle(clusterId, visitedCount);
+        });
+    } catch (error) {
+        console.error('Error updating cluster styles:', error);
+        // Fall back to reloading the view to refresh cluster styling
+        currentBounds = null;
+        loadNodesForCurrentView();
     }
 }
 
-// Update a single cluster marker's style based on visited nodes
-function updateSingleClusterStyle(clusterId, clusterElement) {
-    // This function is kept for potential future use if we decide to cache cluster data
-    // For now, we rely on updateAllClusterStyles to reload the view
-    return;
+// Update a single cluster marker's style to a new visited count
+function updateSingleClusterStyle(clusterId, visitedCount) {
+    const marker = markers.get(clusterId);
+    if (!marker || !marker.cluster) return;
+    
+    marker.cluster.visitedCount = visitedCount;
+    marker.setIcon(createClusterIcon(marker.cluster));
+    marker.setTooltipContent(createClusterTooltip(marker.cluster));
 }
 
 // Update selected points display
@@ -862,8 +1455,9 @@ function clearAllVisited() {
     if (visitedKnooppunten.size === 0) return;
     
     if (confirm('Wil je alle bezochte knooppunten wissen? Dit kan niet ongedaan gemaakt worden!')) {
-        const oldVisited = [...visitedKnooppunten];
+        const oldVisited = [...visitedKnooppunten.keys()];
         visitedKnooppunten.clear();
+        oldVisited.forEach(osmId => recordVisitedChange(osmId, false));
         
         // Clear all markers from the map first
         clearAllMarkers();
@@ -887,6 +1481,7 @@ function removeVisited(osmId) {
     const node = knooppunten.get(osmId);
     if (confirm(`Wil je knooppunt ${node?.id || 'dit knooppunt'} verwijderen uit bezochte lijst?`)) {
         visitedKnooppunten.delete(osmId);
+        recordVisitedChange(osmId, false);
         
         // Update marker styling
         updateMarkerStyle(osmId);
@@ -898,84 +1493,456 @@ function removeVisited(osmId) {
     }
 }
 
-// Load total statistics from API
+// Load the total and visited nodes of the current network from API
 async function loadTotalStats() {
     try {
-        const response = await fetch('/api/stats');
+        const response = await fetch(withNetwork('/api/stats'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ visited: [...visitedKnooppunten.keys()] })
+        });
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         
         const stats = await response.json();
-        totalNodesInNetherlands = stats.totalNodes;
-        console.log(`📊 Total cycling nodes in Netherlands: ${totalNodesInNetherlands}`);
-        
-        // Update stats display immediately
-        updateStats();
+        networkStats = { totalNodes: stats.totalNodes, visitedNodes: stats.visitedNodes };
+        console.log(`📊 Total nodes in ${stats.name}: ${stats.totalNodes}, visited: ${stats.visitedNodes}`);
         
     } catch (error) {
         console.error('❌ Failed to load total stats:', error);
         // If we can't load total stats, fallback to old behavior (using loaded nodes)
-        totalNodesInNetherlands = 0;
+        networkStats = null;
     }
+    updateProgress();
 }
 
-// Update statistics
-function updateStats() {
-    const knooppuntenCount = visitedKnooppunten.size;
-    const loadedCount = knooppunten.size;
-    
-    // Use total nodes in Netherlands if available, otherwise fall back to loaded nodes
-    const totalForPercentage = totalNodesInNetherlands > 0 ? totalNodesInNetherlands : loadedCount;
-    const completionRate = totalForPercentage > 0 ? Math.round((knooppuntenCount / totalForPercentage) * 100) : 0;
-    
-    document.getElementById('totalKnooppunten').textContent = knooppuntenCount;
-    document.getElementById('loadedCount').textContent = loadedCount;
-    
-    const progressFill = document.getElementById('progressFill');
-    const displayRate = Math.min(100, completionRate);
-    progressFill.style.width = displayRate + '%';
+// Load completion per province or gemeente for the visited nodes
+async function loadRegionStats() {
+    const level = document.getElementById('regionLevel').value;
+    const rows = document.getElementById('regionRows');
     
-    // Show total nodes info in percentage text when using Netherlands total
-    if (totalNodesInNetherlands > 0) {
-        progressFill.textContent = `${displayRate}% (${knooppuntenCount}/${totalNodesInNetherlands})`;
-    } else {
-        progressFill.textContent = displayRate + '%';
+    try {
+        const response = await fetch(withNetwork(`/api/stats/regions?level=${level}`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ visited: [...visitedKnooppunten.keys()] })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+        
+        regionStats = data.regions;
+        renderRegionStats();
+        if (regionOverlay) {
+            regionOverlay.setStyle(getRegionStyle);
+        }
+    } catch (error) {
+        console.error('❌ Failed to load region stats:', error);
+        regionStats = [];
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 2;
+        cell.className = 'empty-selection';
+        cell.textContent = error.message;
+        row.appendChild(cell);
+        rows.replaceChildren(row);
     }
 }
 
-// Draw route lines on map
-// Export visited nodes to text format
-function exportVisited() {
-    console.log('Export function called. visitedKnooppunten size:', visitedKnooppunten.size);
-    console.log('visitedKnooppunten contents:', Array.from(visitedKnooppunten));
-    console.log('knooppunten Map size:', knooppunten.size);
-    console.log('Sample knooppunten keys:', Array.from(knooppunten.keys()).slice(0, 5));
+// Refresh the network progress, region table and achievements shortly after visited changes
+function scheduleProgressUpdate() {
+    clearTimeout(progressTimeout);
+    progressTimeout = setTimeout(() => {
+        loadTotalStats();
+        loadRegionStats();
+        loadAchievements();
+    }, 2000);
+}
+
+// Sort the region table on a column, clicking the same column again reverses the order
+function sortRegions(key) {
+    regionSort = {
+        key: key,
+        descending: regionSort.key === key ? !regionSort.descending : key !== 'name'
+    };
+    renderRegionStats();
+}
+
+function renderRegionStats() {
+    const { key, descending } = regionSort;
+    const sorted = [...regionStats].sort((a, b) => {
+        const order = key === 'name' ? a.name.localeCompare(b.name, 'nl') : a[key] - b[key];
+        return descending ? -order : order;
+    });
+    
+    document.getElementById('regionRows').innerHTML = sorted.length > 0
+        ? sorted.map(region => `
+            <tr onclick="showRegion('${region.id}')">
+                <td>${region.name}</td>
+                <td>${region.percentage}% <small>(${region.visited}/${region.total})</small></td>
+            </tr>
+        `).join('')
+        : '<tr><td colspan="2" class="empty-selection">Geen regio\'s gevonden</td></tr>';
+}
+
+// Fill color of a region in the choropleth, from blue (nothing visited) to orange (complete)
+function getRegionColor(percentage) {
+    if (percentage >= 100) return '#D35400';
+    if (percentage >= 75) return '#E67E22';
+    if (percentage >= 50) return '#F0A35E';
+    if (percentage >= 25) return '#F5CBA7';
+    if (percentage > 0) return '#AED6F1';
+    return '#3498DB';
+}
+
+function getRegionStyle(feature) {
+    const region = regionStats.find(stats => stats.id === feature.properties.id);
+    return {
+        color: '#2C3E50',
+        weight: 1,
+        fillColor: getRegionColor(region ? region.percentage : 0),
+        fillOpacity: 0.45
+    };
+}
+
+// Zoom to a region and show the choropleth of its level
+async function showRegion(regionId) {
+    const region = regionStats.find(stats => stats.id === regionId);
+    if (!region) return;
+    
+    try {
+        if (!regionOverlay || regionOverlay.level !== region.level) {
+            const response = await fetch(withNetwork(`/api/regions?level=${region.level}`));
+            if (!response.ok) {
+                throw new Error(`Server error: ${response.status}`);
+            }
+            
+            clearRegionOverlay();
+            regionOverlay = L.geoJSON(await response.json(), {
+                style: getRegionStyle,
+                onEachFeature: (feature, layer) => {
+                    const stats = regionStats.find(item => item.id === feature.properties.id);
+                    layer.bindTooltip(`<strong>${feature.properties.name}</strong><br><small>${stats ? `${stats.percentage}% (${stats.visited}/${stats.total})` : 'Geen knooppunten'}</small>`, {
+                        className: 'custom-tooltip'
+                    });
+                }
+            }).addTo(map);
+            regionOverlay.level = region.level;
+        }
+        
+        const [south, west, north, east] = region.bounds;
+        map.fitBounds([[south, west], [north, east]]);
+        updateStatus(`📊 ${region.name}: ${region.percentage}% bezocht (${region.visited}/${region.total})`, 'info');
+    } catch (error) {
+        console.error('❌ Failed to show region:', error);
+        updateStatus(`❌ Kon regio niet tonen: ${error.message}`, 'error');
+    }
+}
+
+function clearRegionOverlay() {
+    if (regionOverlay) {
+        map.removeLayer(regionOverlay);
+        regionOverlay = null;
+    }
+}
+
+// Load the progress toward each achievement for the visited nodes and their visit dates
+async function loadAchievements() {
+    const list = document.getElementById('achievementList');
+    
+    try {
+        const response = await fetch(withNetwork('/api/achievements'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ visited: serializeVisited() })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+        
+        document.getElementById('achievementSummary').textContent = `${data.achieved}/${data.count}`;
+        renderAchievements(data.achievements);
+    } catch (error) {
+        console.error('❌ Failed to load achievements:', error);
+        const message = document.createElement('div');
+        message.className = 'empty-selection';
+        message.textContent = error.message;
+        list.replaceChildren(message);
+    }
+}
+
+// Achieved goals first, then the open goals closest to their target
+function renderAchievements(achievements) {
+    const progressRate = achievement => achievement.target > 0 ? achievement.progress / achievement.target : 0;
+    const sorted = [...achievements].sort((a, b) =>
+        (b.achieved - a.achieved) || (b.available - a.available) || (progressRate(b) - progressRate(a))
+    );
+    
+    document.getElementById('achievementList').innerHTML = sorted.length > 0
+        ? sorted.map(achievement => {
+            const percentage = Math.round(progressRate(achievement) * 100);
+            let status = `${achievement.progress}/${achievement.target}`;
+            if (!achievement.available) {
+                status = 'Regiogrenzen niet gedownload';
+            } else if (achievement.achieved) {
+                status = achievement.achievedAt ? `Behaald op ${formatDate(achievement.achievedAt)}` : 'Behaald';
+            }
+            
+            return `
+                <div class="achievement${achievement.achieved ? ' achieved' : ''}${achievement.available ? '' : ' unavailable'}" title="${achievement.description || ''}">
+                    <span class="achievement-icon">${achievement.icon || '🏁'}</span>
+                    <div class="achievement-body">
+                        <strong>${achievement.title}</strong>
+                        <div class="progress-bar achievement-progress">
+                            <div class="progress-fill" style="width: ${percentage}%"></div>
+                        </div>
+                        <small>${status}${achievement.detail && !achievement.achieved ? ` · ${achievement.detail}` : ''}</small>
+                    </div>
+                </div>
+            `;
+        }).join('')
+        : '<div class="empty-selection">Geen prestaties ingesteld</div>';
+}
+
+// Data quality overlay
+const QUALITY_CATEGORIES = {
+    invalidRef: { label: 'Ontbrekende of ongeldige rcn_ref', color: '#dc2626' },
+    duplicateRef: { label: 'Zelfde nummer binnen 500 m', color: '#f59e0b' },
+    orphanNode: { label: 'Knooppunt niet aan een route', color: '#8b5cf6' },
+    danglingRouteEnd: { label: 'Losse route-eindes', color: '#0ea5e9' }
+};
+
+// Show or hide the problems in the OpenStreetMap data, so they can be fixed upstream
+function toggleQualityOverlay() {
+    qualityVisible = !qualityVisible;
+    document.getElementById('qualityToggle').textContent = qualityVisible
+        ? 'Problemen in OSM data verbergen'
+        : 'Problemen in OSM data tonen';
+    
+    if (qualityVisible) {
+        loadQualityForCurrentView();
+    } else {
+        clearQualityOverlay();
+        document.getElementById('qualitySummary').style.display = 'none';
+    }
+}
+
+function clearQualityOverlay() {
+    if (qualityLayer) {
+        map.removeLayer(qualityLayer);
+        qualityLayer = null;
+    }
+}
+
+async function loadQualityForCurrentView() {
+    if (!qualityVisible || !map) return;
+    const summary = document.getElementById('qualitySummary');
+    summary.style.display = 'block';
+    
+    if (map.getZoom() < 11) {
+        clearQualityOverlay();
+        summary.textContent = `Zoom verder in (${Math.round(map.getZoom())}/11) om problemen te zien`;
+        return;
+    }
+    
+    try {
+        const bounds = map.getBounds();
+        const response = await fetch(withNetwork(`/api/quality/bounds/${bounds.getSouth()}/${bounds.getWest()}/${bounds.getNorth()}/${bounds.getEast()}`));
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+        
+        clearQualityOverlay();
+        qualityLayer = L.layerGroup(data.issues.map(createQualityMarker)).addTo(map);
+        
+        summary.innerHTML = Object.entries(QUALITY_CATEGORIES).map(([category, { label, color }]) =>
+            `<div><span class="quality-dot" style="background: ${color}"></span>${label}: ${data.counts[category]}</div>`
+        ).join('');
+        console.log(`🛠️ Loaded ${data.count} data quality issues`);
+    } catch (error) {
+        console.error('❌ Failed to load data quality issues:', error);
+        summary.textContent = error.message;
+    }
+}
+
+function createQualityMarker(issue) {
+    const category = QUALITY_CATEGORIES[issue.category];
+    const marker = L.circleMarker([issue.lat, issue.lng], {
+        radius: 9,
+        color: category.color,
+        weight: 3,
+        fillOpacity: 0.15
+    });
+    
+    // Messages hold route names from OpenStreetMap, so they are set as text
+    const popup = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = category.label;
+    const message = document.createElement('p');
+    message.textContent = issue.message;
+    const links = document.createElement('div');
+    links.innerHTML = `<a href="${issue.osmUrl}" target="_blank" rel="noopener noreferrer">Bekijk op OSM</a> · ` +
+        `<a href="${issue.editUrl}" target="_blank" rel="noopener noreferrer">Bewerken</a>`;
+    popup.append(title, message, links);
+    
+    return marker.bindPopup(popup);
+}
+
+// Search knooppunten by ref and place, places by name or the nearest knooppunten to coordinates
+async function searchKnooppunten() {
+    const query = document.getElementById('searchInput').value.trim();
+    const list = document.getElementById('searchResults');
+    if (!query || !map) return;
+    
+    try {
+        // Knooppunten found by ref only are sorted from the middle of the map
+        const center = map.getCenter();
+        const params = new URLSearchParams({ q: query, lat: center.lat.toFixed(5), lng: center.lng.toFixed(5) });
+        const response = await fetch(withNetwork(`/api/search?${params}`));
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+        
+        searchResults = data.results;
+        renderSearchResults(data.warning);
+        if (searchResults.length > 0) {
+            showSearchResult(0);
+        }
+    } catch (error) {
+        console.error('❌ Search failed:', error);
+        const message = document.createElement('div');
+        message.className = 'empty-selection';
+        message.textContent = error.message;
+        list.replaceChildren(message);
+    }
+}
+
+function renderSearchResults(warning) {
+    const list = document.getElementById('searchResults');
+    list.innerHTML = '';
+    
+    if (searchResults.length === 0) {
+        list.innerHTML = '<div class="empty-selection">Niets gevonden</div>';
+    }
+    searchResults.forEach((result, index) => {
+        // Labels hold place names from OpenStreetMap, so they are set as text
+        const item = document.createElement('div');
+        item.className = 'search-result';
+        item.textContent = result.distance !== undefined
+            ? `${result.label}, ${(result.distance / 1000).toFixed(1)} km`
+            : result.label;
+        item.onclick = () => showSearchResult(index);
+        list.appendChild(item);
+    });
+    if (warning) {
+        const note = document.createElement('div');
+        note.className = 'empty-selection';
+        note.textContent = warning;
+        list.appendChild(note);
+    }
+}
+
+// Fly to a search result, a knooppunt gets a highlight circle until the next search
+function showSearchResult(index) {
+    const result = searchResults[index];
+    if (!result) return;
+    
+    document.querySelectorAll('.search-result').forEach((item, i) => item.classList.toggle('active', i === index));
+    if (searchHighlight) {
+        map.removeLayer(searchHighlight);
+        searchHighlight = null;
+    }
+    
+    if (result.type === 'place') {
+        const [south, west, north, east] = result.bounds;
+        map.flyToBounds([[south, west], [north, east]], { padding: [20, 20] });
+        return;
+    }
+    
+    // A DOM marker, the canvas renderer used for the other markers cannot animate
+    searchHighlight = L.marker([result.lat, result.lng], {
+        icon: L.divIcon({ className: 'search-highlight', iconSize: [44, 44] }),
+        interactive: false,
+        keyboard: false
+    }).addTo(map);
+    map.flyTo([result.lat, result.lng], Math.max(map.getZoom(), 15));
+}
+
+// Update statistics
+function updateStats() {
+    document.getElementById('totalKnooppunten').textContent = visitedKnooppunten.size;
+    document.getElementById('loadedCount').textContent = knooppunten.size;
+    
+    updateProgress();
+    scheduleProgressUpdate();
+}
+
+// Progress bar of the current network
+function updateProgress() {
+    // Use the network totals if available, otherwise fall back to the loaded nodes
+    const hasNetworkStats = networkStats && networkStats.totalNodes > 0;
+    const visitedCount = hasNetworkStats ? networkStats.visitedNodes : visitedKnooppunten.size;
+    const totalForPercentage = hasNetworkStats ? networkStats.totalNodes : knooppunten.size;
+    const completionRate = totalForPercentage > 0 ? Math.round((visitedCount / totalForPercentage) * 100) : 0;
+    
+    const progressFill = document.getElementById('progressFill');
+    const displayRate = Math.min(100, completionRate);
+    progressFill.style.width = displayRate + '%';
+    
+    // Show total nodes info in percentage text when using the network total
+    if (hasNetworkStats) {
+        progressFill.textContent = `${displayRate}% (${visitedCount}/${networkStats.totalNodes})`;
+    } else {
+        progressFill.textContent = displayRate + '%';
+    }
+}
+
+// Draw route lines on map
+// Export visited nodes to text format
+function exportVisited() {
+    console.log('Export function called. visitedKnooppunten size:', visitedKnooppunten.size);
+    console.log('visitedKnooppunten contents:', Array.from(visitedKnooppunten.keys()));
+    console.log('knooppunten Map size:', knooppunten.size);
+    console.log('Sample knooppunten keys:', Array.from(knooppunten.keys()).slice(0, 5));
     
     if (visitedKnooppunten.size === 0) {
         updateStatus('⚠️ Geen bezochte knooppunten om te exporteren', 'error');
         return;
     }
     
-    // Get visited nodes and sort by node number
-    const visitedNodes = Array.from(visitedKnooppunten).map(osmId => {
+    // Navigation formats are rendered by the server, which knows the coordinates of every node
+    const format = document.getElementById('exportFormat')?.value || 'json';
+    if (format !== 'json') {
+        downloadExport(format, { name: 'Bezochte knooppunten', nodes: Array.from(visitedKnooppunten.keys()) });
+        return;
+    }
+    
+    // Get visited nodes and sort by node number, nodes outside the current view are exported by osmId only
+    const visitedNodes = Array.from(visitedKnooppunten.keys()).map(osmId => {
         const node = knooppunten.get(osmId);
         if (!node) {
-            console.log('WARNING: Node not found for osmId:', osmId);
+            console.log('Node not loaded, exporting without details for osmId:', osmId);
         }
-        return node;
-    }).filter(node => node).sort((a, b) => a.id - b.id);
+        return { osmId, node };
+    }).sort((a, b) => (a.node ? a.node.id : Infinity) - (b.node ? b.node.id : Infinity));
     
     console.log('Found visited nodes for export:', visitedNodes.length);
     
     const exportData = {
+        version: String(STORAGE_VERSION),
         exportDate: new Date().toISOString(),
         totalVisited: visitedNodes.length,
-        visitedNodes: visitedNodes.map(node => ({
-            knooppuntNumber: node.id,
-            name: node.name,
-            osmId: node.osmId,
-            coordinates: [node.lat, node.lng]
+        visitedNodes: visitedNodes.map(({ osmId, node }) => ({
+            knooppuntNumber: node?.id,
+            name: node?.name,
+            osmId: osmId,
+            coordinates: node ? [node.lat, node.lng] : undefined,
+            visits: visitedKnooppunten.get(osmId)
         }))
     };
     
@@ -990,6 +1957,65 @@ function exportVisited() {
     updateStatus('✅ Bezochte knooppunten geëxporteerd!', 'success');
 }
 
+// Export the planned route with its knooppunten as GPX
+function exportPlan() {
+    if (planWaypoints.length < 2) {
+        updateStatus('⚠️ Plan eerst een route met een start- en eindknooppunt', 'error');
+        return;
+    }
+    
+    const refs = planWaypoints.map(node => node.ref);
+    downloadExport('gpx', { name: `Route ${refs.join('-')}`, route: planWaypoints.map(node => node.osmId) });
+}
+
+// Open a printable card with every knooppunt of the planned route and the distances between them
+function printRouteCard() {
+    if (planWaypoints.length < 2) {
+        updateStatus('⚠️ Plan eerst een route met een start- en eindknooppunt', 'error');
+        return;
+    }
+    
+    const nodes = plannedRoute ? plannedRoute.nodes : planWaypoints;
+    const refs = nodes.map(node => node.ref || node.id);
+    const params = new URLSearchParams({
+        route: nodes.map(node => node.osmId).join(','),
+        name: `Route ${refs[0]} - ${refs[refs.length - 1]}`
+    });
+    window.open(withNetwork(`/api/route-card?${params}`), '_blank');
+}
+
+// Fetch an export (gpx, kml or geojson) from the server and save it as a file
+async function downloadExport(format, body) {
+    try {
+        updateStatus(`📤 ${format.toUpperCase()} export maken...`);
+        
+        const response = await fetch(withNetwork(`/api/export/${format}`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || data.error || `Server error: ${response.status}`);
+        }
+        
+        const fileName = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1]
+            || `knooppunten.${format}`;
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = fileName;
+        link.click();
+        
+        updateStatus(`✅ ${fileName} geëxporteerd!`, 'success');
+        
+    } catch (error) {
+        console.error('Error exporting:', error);
+        updateStatus(`❌ Fout bij exporteren: ${error.message}`, 'error');
+    }
+}
+
 // Import visited nodes from JSON file
 function importVisited() {
     const fileInput = document.getElementById('importFileInput');
@@ -1022,17 +2048,20 @@ function handleImportFile(event) {
             let duplicateCount = 0;
             let errorCount = 0;
             
-            // Process each visited node
+            // Process each visited node, exports from before visit records have no visits field
             importData.visitedNodes.forEach(nodeData => {
                 try {
                     if (nodeData.osmId) {
-                        // Check if already visited
+                        const visits = Array.isArray(nodeData.visits) ? nodeData.visits : [{ visitedAt: null }];
+                        
+                        // Check if already visited, visits are merged either way
                         if (visitedKnooppunten.has(nodeData.osmId)) {
                             duplicateCount++;
                         } else {
-                            visitedKnooppunten.add(nodeData.osmId);
                             successCount++;
                         }
+                        addVisits(nodeData.osmId, visits);
+                        recordVisitedChange(nodeData.osmId, true);
                     } else {
                         errorCount++;
                     }
@@ -1082,6 +2111,121 @@ function handleImportFile(event) {
     event.target.value = '';
 }
 
+// Import a ride track (GPX/TCX) and mark the passed knooppunten as visited
+function importTrack() {
+    document.getElementById('trackFileInput').click();
+}
+
+// Upload the selected track to the server for matching and show a preview
+async function handleTrackFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    // Reset the file input so the same file can be picked again
+    event.target.value = '';
+    
+    if (!/\.(gpx|tcx)$/i.test(file.name)) {
+        updateStatus('⚠️ Selecteer een GPX of TCX bestand (FIT wordt niet ondersteund)', 'error');
+        return;
+    }
+    
+    try {
+        updateStatus(`🚴 Rit ${file.name} vergelijken met knooppunten...`);
+        
+        const maxDistance = document.getElementById('trackMatchDistance').value || 50;
+        const response = await fetch(withNetwork(`/api/tracks/match?maxDistance=${encodeURIComponent(maxDistance)}`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/xml' },
+            body: await file.text()
+        });
+        const data = await response.json();
+        
+        if (!response.ok || data.error) {
+            throw new Error(data.message || data.error || `Server error: ${response.status}`);
+        }
+        
+        trackMatch = { fileName: file.name, rideDate: data.rideDate, matches: data.matches };
+        renderTrackMatch();
+        
+    } catch (error) {
+        console.error('Error matching track:', error);
+        updateStatus(`❌ Fout bij importeren van rit: ${error.message}`, 'error');
+    }
+}
+
+// Show the matched knooppunten so they can be checked before saving
+function renderTrackMatch() {
+    const preview = document.getElementById('trackPreview');
+    if (!trackMatch) {
+        preview.style.display = 'none';
+        return;
+    }
+    
+    const { matches, rideDate, fileName } = trackMatch;
+    const newCount = matches.filter(match => !visitedKnooppunten.has(match.node.osmId)).length;
+    
+    // The file name comes from the user's disk, so it is set as text
+    const name = document.createElement('strong');
+    name.textContent = fileName;
+    document.getElementById('trackSummary').replaceChildren(
+        name,
+        rideDate ? ` (${formatDate(rideDate)})` : '',
+        document.createElement('br'),
+        `${matches.length} knooppunten gepasseerd, ${newCount} nieuw`
+    );
+    document.getElementById('trackMatches').innerHTML = matches.length > 0
+        ? matches.map(match => `<span class="point-tag">${match.node.ref || match.node.id}</span>`).join('')
+        : '<div class="empty-selection">Geen knooppunten langs deze rit gevonden</div>';
+    preview.style.display = 'block';
+    
+    updateStatus(`🚴 ${matches.length} knooppunten gevonden, bevestig om ze als bezocht te markeren`, 'info');
+}
+
+// Mark all matched knooppunten (and their twins) as visited on the ride date
+function confirmTrackMatch() {
+    if (!trackMatch) return;
+    
+    const trip = document.getElementById('visitTrip')?.value.trim() || trackMatch.fileName.replace(/\.(gpx|tcx)$/i, '');
+    const note = document.getElementById('visitNote')?.value.trim();
+    let nodeCount = 0;
+    
+    trackMatch.matches.forEach(match => {
+        const visit = { visitedAt: match.passedAt || trackMatch.rideDate || new Date().toISOString(), trip };
+        if (note) visit.note = note;
+        
+        // Twins from the server cover nodes outside the loaded view, findGroupedNodes the loaded ones
+        const groupedNodes = new Map();
+        [match.node, ...match.twins, ...findGroupedNodes(match.node)].forEach(node => groupedNodes.set(node.osmId, node));
+        
+        groupedNodes.forEach(node => {
+            addVisits(node.osmId, [visit]);
+            recordVisitedChange(node.osmId, true);
+            nodeCount++;
+        });
+    });
+    
+    const matchCount = trackMatch.matches.length;
+    trackMatch = null;
+    renderTrackMatch();
+    saveData();
+    
+    // Redraw markers and clusters with the new visited state
+    clearAllMarkers();
+    currentBounds = null;
+    lastZoom = null;
+    loadNodesForCurrentView();
+    updateStats();
+    
+    updateStatus(`✅ Rit opgeslagen: ${matchCount} knooppunten (${nodeCount} nodes) gemarkeerd als bezocht`, 'success');
+}
+
+// Discard the matched track without saving
+function cancelTrackMatch() {
+    trackMatch = null;
+    renderTrackMatch();
+    updateStatus('🗑️ Rit import geannuleerd', 'info');
+}
+
 // Clear route lines (user-drawn routes only)
 function clearRouteLines() {
     routeLines.forEach(line => {
@@ -1107,6 +2251,7 @@ function toggleOsmRoutes() {
     if (osmRoutesVisible) {
         // Show OSM routes
         drawOsmRoutes();
+        loadEdgesForCurrentView();
         toggleBtn.style.background = '#2196F3';
         toggleBtn.style.color = 'white';
         toggleBtn.textContent = '🛣️ OSM Routes ON';
@@ -1114,6 +2259,7 @@ function toggleOsmRoutes() {
     } else {
         // Hide OSM routes
         clearOsmRoutes();
+        clearEdges();
         toggleBtn.style.background = '#f0f0f0';
         toggleBtn.style.color = '#666';
         toggleBtn.textContent = '🛣️ OSM Routes OFF';
@@ -1132,13 +2278,17 @@ function toggleOsmRouteLoading() {
         toggleBtn.textContent = '✅ Routes ON';
         updateStatus('✅ OSM route loading ingeschakeld - zoom in (≥14) om routes te zien', 'success');
         // Try to load routes for current view
-        setTimeout(loadRoutesForCurrentView, 1000);
+        setTimeout(() => {
+            loadRoutesForCurrentView();
+            loadEdgesForCurrentView();
+        }, 1000);
     } else {
         toggleBtn.style.background = '#ff5722';
         toggleBtn.style.color = 'white';
         toggleBtn.textContent = '⚠️ Routes OFF';
         updateStatus('⚠️ OSM route loading uitgeschakeld (vermindert API belasting)', 'info');
         clearOsmRoutes();
+        clearEdges();
     }
 }
 
@@ -1180,9 +2330,14 @@ async function refreshData() {
 }
 
 // Data persistence
-function saveData() {
+function saveData(skipSync = false) {
     const data = {
-        visitedKnooppunten: Array.from(visitedKnooppunten),
+        version: STORAGE_VERSION,
+        visitedKnooppunten: serializeVisited(),
+        pendingChanges: {
+            add: Array.from(pendingChanges.add),
+            remove: Array.from(pendingChanges.remove)
+        },
         savedAt: new Date().toISOString()
     };
     
@@ -1191,6 +2346,10 @@ function saveData() {
     } catch (error) {
         console.warn('Could not save to localStorage:', error);
     }
+    
+    if (!skipSync) {
+        scheduleSync();
+    }
 }
 
 function loadSavedData() {
@@ -1199,16 +2358,381 @@ function loadSavedData() {
         if (saved) {
             const data = JSON.parse(saved);
             
-            visitedKnooppunten = new Set(data.visitedKnooppunten || []);
+            // Version 1 stored a plain array of osmIds, parseVisitedEntries migrates it
+            visitedKnooppunten = new Map(parseVisitedEntries(data.visitedKnooppunten));
+            pendingChanges = {
+                add: new Set(data.pendingChanges?.add || []),
+                remove: new Set(data.pendingChanges?.remove || [])
+            };
             
             console.log('✅ Saved data loaded from localStorage');
             updateStatus('💾 Opgeslagen data geladen');
         }
+        
+        const savedUser = localStorage.getItem('fietsknooppunten-user');
+        if (savedUser) {
+            currentUser = JSON.parse(savedUser);
+            renderAccount();
+            syncVisited();
+        }
     } catch (error) {
         console.warn('Could not load from localStorage:', error);
     }
 }
 
+// Data updates
+// Visited osmIds can disappear when a knooppunt is re-added in OpenStreetMap,
+// offer to move their visits to the replacement node once per data version
+async function reconcileVisited() {
+    if (visitedKnooppunten.size === 0) return;
+    
+    try {
+        const response = await fetch(withNetwork('/api/nodes/reconcile'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ nodes: Array.from(visitedKnooppunten.keys()) })
+        });
+        const data = await response.json();
+        
+        if (!response.ok || data.error) {
+            throw new Error(data.message || data.error || `Server error: ${response.status}`);
+        }
+        
+        const dataVersion = String(data.dataVersion);
+        if (data.count === 0 || localStorage.getItem('fietsknooppunten-reconciled') === dataVersion) return;
+        
+        const replaceable = data.missing.filter(missing => missing.candidates.length > 0);
+        const lines = data.missing.slice(0, 10).map(missing => {
+            const ref = missing.previous?.ref ? `Knooppunt ${missing.previous.ref}` : `Node ${missing.osmId}`;
+            const candidate = missing.candidates[0];
+            return candidate
+                ? `${ref}: vervangen door ${candidate.node.osmId} (${candidate.distance} m)`
+                : `${ref}: geen vervanger gevonden`;
+        });
+        if (data.missing.length > lines.length) {
+            lines.push(`... en ${data.missing.length - lines.length} meer`);
+        }
+        
+        const message = `${data.count} bezochte knooppunten bestaan niet meer in de bijgewerkte kaartdata:\n\n${lines.join('\n')}`;
+        if (replaceable.length === 0) {
+            updateStatus(`⚠️ ${data.count} bezochte knooppunten niet meer gevonden, geen vervangers beschikbaar`, 'error');
+        } else if (confirm(`${message}\n\nBezoeken overzetten naar de ${replaceable.length} vervangende knooppunten?`)) {
+            replaceable.forEach(missing => migrateVisited(missing.osmId, missing.candidates[0].node.osmId));
+            saveData();
+            updateAllClusterStyles();
+            updateStats();
+            updateStatus(`✅ ${replaceable.length} bezochte knooppunten overgezet naar hun nieuwe id`, 'success');
+        }
+        
+        // Ask once per data version, also when the migration was declined
+        localStorage.setItem('fietsknooppunten-reconciled', dataVersion);
+        
+    } catch (error) {
+        console.warn('Could not reconcile visited nodes:', error);
+    }
+}
+
+// Move the visits of a node to its replacement
+function migrateVisited(fromOsmId, toOsmId) {
+    // The server returns ids as strings, the stored key may be a number
+    const fromKey = Array.from(visitedKnooppunten.keys()).find(osmId => String(osmId) === String(fromOsmId));
+    if (fromKey === undefined) return;
+    
+    addVisits(toOsmId, visitedKnooppunten.get(fromKey));
+    visitedKnooppunten.delete(fromKey);
+    recordVisitedChange(fromKey, false);
+    recordVisitedChange(toOsmId, true);
+    updateMarkerStyle(toOsmId);
+}
+
+// Account sync
+// Remember a visited change so it can be sent to the server, also when made offline
+function recordVisitedChange(osmId, visited) {
+    if (visited) {
+        pendingChanges.add.add(osmId);
+        pendingChanges.remove.delete(osmId);
+    } else {
+        pendingChanges.remove.add(osmId);
+        pendingChanges.add.delete(osmId);
+    }
+}
+
+function scheduleSync() {
+    if (!currentUser) return;
+    clearTimeout(syncTimeout);
+    syncTimeout = setTimeout(syncVisited, 1000);
+}
+
+// Send pending changes to the server and adopt the merged visited set
+async function syncVisited() {
+    if (!currentUser) return;
+    
+    // Only the changes sent now are cleared afterwards, clicks during the request stay pending
+    const sentAdd = Array.from(pendingChanges.add);
+    const sentRemove = Array.from(pendingChanges.remove);
+    
+    try {
+        const response = await fetch(`/api/users/${currentUser.id}/visited`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${currentUser.token}`
+            },
+            body: JSON.stringify({
+                add: sentAdd.map(osmId => ({ osmId, visits: visitedKnooppunten.get(osmId) || [] })),
+                remove: sentRemove
+            })
+        });
+        
+        if (response.status === 401) {
+            updateStatus('⚠️ Sessie verlopen, log opnieuw in om te synchroniseren', 'error');
+            clearUser();
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        
+        sentAdd.forEach(osmId => pendingChanges.add.delete(osmId));
+        sentRemove.forEach(osmId => pendingChanges.remove.delete(osmId));
+        
+        // Server set plus anything changed locally while the request was running
+        const localVisited = visitedKnooppunten;
+        visitedKnooppunten = new Map(parseVisitedEntries(data.visited));
+        pendingChanges.add.forEach(osmId => addVisits(osmId, localVisited.get(osmId) || []));
+        pendingChanges.remove.forEach(osmId => visitedKnooppunten.delete(osmId));
+        
+        saveData(true);
+        markers.forEach((marker, id) => updateMarkerStyle(id));
+        updateAllClusterStyles();
+        updateStats();
+        renderAccount(data.updatedAt);
+        
+    } catch (error) {
+        // Offline or server unreachable: changes stay pending until the next sync
+        console.warn('Could not sync visited nodes:', error);
+        renderAccount();
+    }
+}
+
+async function authenticate(endpoint) {
+    const name = document.getElementById('accountName').value.trim();
+    const password = document.getElementById('accountPassword').value;
+    
+    if (!name || !password) {
+        updateStatus('⚠️ Vul een naam en wachtwoord in', 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, password })
+        });
+        const data = await response.json();
+        
+        if (!response.ok || data.error) {
+            throw new Error(data.message || data.error || `Server error: ${response.status}`);
+        }
+        
+        currentUser = { id: data.id, name: data.name, token: data.token };
+        localStorage.setItem('fietsknooppunten-user', JSON.stringify(currentUser));
+        document.getElementById('accountPassword').value = '';
+        
+        // Merge everything marked on this device into the account
+        visitedKnooppunten.forEach((visits, osmId) => {
+            if (!pendingChanges.remove.has(osmId)) pendingChanges.add.add(osmId);
+        });
+        
+        updateStatus(`👤 Ingelogd als ${currentUser.name}`, 'success');
+        renderAccount();
+        await syncVisited();
+        
+    } catch (error) {
+        updateStatus(`❌ Inloggen mislukt: ${error.message}`, 'error');
+    }
+}
+
+function loginUser() {
+    authenticate('/api/users/login');
+}
+
+function registerUser() {
+    authenticate('/api/users');
+}
+
+async function logoutUser() {
+    if (!currentUser) return;
+    
+    try {
+        await fetch(`/api/users/${currentUser.id}/logout`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${currentUser.token}` }
+        });
+    } catch (error) {
+        console.warn('Could not log out on server:', error);
+    }
+    
+    clearUser();
+    updateStatus('👤 Uitgelogd, bezochte knooppunten blijven lokaal bewaard', 'info');
+}
+
+function clearUser() {
+    currentUser = null;
+    localStorage.removeItem('fietsknooppunten-user');
+    renderAccount();
+}
+
+// Show login form or sync status
+function renderAccount(updatedAt) {
+    const loggedIn = !!currentUser;
+    document.getElementById('accountLoggedOut').style.display = loggedIn ? 'none' : 'block';
+    document.getElementById('accountLoggedIn').style.display = loggedIn ? 'block' : 'none';
+    
+    if (loggedIn) {
+        const pendingCount = pendingChanges.add.size + pendingChanges.remove.size;
+        // Account names are free text, so the name is set as text
+        const name = document.createElement('strong');
+        name.textContent = currentUser.name;
+        const status = ['Ingelogd als ', name];
+        
+        let syncText = null;
+        if (pendingCount > 0) {
+            syncText = `${pendingCount} wijzigingen nog niet gesynchroniseerd`;
+        } else if (updatedAt) {
+            syncText = `Gesynchroniseerd ${new Date(updatedAt).toLocaleString('nl-NL')}`;
+        }
+        if (syncText) {
+            const sync = document.createElement('small');
+            sync.textContent = syncText;
+            status.push(document.createElement('br'), sync);
+        }
+        document.getElementById('accountStatus').replaceChildren(...status);
+    }
+}
+
+// Offline use
+const OFFLINE_RASTER_ZOOMS = [10, 15];  // Map tiles are stored from overview to street level
+const OFFLINE_VECTOR_ZOOMS = [11, 14];  // Route tiles, higher zooms are drawn from the zoom 14 tiles
+const MAX_OFFLINE_TILES = 3000;
+const OFFLINE_FETCH_PARALLEL = 6;
+
+// Tile coordinates covering the bounds at a zoom level
+function getTileRange(bounds, zoom) {
+    const n = Math.pow(2, zoom);
+    const toX = lng => Math.floor((lng + 180) / 360 * n);
+    const toY = lat => {
+        const rad = lat * Math.PI / 180;
+        return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n);
+    };
+    return {
+        minX: toX(bounds.getWest()),
+        maxX: toX(bounds.getEast()),
+        minY: toY(bounds.getNorth()),
+        maxY: toY(bounds.getSouth())
+    };
+}
+
+function getOfflineTileUrls(bounds) {
+    const urls = [];
+    const subdomains = currentTileLayer.options.subdomains;
+    const addTiles = ([minZoom, maxZoom], toUrl) => {
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const range = getTileRange(bounds, z);
+            for (let x = range.minX; x <= range.maxX; x++) {
+                for (let y = range.minY; y <= range.maxY; y++) {
+                    urls.push(toUrl(x, y, z));
+                }
+            }
+        }
+    };
+
+    addTiles(OFFLINE_RASTER_ZOOMS, (x, y, z) => L.Util.template(currentTileLayer._url, {
+        s: subdomains[Math.abs(x + y) % subdomains.length], x, y, z,
+        r: L.Browser.retina ? '@2x' : ''
+    }));
+    if (routeTileLayer) {
+        addTiles(OFFLINE_VECTOR_ZOOMS, (x, y, z) => withNetwork(`/api/tiles/${z}/${x}/${y}.pbf`));
+    }
+    return urls;
+}
+
+// Ask the service worker to store the node and route chunks of the bounds
+function cacheChunksForOffline(bounds) {
+    return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = event => event.data.error ? reject(new Error(event.data.error)) : resolve(event.data);
+        navigator.serviceWorker.controller.postMessage({
+            type: 'CACHE_CHUNKS',
+            network: currentNetwork,
+            bounds: [bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast()]
+        }, [channel.port2]);
+    });
+}
+
+// Store the map tiles, knooppunten and routes of the current view for use without connection
+async function downloadRegionForOffline() {
+    if (!map) return;
+    if (!navigator.serviceWorker || !navigator.serviceWorker.controller) {
+        updateStatus('❌ Offline opslaan is niet beschikbaar in deze browser', 'error');
+        return;
+    }
+
+    const bounds = map.getBounds();
+    const urls = getOfflineTileUrls(bounds);
+    if (urls.length > MAX_OFFLINE_TILES) {
+        updateStatus(`❌ Gebied te groot (${urls.length} kaarttegels, max ${MAX_OFFLINE_TILES}), zoom verder in`, 'error');
+        return;
+    }
+
+    try {
+        updateStatus('📥 Knooppunten en routes opslaan...', 'loading');
+        const chunks = await cacheChunksForOffline(bounds);
+
+        // The service worker stores every tile that passes through it
+        let done = 0;
+        let failed = 0;
+        const queue = urls.slice();
+        const worker = async () => {
+            while (queue.length > 0) {
+                const url = queue.shift();
+                try {
+                    const sameOrigin = url.startsWith('/');
+                    const response = await fetch(url, sameOrigin ? {} : { mode: 'no-cors' });
+                    if (sameOrigin && !response.ok) failed++;
+                } catch (error) {
+                    failed++;
+                }
+                done++;
+                if (done % 50 === 0) {
+                    updateStatus(`📥 Kaarttegels opslaan: ${done}/${urls.length}`, 'loading');
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: OFFLINE_FETCH_PARALLEL }, worker));
+
+        updateStatus(`✅ Gebied offline opgeslagen: ${urls.length - failed} kaarttegels, ${chunks.nodes} knooppunt- en ${chunks.routes} routeblokken`
+            + (failed > 0 ? ` (${failed} tegels mislukt)` : ''), 'success');
+        console.log(`📥 Offline region stored: ${urls.length - failed}/${urls.length} tiles`, chunks);
+    } catch (error) {
+        console.error('❌ Error storing region for offline use:', error);
+        updateStatus(`❌ Fout bij offline opslaan: ${error.message}`, 'error');
+    }
+}
+
+// Sync changes made offline as soon as the connection is back
+window.addEventListener('online', () => {
+    updateStatus('✅ Weer online', 'success');
+    syncVisited();
+});
+
+window.addEventListener('offline', () => {
+    updateStatus('📴 Offline: opgeslagen gebieden blijven beschikbaar, bezoeken worden later gesynchroniseerd');
+});
+
 // Handle window resize
 window.addEventListener('resize', () => {
     if (map) {
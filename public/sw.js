@@ -1,94 +1,376 @@
-// Service Worker for caching map tiles
-const CACHE_NAME = 'cyclosm-tiles-v1';
+// Service Worker for offline use: app shell, map tiles and knooppunt data
+const SHELL_CACHE_NAME = 'app-shell-v1';
+const DATA_CACHE_NAME = 'api-data-v2';
 const TILE_CACHE_NAME = 'map-tiles-v1';
+const CACHE_NAMES = [SHELL_CACHE_NAME, DATA_CACHE_NAME, TILE_CACHE_NAME];
 
-// CyclOSM tile URL pattern
-const CYCLOSM_PATTERN = /^https:\/\/[abc]\.tile-cyclosm\.openstreetmap\.fr\/cyclosm\/\d+\/\d+\/\d+\.png$/;
+// App shell and the libraries it loads from CDNs
+const SHELL_URLS = [
+    '/',
+    '/css/style.css',
+    '/js/app.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.min.js',
+    'https://unpkg.com/leaflet.vectorgrid@1.3.0/dist/Leaflet.VectorGrid.bundled.js'
+];
+
+// Our own vector tiles, the raster tile sources come from the server configuration
+const VECTOR_TILE_PATTERN = /\/api\/tiles\/\d+\/\d+\/\d+\.pbf$/;
+const CONFIG_URL = '/api/config';
+let tilePatterns = null;         // URL patterns of the configured tile sources, once loaded
+let tilePatternsLoading = null;
+
+// Node and route requests by bounds, answered from the cached chunks when offline
+const BOUNDS_PATTERN = /\/api\/(cycling-nodes\/(?:bounds|clustered)|cycling-routes\/bounds)\/(-?[\d.]+)\/(-?[\d.]+)\/(-?[\d.]+)\/(-?[\d.]+)/;
+const CHUNK_PATTERN = /\/api\/chunks\/(nodes|routes)(\/[^/]+)?$/;
+const CACHED_API_PATTERN = /\/api\/stats$/;
+
+const NETWORK_TIMEOUT = 10000;
+const MAX_BACKGROUND_CHUNKS = 4;   // Node chunks cached alongside a bounds request, more means a zoomed out view
+const MAX_OFFLINE_NODES = 2000;    // Offline there is no clustering, so larger views are cut off
+const INDEX_REVALIDATE_INTERVAL = 5 * 60 * 1000;  // Chunk indexes are checked for a data refresh at most this often
+const indexCheckedAt = new Map();  // Chunk index url -> time it was last checked
 
 self.addEventListener('install', (event) => {
     console.log('🔧 Service Worker installing...');
+    event.waitUntil(Promise.all([precacheShell(), loadTilePatterns()]));
     self.skipWaiting();
 });
 
 self.addEventListener('activate', (event) => {
     console.log('✅ Service Worker activated');
-    event.waitUntil(self.clients.claim());
+    event.waitUntil((async () => {
+        // Drop caches of earlier service worker versions
+        for (const name of await caches.keys()) {
+            if (!CACHE_NAMES.includes(name)) {
+                await caches.delete(name);
+            }
+        }
+        await self.clients.claim();
+    })());
 });
 
 self.addEventListener('fetch', (event) => {
     const request = event.request;
-    
-    // Only cache GET requests for map tiles
+    const url = new URL(request.url);
+
+    // Node requests are POSTed with the visited list, they still get an offline answer
+    const boundsMatch = BOUNDS_PATTERN.exec(url.pathname);
+    if (boundsMatch) {
+        event.respondWith(handleBoundsRequest(request, boundsMatch));
+        return;
+    }
+
     if (request.method !== 'GET') return;
-    
-    // Check if this is a CyclOSM tile request
-    if (CYCLOSM_PATTERN.test(request.url)) {
+
+    if (VECTOR_TILE_PATTERN.test(url.pathname) || (tilePatterns && isTileUrl(request.url))) {
         event.respondWith(handleTileRequest(request));
+    } else if (!tilePatterns && url.origin !== self.location.origin && !SHELL_URLS.includes(request.url)) {
+        // A restarted worker has not read the configuration yet, decide once it has
+        event.respondWith(loadTilePatterns().then(() =>
+            isTileUrl(request.url) ? handleTileRequest(request) : fetch(request)));
+    } else if (CHUNK_PATTERN.test(url.pathname) || CACHED_API_PATTERN.test(url.pathname)) {
+        event.respondWith(networkFirst(request, DATA_CACHE_NAME));
+    } else if ((request.mode === 'navigate' && !url.pathname.startsWith('/api/')) || SHELL_URLS.includes(url.origin === self.location.origin ? url.pathname : request.url)) {
+        event.respondWith(handleShellRequest(request));
     }
 });
 
+// Read the tile sources from the configuration, the cached copy is used offline
+function loadTilePatterns() {
+    if (!tilePatternsLoading) {
+        tilePatternsLoading = networkFirst(new Request(CONFIG_URL), DATA_CACHE_NAME)
+            .then(response => response.ok ? response.json() : { tileSources: [] })
+            .then(config => {
+                tilePatterns = config.tileSources.map(source => new RegExp(source.cachePattern));
+            })
+            .catch(error => {
+                console.warn('⚠️ Could not load tile sources:', error.message);
+                tilePatterns = [];
+            });
+    }
+    return tilePatternsLoading;
+}
+
+function isTileUrl(url) {
+    return (tilePatterns || []).some(pattern => pattern.test(url));
+}
+
+async function precacheShell() {
+    const cache = await caches.open(SHELL_CACHE_NAME);
+    // One by one, so a CDN that is down does not break the install
+    for (const url of SHELL_URLS) {
+        try {
+            await cache.add(url);
+        } catch (error) {
+            console.warn('⚠️ Could not precache', url, error.message);
+        }
+    }
+}
+
+// Fetch with a timeout, so a weak signal falls back to the cache instead of hanging
+async function fetchWithTimeout(request) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), NETWORK_TIMEOUT);
+    try {
+        return await fetch(request, { signal: controller.signal });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// Serve the shell from the cache and refresh it in the background
+async function handleShellRequest(request) {
+    const cache = await caches.open(SHELL_CACHE_NAME);
+    const key = request.mode === 'navigate' ? '/' : request;
+    const cachedResponse = await cache.match(key);
+
+    const update = fetchWithTimeout(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(key, response.clone());
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    return cachedResponse || (await update) || new Response('Offline', { status: 503, statusText: 'Offline' });
+}
+
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetchWithTimeout(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cachedResponse = await cache.match(request);
+        if (cachedResponse) {
+            console.log('📦 Serving from cache (offline):', request.url);
+            return cachedResponse;
+        }
+        return jsonResponse({ error: 'Offline', message: 'Geen verbinding en niet in de offline cache' }, 503);
+    }
+}
+
+// Nodes and routes by bounds: network first, otherwise built from the cached chunks
+async function handleBoundsRequest(request, match) {
+    const type = match[1].startsWith('cycling-routes') ? 'routes' : 'nodes';
+    const bounds = match.slice(2, 6).map(Number);
+    const network = new URL(request.url).searchParams.get('network');
+
+    try {
+        const response = await fetchWithTimeout(request.clone());
+        if (response.ok && type === 'nodes') {
+            // Keep the node chunks of viewed areas, they are small
+            cacheChunksForBounds('nodes', bounds, network, MAX_BACKGROUND_CHUNKS).catch(() => {});
+        }
+        return response;
+    } catch (error) {
+        const offlineData = await readChunksForBounds(type, bounds, network);
+        if (!offlineData) {
+            return jsonResponse({ error: 'Offline', message: 'Geen verbinding en dit gebied is niet offline beschikbaar' }, 503);
+        }
+        console.log(`📦 Serving ${offlineData[type].length} ${type} from cached chunks (offline)`);
+        return jsonResponse(offlineData);
+    }
+}
+
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status: status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+function intersects(bbox, bounds) {
+    const [south, west, north, east] = bounds;
+    return !(east < bbox[1] || west > bbox[3] || north < bbox[0] || south > bbox[2]);
+}
+
+// Bounding box of a route without a stored bbox, relations only have segments
+function getRouteBBox(route) {
+    const points = route.segments && route.segments.length > 0 ? route.segments.flat() : (route.geometry || []);
+    const lats = points.map(point => point.lat);
+    const lngs = points.map(point => point.lng);
+    return lats.length > 0
+        ? [Math.min(...lats), Math.min(...lngs), Math.max(...lats), Math.max(...lngs)]
+        : [Infinity, Infinity, -Infinity, -Infinity];
+}
+
+// Chunk index url, or chunk url when an id is given, of a network (null for the default network)
+function getChunkUrl(type, network, id) {
+    const url = id === undefined ? `/api/chunks/${type}` : `/api/chunks/${type}/${id}`;
+    return network ? `${url}?network=${encodeURIComponent(network)}` : url;
+}
+
+// Chunk index of a type, network first so a data refresh on the server is picked up.
+// Cached chunks that changed with the new index are dropped, so offline answers never
+// mix chunks of different downloads. The cached index is used when offline
+async function loadChunkIndex(cache, type, network, force = false) {
+    const indexUrl = getChunkUrl(type, network);
+    const cachedResponse = await cache.match(indexUrl);
+    const cachedIndex = cachedResponse ? await cachedResponse.json() : null;
+    if (cachedIndex && !force && Date.now() - (indexCheckedAt.get(indexUrl) || 0) < INDEX_REVALIDATE_INTERVAL) {
+        return cachedIndex;
+    }
+
+    let response;
+    try {
+        response = await fetchWithTimeout(indexUrl);
+    } catch (error) {
+        return cachedIndex;
+    }
+    if (!response.ok) return cachedIndex;
+
+    const index = await response.clone().json();
+    if (cachedIndex) {
+        for (const chunk of cachedIndex.chunks) {
+            const current = index.chunks.find(candidate => candidate.id === chunk.id);
+            if (!current || index.generatedAt !== cachedIndex.generatedAt || JSON.stringify(current) !== JSON.stringify(chunk)) {
+                await cache.delete(getChunkUrl(type, network, chunk.id));
+            }
+        }
+    }
+    await cache.put(indexUrl, response);
+    indexCheckedAt.set(indexUrl, Date.now());
+    return index;
+}
+
+// Fetch and cache the chunks of a type that intersect the bounds, skipped when more than maxChunks are needed
+async function cacheChunksForBounds(type, bounds, network, maxChunks = Infinity, force = false) {
+    const cache = await caches.open(DATA_CACHE_NAME);
+    const index = await loadChunkIndex(cache, type, network, force);
+    if (!index) return 0;
+
+    const chunks = index.chunks.filter(chunk => intersects(chunk.bounds, bounds));
+    if (chunks.length > maxChunks) return 0;
+
+    let cached = 0;
+    for (const chunk of chunks) {
+        const chunkUrl = getChunkUrl(type, network, chunk.id);
+        if (await cache.match(chunkUrl)) {
+            cached++;
+            continue;
+        }
+        const response = await fetchWithTimeout(chunkUrl);
+        if (response.ok) {
+            await cache.put(chunkUrl, response);
+            cached++;
+        }
+    }
+    return cached;
+}
+
+// Build a bounds response from the cached chunks, null when nothing of the area is cached
+async function readChunksForBounds(type, bounds, network) {
+    const cache = await caches.open(DATA_CACHE_NAME);
+    const indexResponse = await cache.match(getChunkUrl(type, network));
+    if (!indexResponse) return null;
+
+    const index = await indexResponse.json();
+    const items = [];
+    const seen = new Set();
+    let chunkCount = 0;
+
+    for (const chunk of index.chunks.filter(chunk => intersects(chunk.bounds, bounds))) {
+        const response = await cache.match(getChunkUrl(type, network, chunk.id));
+        if (!response) continue;
+        chunkCount++;
+
+        const data = await response.json();
+        for (const item of data[type] || []) {
+            // Routes crossing a chunk border are stored in every chunk they pass
+            const key = type === 'nodes' ? item.osmId : (item.id || `${item.relationId}/${item.wayId}`);
+            if (seen.has(key)) continue;
+
+            const inside = type === 'nodes'
+                ? intersects([item.lat, item.lng, item.lat, item.lng], bounds)
+                : intersects(item.bbox || getRouteBBox(item), bounds);
+            if (inside) {
+                seen.add(key);
+                items.push(item);
+            }
+        }
+    }
+    if (chunkCount === 0) return null;
+
+    const data = { [type]: items, count: items.length, source: 'Offline cache' };
+    if (type === 'nodes' && items.length > MAX_OFFLINE_NODES) {
+        data.nodes = items.slice(0, MAX_OFFLINE_NODES);
+        data.warning = `Offline: ${MAX_OFFLINE_NODES} van ${items.length} knooppunten getoond, zoom verder in`;
+    }
+    return data;
+}
+
 async function handleTileRequest(request) {
     try {
         const cache = await caches.open(TILE_CACHE_NAME);
-        
+
         // Try to get from cache first
         const cachedResponse = await cache.match(request);
         if (cachedResponse) {
-            console.log('📦 Serving tile from cache:', request.url);
             return cachedResponse;
         }
-        
-        // Fetch from network with timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-        
-        const response = await fetch(request, {
-            signal: controller.signal,
-            headers: {
-                'User-Agent': 'Nederlandse Fietsknooppunten Tracker'
-            }
-        });
-        
-        clearTimeout(timeoutId);
-        
-        // Cache successful responses
-        if (response.ok) {
-            console.log('💾 Caching tile:', request.url);
+
+        const response = await fetchWithTimeout(request);
+
+        // Tiles loaded by <img> elements are opaque, their status cannot be read
+        if (response.ok || response.type === 'opaque') {
             cache.put(request, response.clone());
         }
-        
+
         return response;
-        
+
     } catch (error) {
         console.warn('⚠️ Tile request failed:', request.url, error.message);
-        
+
         // Return a fallback tile or empty response
-        return new Response(null, { 
-            status: 404, 
-            statusText: 'Tile not available' 
+        return new Response(null, {
+            status: 404,
+            statusText: 'Tile not available'
         });
     }
 }
 
-// Clean up old cached tiles periodically
-self.addEventListener('message', async (event) => {
-    if (event.data && event.data.type === 'CLEAN_CACHE') {
-        const cache = await caches.open(TILE_CACHE_NAME);
-        const requests = await cache.keys();
-        
-        // Remove tiles older than 7 days
-        const oneWeekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-        
-        for (const request of requests) {
-            const response = await cache.match(request);
-            if (response) {
-                const dateHeader = response.headers.get('date');
-                if (dateHeader && new Date(dateHeader).getTime() < oneWeekAgo) {
-                    await cache.delete(request);
-                }
+self.addEventListener('message', (event) => {
+    if (!event.data) return;
+
+    // Clean up old cached tiles periodically
+    if (event.data.type === 'CLEAN_CACHE') {
+        event.waitUntil(cleanTileCache());
+    }
+
+    // Cache the node and route chunks of a region for offline use, tiles are fetched by the page
+    if (event.data.type === 'CACHE_CHUNKS') {
+        const port = event.ports[0];
+        event.waitUntil(Promise.all([
+            cacheChunksForBounds('nodes', event.data.bounds, event.data.network, Infinity, true),
+            cacheChunksForBounds('routes', event.data.bounds, event.data.network, Infinity, true)
+        ])
+            .then(([nodes, routes]) => port && port.postMessage({ nodes, routes }))
+            .catch(error => port && port.postMessage({ error: error.message })));
+    }
+});
+
+async function cleanTileCache() {
+    const cache = await caches.open(TILE_CACHE_NAME);
+    const requests = await cache.keys();
+
+    // Remove tiles older than 7 days, opaque responses have no readable date and are kept
+    const oneWeekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
+
+    for (const request of requests) {
+        const response = await cache.match(request);
+        if (response) {
+            const dateHeader = response.headers.get('date');
+            if (dateHeader && new Date(dateHeader).getTime() < oneWeekAgo) {
+                await cache.delete(request);
             }
         }
-        
-        console.log('🧹 Cache cleanup completed');
     }
-});
+
+    console.log('🧹 Cache cleanup completed');
+}
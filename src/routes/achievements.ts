@@ -0,0 +1,273 @@
+/**
+ * Achievements
+ * Evaluates the achievement rules from the rules file against the visit records
+ * of a user: visited totals, completed and covered regions, new knooppunten in a
+ * single ride and streaks of weekends with a ride
+ */
+
+import { AchievementProgress, AchievementRule, AchievementType, VisitedNode } from '../types';
+import { getRegionStats, isRegionLevel, RegionData } from './regions';
+
+export const ACHIEVEMENT_TYPES: AchievementType[] = ['visitedCount', 'regionComplete', 'regionCoverage', 'ride', 'weekendStreak'];
+
+// Rides and weekends are grouped by the date in the Netherlands, not the UTC date of the visit
+const TIME_ZONE = 'Europe/Amsterdam';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isAchievementType(value: unknown): value is AchievementType {
+    return (ACHIEVEMENT_TYPES as unknown[]).includes(value);
+}
+
+/**
+ * Read and check the rules of the rules file, throws on the first invalid rule
+ */
+export function parseAchievementRules(json: any): AchievementRule[] {
+    if (!json || !Array.isArray(json.achievements)) {
+        throw new Error('Achievements file must hold an "achievements" array');
+    }
+
+    const ids = new Set<string>();
+    return json.achievements.map((rule: any, index: number) => {
+        const label = `Achievement ${rule?.id ?? index + 1}`;
+        if (!rule || typeof rule.id !== 'string' || typeof rule.title !== 'string') {
+            throw new Error(`${label}: id and title are required`);
+        }
+        if (ids.has(rule.id)) {
+            throw new Error(`${label}: duplicate id`);
+        }
+        if (!isAchievementType(rule.type)) {
+            throw new Error(`${label}: type must be one of ${ACHIEVEMENT_TYPES.join(', ')}`);
+        }
+        if (rule.type === 'regionComplete' || rule.type === 'regionCoverage') {
+            if (!isRegionLevel(rule.level)) {
+                throw new Error(`${label}: level must be province or municipality`);
+            }
+        }
+        const target = rule.type === 'regionCoverage' ? 0 : rule.target ?? 1;
+        if (!Number.isInteger(target) || target < 0) {
+            throw new Error(`${label}: target must be a positive whole number`);
+        }
+        ids.add(rule.id);
+
+        return {
+            id: rule.id,
+            type: rule.type,
+            title: rule.title,
+            description: typeof rule.description === 'string' ? rule.description : undefined,
+            icon: typeof rule.icon === 'string' ? rule.icon : undefined,
+            target: target,
+            level: rule.level
+        };
+    });
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of a visit in the Dutch time zone
+ */
+function getLocalDate(visitedAt: string): string {
+    return new Date(visitedAt).toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+}
+
+/**
+ * Earliest dated visit of a node, null when none of its visits has a date
+ */
+function getFirstVisit(entry: VisitedNode): string | null {
+    const dates = entry.visits
+        .map(visit => visit.visitedAt)
+        .filter((date): date is string => !!date)
+        .sort();
+    return dates.length > 0 ? dates[0] : null;
+}
+
+function evaluateVisitedCount(rule: AchievementRule, visited: VisitedNode[]): Partial<AchievementProgress> {
+    const progress = visited.length;
+    if (progress < rule.target) return { progress };
+
+    // Undated visits come from before visit records existed, so they count first
+    const firstVisits = visited.map(getFirstVisit).filter((date): date is string => !!date).sort();
+    const undated = visited.length - firstVisits.length;
+    return {
+        progress,
+        achievedAt: rule.target > undated ? firstVisits[rule.target - undated - 1] : null
+    };
+}
+
+function evaluateRegionComplete(rule: AchievementRule, visitedIds: Set<string>, regions: RegionData): Partial<AchievementProgress> {
+    const stats = getRegionStats(regions, visitedIds, rule.level!).filter(region => region.total > 0);
+    const complete = stats.filter(region => region.visited === region.total);
+    const best = stats
+        .filter(region => region.visited < region.total)
+        .sort((a, b) => b.percentage - a.percentage)[0];
+
+    return {
+        progress: complete.length,
+        detail: best && best.visited > 0 ? `${best.name}: ${best.percentage}% (${best.visited}/${best.total})` : undefined
+    };
+}
+
+function evaluateRegionCoverage(rule: AchievementRule, visitedIds: Set<string>, regions: RegionData): Partial<AchievementProgress> {
+    const stats = getRegionStats(regions, visitedIds, rule.level!).filter(region => region.total > 0);
+    const missing = stats.filter(region => region.visited === 0);
+
+    return {
+        target: stats.length,
+        progress: stats.length - missing.length,
+        detail: missing.length > 0 && missing.length <= 5 ? `Nog: ${missing.map(region => region.name).join(', ')}` : undefined
+    };
+}
+
+/**
+ * New knooppunten per ride: the first visit of every node grouped by trip name,
+ * or by date for visits without a trip
+ */
+function evaluateRide(rule: AchievementRule, visited: VisitedNode[]): Partial<AchievementProgress> {
+    const rides = new Map<string, { name: string; dates: string[] }>();
+    for (const entry of visited) {
+        const first = entry.visits
+            .filter(visit => visit.visitedAt)
+            .sort((a, b) => a.visitedAt!.localeCompare(b.visitedAt!))[0];
+        if (!first) continue;
+
+        const date = getLocalDate(first.visitedAt!);
+        const key = first.trip ? `trip:${first.trip}` : `date:${date}`;
+        const ride = rides.get(key) || { name: first.trip || date, dates: [] };
+        ride.dates.push(first.visitedAt!);
+        rides.set(key, ride);
+    }
+
+    let best: { name: string; dates: string[] } | null = null;
+    let achievedAt: string | null = null;
+    for (const ride of rides.values()) {
+        ride.dates.sort();
+        if (!best || ride.dates.length > best.dates.length) best = ride;
+
+        // The earliest ride that reached the target
+        if (ride.dates.length >= rule.target) {
+            const reachedAt = ride.dates[rule.target - 1];
+            if (!achievedAt || reachedAt < achievedAt) achievedAt = reachedAt;
+        }
+    }
+
+    return {
+        progress: best ? best.dates.length : 0,
+        achievedAt: achievedAt,
+        detail: best ? `Beste rit: ${best.name}` : undefined
+    };
+}
+
+/**
+ * Day number (days since 1970-01-01) of the Dutch calendar date of a timestamp
+ */
+function getDayNumber(timestamp: string): number {
+    const [year, month, day] = getLocalDate(timestamp).split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+/**
+ * Number of the Saturday-to-Friday week a day falls in, day 2 (1970-01-03) was a Saturday
+ */
+function getWeekNumber(day: number): number {
+    return Math.floor((day - 2) / 7);
+}
+
+function isWeekend(day: number): boolean {
+    return (day - 2) % 7 <= 1;
+}
+
+/**
+ * Longest run of consecutive weekends with at least one visit
+ */
+function evaluateWeekendStreak(rule: AchievementRule, visited: VisitedNode[]): Partial<AchievementProgress> {
+    // Week number -> earliest visit in the weekend of that week
+    const weekends = new Map<number, string>();
+    for (const entry of visited) {
+        for (const visit of entry.visits) {
+            if (!visit.visitedAt) continue;
+
+            const day = getDayNumber(visit.visitedAt);
+            if (!isWeekend(day)) continue;
+
+            const week = getWeekNumber(day);
+            const earliest = weekends.get(week);
+            if (!earliest || visit.visitedAt < earliest) weekends.set(week, visit.visitedAt);
+        }
+    }
+
+    const weeks = Array.from(weekends.keys()).sort((a, b) => a - b);
+    let longest = 0;
+    let streak = 0;
+    let achievedAt: string | null = null;
+    weeks.forEach((week, i) => {
+        streak = i > 0 && week === weeks[i - 1] + 1 ? streak + 1 : 1;
+        longest = Math.max(longest, streak);
+        if (streak === rule.target && !achievedAt) achievedAt = weekends.get(week)!;
+    });
+
+    // The last streak is still running when it includes this weekend, or last weekend while this one is not over yet
+    const today = getDayNumber(new Date().toISOString());
+    const lastWeek = weeks[weeks.length - 1];
+    const running = lastWeek === getWeekNumber(today) || (isWeekend(today) && lastWeek === getWeekNumber(today) - 1);
+
+    return {
+        progress: longest,
+        achievedAt: achievedAt,
+        detail: running ? `Huidige reeks: ${streak} weekend${streak === 1 ? '' : 's'}` : undefined
+    };
+}
+
+/**
+ * Progress toward every rule. Region rules are marked unavailable when the
+ * region boundaries have not been downloaded
+ */
+export function evaluateAchievements(rules: AchievementRule[], entries: VisitedNode[], regions: RegionData | null): AchievementProgress[] {
+    // Visit dates that do not parse are treated like undated visits
+    const visited = entries.map(entry => ({
+        osmId: entry.osmId,
+        visits: entry.visits.map(visit =>
+            visit.visitedAt && isNaN(Date.parse(visit.visitedAt)) ? { ...visit, visitedAt: null } : visit
+        )
+    }));
+    const visitedIds = new Set(visited.map(entry => String(entry.osmId)));
+
+    return rules.map(rule => {
+        let result: Partial<AchievementProgress>;
+        let available = true;
+
+        switch (rule.type) {
+            case 'visitedCount':
+                result = evaluateVisitedCount(rule, visited);
+                break;
+            case 'regionComplete':
+                result = regions ? evaluateRegionComplete(rule, visitedIds, regions) : { progress: 0 };
+                available = !!regions;
+                break;
+            case 'regionCoverage':
+                result = regions ? evaluateRegionCoverage(rule, visitedIds, regions) : { progress: 0 };
+                available = !!regions;
+                break;
+            case 'ride':
+                result = evaluateRide(rule, visited);
+                break;
+            case 'weekendStreak':
+                result = evaluateWeekendStreak(rule, visited);
+                break;
+        }
+
+        const target = result.target ?? rule.target;
+        const progress = result.progress ?? 0;
+        const achieved = available && target > 0 && progress >= target;
+        return {
+            id: rule.id,
+            type: rule.type,
+            title: rule.title,
+            description: rule.description,
+            icon: rule.icon,
+            target: target,
+            progress: Math.min(progress, target),
+            achieved: achieved,
+            achievedAt: achieved ? result.achievedAt : undefined,
+            detail: result.detail,
+            available: available
+        };
+    });
+}
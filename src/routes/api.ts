@@ -1,16 +1,46 @@
-import express, { Request, Response, Router } from 'express';
+import express, { NextFunction, Request, Response, Router } from 'express';
+import * as crypto from 'crypto';
 import * as fs from 'fs/promises';
 import * as path from 'path';
-import { clusterNodesForBounds } from './clustering';
+import { buildClusterHierarchy, clusterNodesForBounds, getClusterChildren, getClusterVisitedCounts, ClusterHierarchy } from './clustering';
+import { authenticateUser, isOsmIdList, parseVisitedList } from './users';
+import { buildNetworkGraph, findNearestConnectedNode, planRoute, suggestRide, NetworkGraph } from './planner';
+import { parseTrack, getTrackBounds, matchTrack } from './tracks';
+import { EXPORT_FORMATS, buildExport, isExportFormat } from './export';
+import { reconcileNodes } from './reconcile';
+import { buildRouteCard, buildRouteCardLegs, getRouteCardBounds } from './route-card';
+import { buildTile, getTileBounds, isValidTile } from './tiles';
+import { evaluateAchievements, parseAchievementRules } from './achievements';
+import { getTileCachePattern, parseTileConfig } from './tile-sources';
+import { getRefTag, parseDatasetConfig } from './datasets';
+import { buildSearchIndex, search, SearchIndex } from './search';
+import { analyseQuality, isQualityCategory, QUALITY_CATEGORIES } from './quality';
+import { clusterToFeature, getResponseFormat, nodeToFeature, routeToFeature, toFeatureCollection, GEOJSON_CONTENT_TYPE, RESPONSE_FORMATS } from './geojson';
+import { assignNodesToRegions, buildRegionGeoJson, countUnassignedNodes, getRegionStats, isRegionLevel, parseRegions, RegionData } from './regions';
+import { CHUNK_INDEX_FILES, getFormatVersion, upgradeChunk, upgradeChunkIndex } from '../utils/chunks';
+import { getRouteKey, getRouteSegments } from '../utils/geo';
+import { BBox, GridIndex, getBBox } from '../utils/spatial-index';
 import { 
     CyclingNode, 
     NodeCluster, 
     ApiResponse, 
     ChunkIndex, 
     ChunkInfo, 
+    ChunkType, 
     Chunk, 
     RouteChunk, 
     CyclingRoute,
+    EdgeChunk,
+    NetworkEdge,
+    ExportRoute,
+    DiffNode,
+    NodeDiff,
+    AchievementRule,
+    TileConfig,
+    DatasetConfig,
+    NetworkDataset,
+    QualityReport,
+    VisitedNode,
     BoundsParams 
 } from '../types';
 
@@ -18,68 +48,134 @@ const router: Router = express.Router();
 
 // Configuration
 const DATA_DIR = path.join(process.cwd(), 'data');
-const CHUNKS_DIR = path.join(DATA_DIR, 'chunks');
 const RAW_DATA_FILE = 'raw-nodes-data.json';
-const CHUNK_INDEX_FILE = 'nodes-chunk-index.json';
-const ROUTE_CHUNK_INDEX_FILE = 'route-chunk-index.json';
+const DOWNLOAD_DIFF_FILE = 'download-diff.json';
+const REGIONS_FILE = 'regions.geojson';
+const ACHIEVEMENTS_FILE = 'achievements.json';
+const TILE_SOURCES_FILE = process.env.TILE_SOURCES_FILE || path.join(DATA_DIR, 'tile-sources.json');
+const DATASETS_FILE = process.env.DATASETS_FILE || path.join(DATA_DIR, 'datasets.json');
+const TILES_DIR = path.join(DATA_DIR, 'tiles');
+const TILE_MAX_AGE = 24 * 60 * 60; // Seconds browsers may cache a vector tile
 const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours for local data
+const TRACK_MATCH_DISTANCE = 50; // Default meters between a track and a passed node
+const MAX_TRACK_MATCH_DISTANCE = 500;
+const MAX_TRACK_SIZE = '20mb';
+export const SUGGESTION_DISTANCE = 40; // Default km of a suggested ride
+export const MIN_SUGGESTION_DISTANCE = 5;
+export const MAX_SUGGESTION_DISTANCE = 150;
+const MAX_ROUTE_CARD_NODES = 200;
+export const SEARCH_RESULTS = 10; // Default results of a search
+export const MAX_SEARCH_RESULTS = 50;
+export const MAX_SEARCH_LENGTH = 100;
+export const MIN_ROUTE_ZOOM = 11; // Below this zoom the map shows clusters and no routes
+export const MAX_QUALITY_SPAN = 1; // Degrees of latitude and longitude a quality request may cover, npm run quality covers all data
+const QUALITY_MARGIN = 0.01; // Degrees of data loaded around the bounds, so neighbours just outside are known
 
 // In-memory cache
-let cyclingNodesCache: ApiResponse<CyclingNode[]> | null = null;
-let cacheTimestamp: number | null = null;
-let chunkIndex: ChunkIndex | null = null;
-let routeChunkIndex: ChunkIndex | null = null;
-let chunkCache = new Map<string, Chunk>();
-let routeChunkCache = new Map<string, RouteChunk>();
+let achievementRules: AchievementRule[] | null = null;
+let tileConfig: TileConfig | null = null;
+let datasetConfig: DatasetConfig | null = null;
+
+// Loaded data of one knooppunt network, created on its first request. Chunks are loaded lazily as they are needed
+export interface NetworkData {
+    dataset: NetworkDataset;
+    dataDir: string;
+    chunksDir: string;
+    cyclingNodesCache: ApiResponse<CyclingNode[]> | null;
+    cacheTimestamp: number | null;
+    chunkIndex: ChunkIndex | null;
+    routeChunkIndex: ChunkIndex | null;
+    chunkCache: Map<string, Promise<Chunk | null>>;  // One load per chunk, shared by concurrent requests
+    routeChunkCache: Map<string, RouteChunk>;
+    edgeChunkIndex: ChunkIndex | null;
+    edgeChunkCache: Map<string, EdgeChunk>;
+    graph: NetworkGraph | null;
+    clusterHierarchy: Promise<ClusterHierarchy> | null;
+    regionData: RegionData | null;
+    searchIndex: SearchIndex | null;
+    // Spatial indexes over the loaded chunks, filled as chunks are loaded
+    nodeIndex: GridIndex<CyclingNode>;
+    routeIndex: GridIndex<CyclingRoute>;
+    edgeIndex: GridIndex<NetworkEdge>;
+    indexedRoutes: Set<string>;  // Routes crossing a chunk border appear in every chunk they pass
+    indexedEdges: Set<string>;
+    localNodeIndex: GridIndex<CyclingNode> | null;
+}
+
+const networks = new Map<string, NetworkData>();
+
+/**
+ * Read a chunk index and upgrade it from older layouts, throws when it is missing or invalid
+ */
+async function readChunkIndex(network: NetworkData, type: ChunkType): Promise<ChunkIndex> {
+    const indexPath = path.join(network.dataDir, CHUNK_INDEX_FILES[type]);
+    const raw = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+    const index = upgradeChunkIndex(raw, type);
+    
+    if (getFormatVersion(raw) < index.version) {
+        console.log(`📋 Upgraded ${type} chunk index from format ${getFormatVersion(raw)} to ${index.version}, run npm run download to rewrite it`);
+    }
+    return index;
+}
 
 /**
  * Load chunk index
  */
-async function loadChunkIndex(): Promise<ChunkIndex | null> {
-    if (chunkIndex) return chunkIndex;
+async function loadChunkIndex(network: NetworkData): Promise<ChunkIndex | null> {
+    if (network.chunkIndex) return network.chunkIndex;
     
     try {
-        const indexPath = path.join(DATA_DIR, CHUNK_INDEX_FILE);
-        const indexData = await fs.readFile(indexPath, 'utf8');
-        chunkIndex = JSON.parse(indexData) as ChunkIndex;
-        return chunkIndex;
+        network.chunkIndex = await readChunkIndex(network, 'nodes');
+        return network.chunkIndex;
     } catch (error) {
-        console.log('📂 No chunk index found, falling back to legacy loading');
+        console.log('📂 No chunk index found, falling back to legacy loading:', (error as Error).message);
         return null;
     }
 }
 
 /**
- * Load specific chunk by ID
+ * Read a chunk file and add its nodes to the node index
  */
-async function loadChunk(chunkId: string): Promise<Chunk | null> {
+async function readNodeChunk(network: NetworkData, chunkInfo: ChunkInfo): Promise<Chunk | null> {
     try {
-        // Check cache first
-        if (chunkCache.has(chunkId)) {
-            return chunkCache.get(chunkId)!;
-        }
-        
-        const chunkPath = path.join(CHUNKS_DIR, `nodes-chunk-${chunkId}.json`);
+        const chunkPath = path.join(network.chunksDir, chunkInfo.file);
         const chunkData = await fs.readFile(chunkPath, 'utf8');
-        const chunk = JSON.parse(chunkData) as Chunk;
+        const chunk = upgradeChunk(JSON.parse(chunkData), 'nodes');
         
-        // Cache the chunk
-        chunkCache.set(chunkId, chunk);
+        for (const node of chunk.nodes) {
+            network.nodeIndex.insertPoint(node, node.lat, node.lng);
+        }
         
         return chunk;
     } catch (error) {
-        console.error(`❌ Failed to load chunk ${chunkId}:`, (error as Error).message);
+        console.error(`❌ Failed to load chunk ${chunkInfo.id}:`, (error as Error).message);
+        // Try again on the next request
+        network.chunkCache.delete(chunkInfo.id);
         return null;
     }
 }
 
+/**
+ * Load specific chunk by ID
+ */
+async function loadChunk(network: NetworkData, chunkInfo: ChunkInfo): Promise<Chunk | null> {
+    // Check cache first, requests arriving while the chunk loads wait for the same load
+    // so its nodes are indexed only once
+    let loading = network.chunkCache.get(chunkInfo.id);
+    if (!loading) {
+        loading = readNodeChunk(network, chunkInfo);
+        network.chunkCache.set(chunkInfo.id, loading);
+    }
+    return loading;
+}
+
 /**
  * Find chunks that intersect with given bounds
  */
-function findIntersectingChunks(south: number, west: number, north: number, east: number): ChunkInfo[] {
-    if (!chunkIndex) return [];
+function findIntersectingChunks(network: NetworkData, south: number, west: number, north: number, east: number): ChunkInfo[] {
+    if (!network.chunkIndex) return [];
     
-    const intersectingChunks = chunkIndex.chunks.filter(chunk => {
+    const intersectingChunks = network.chunkIndex.chunks.filter(chunk => {
         const [chunkSouth, chunkWest, chunkNorth, chunkEast] = chunk.bounds;
         
         // Check if bounding boxes intersect
@@ -93,52 +189,40 @@ function findIntersectingChunks(south: number, west: number, north: number, east
 /**
  * Load nodes from chunks for given bounds
  */
-async function loadNodesFromChunks(south: number, west: number, north: number, east: number): Promise<CyclingNode[]> {
+export async function loadNodesFromChunks(network: NetworkData, south: number, west: number, north: number, east: number): Promise<CyclingNode[]> {
     try {
-        await loadChunkIndex();
+        await loadChunkIndex(network);
         
-        if (!chunkIndex) {
+        if (!network.chunkIndex) {
             // Fallback to legacy loading
-            return await filterNodesByBounds(south, west, north, east);
+            return await filterNodesByBounds(network, south, west, north, east);
         }
         
-        const intersectingChunks = findIntersectingChunks(south, west, north, east);
-        const allNodes: CyclingNode[] = [];
-        
-        for (const chunkInfo of intersectingChunks) {
-            const chunk = await loadChunk(chunkInfo.id);
-            if (chunk && chunk.nodes) {
-                // Filter nodes within the requested bounds
-                const filteredNodes = chunk.nodes.filter(node => {
-                    return node.lat >= south && node.lat <= north &&
-                           node.lng >= west && node.lng <= east;
-                });
-                allNodes.push(...filteredNodes);
-            }
+        // Make sure every chunk the bounds touch is in the index
+        for (const chunkInfo of findIntersectingChunks(network, south, west, north, east)) {
+            await loadChunk(network, chunkInfo);
         }
         
-        return allNodes;
+        return network.nodeIndex.search(south, west, north, east);
         
     } catch (error) {
         console.error('❌ Error loading nodes from chunks:', (error as Error).message);
         // Fallback to legacy loading
-        return await filterNodesByBounds(south, west, north, east);
+        return await filterNodesByBounds(network, south, west, north, east);
     }
 }
 
 /**
  * Load route chunk index
  */
-async function loadRouteChunkIndex(): Promise<ChunkIndex | null> {
-    if (routeChunkIndex) return routeChunkIndex;
+async function loadRouteChunkIndex(network: NetworkData): Promise<ChunkIndex | null> {
+    if (network.routeChunkIndex) return network.routeChunkIndex;
     
     try {
-        const indexPath = path.join(DATA_DIR, ROUTE_CHUNK_INDEX_FILE);
-        const indexData = await fs.readFile(indexPath, 'utf8');
-        routeChunkIndex = JSON.parse(indexData) as ChunkIndex;
-        return routeChunkIndex;
+        network.routeChunkIndex = await readChunkIndex(network, 'routes');
+        return network.routeChunkIndex;
     } catch (error) {
-        console.log('🛣️ No route chunk index found');
+        console.log('🛣️ No route chunk index found:', (error as Error).message);
         return null;
     }
 }
@@ -146,23 +230,34 @@ async function loadRouteChunkIndex(): Promise<ChunkIndex | null> {
 /**
  * Load specific route chunk by ID
  */
-async function loadRouteChunk(chunkId: string): Promise<RouteChunk | null> {
+async function loadRouteChunk(network: NetworkData, chunkInfo: ChunkInfo): Promise<RouteChunk | null> {
     try {
         // Check cache first
-        if (routeChunkCache.has(chunkId)) {
-            return routeChunkCache.get(chunkId)!;
+        if (network.routeChunkCache.has(chunkInfo.id)) {
+            return network.routeChunkCache.get(chunkInfo.id)!;
         }
         
-        const chunkPath = path.join(CHUNKS_DIR, `routes-chunk-${chunkId}.json`);
+        const chunkPath = path.join(network.chunksDir, chunkInfo.file);
         const chunkData = await fs.readFile(chunkPath, 'utf8');
-        const chunk = JSON.parse(chunkData) as RouteChunk;
+        const chunk = upgradeChunk(JSON.parse(chunkData), 'routes');
         
-        // Cache the chunk
-        routeChunkCache.set(chunkId, chunk);
+        // Cache and index the chunk, routes without geometry are never shown
+        network.routeChunkCache.set(chunkInfo.id, chunk);
+        for (const route of chunk.routes) {
+            const key = getRouteKey(route);
+            const segments = getRouteSegments(route);
+            if (network.indexedRoutes.has(key) || segments.length === 0) continue;
+            
+            route.bbox = route.bbox || getBBox(segments.flat()) || undefined;
+            if (route.bbox) {
+                network.routeIndex.insert(route, route.bbox);
+                network.indexedRoutes.add(key);
+            }
+        }
         
         return chunk;
     } catch (error) {
-        console.error(`❌ Error loading route chunk ${chunkId}:`, (error as Error).message);
+        console.error(`❌ Error loading route chunk ${chunkInfo.id}:`, (error as Error).message);
         return null;
     }
 }
@@ -170,10 +265,10 @@ async function loadRouteChunk(chunkId: string): Promise<RouteChunk | null> {
 /**
  * Find intersecting route chunks for given bounds
  */
-function findIntersectingRouteChunks(south: number, west: number, north: number, east: number): ChunkInfo[] {
-    if (!routeChunkIndex) return [];
+function findIntersectingRouteChunks(network: NetworkData, south: number, west: number, north: number, east: number): ChunkInfo[] {
+    if (!network.routeChunkIndex) return [];
     
-    return routeChunkIndex.chunks.filter(chunk => {
+    return network.routeChunkIndex.chunks.filter(chunk => {
         const [chunkSouth, chunkWest, chunkNorth, chunkEast] = chunk.bounds;
         
         // Check if bounding boxes intersect
@@ -185,45 +280,105 @@ function findIntersectingRouteChunks(south: number, west: number, north: number,
 /**
  * Load routes from chunks for given bounds
  */
-async function loadRoutesFromChunks(south: number, west: number, north: number, east: number, zoom: number = 11): Promise<CyclingRoute[]> {
+export async function loadRoutesFromChunks(network: NetworkData, south: number, west: number, north: number, east: number, zoom: number = MIN_ROUTE_ZOOM): Promise<CyclingRoute[]> {
     try {
-        await loadRouteChunkIndex();
+        await loadRouteChunkIndex(network);
         
-        if (!routeChunkIndex) {
+        if (!network.routeChunkIndex) {
             console.log('🛣️ No route chunks available');
             return [];
         }
         
-        // Only load routes when not clustering (zoom 11+)
-        if (zoom < 11) {
+        // Only load routes when not clustering
+        if (zoom < MIN_ROUTE_ZOOM) {
             console.log(`🛣️ Zoom level ${zoom} too low for route display, skipping routes`);
             return [];
         }
         
-        const intersectingChunks = findIntersectingRouteChunks(south, west, north, east);
-        const allRoutes: CyclingRoute[] = [];
+        for (const chunkInfo of findIntersectingRouteChunks(network, south, west, north, east)) {
+            await loadRouteChunk(network, chunkInfo);
+        }
+        
+        // Routes whose bounding box overlaps the bounds, without checking every point
+        return network.routeIndex.search(south, west, north, east);
+        
+    } catch (error) {
+        console.error('❌ Error loading routes from chunks:', (error as Error).message);
+        return [];
+    }
+}
+
+/**
+ * Load edge chunk index
+ */
+async function loadEdgeChunkIndex(network: NetworkData): Promise<ChunkIndex | null> {
+    if (network.edgeChunkIndex) return network.edgeChunkIndex;
+    
+    try {
+        network.edgeChunkIndex = await readChunkIndex(network, 'edges');
+        return network.edgeChunkIndex;
+    } catch (error) {
+        console.log('🔗 No edge chunk index found:', (error as Error).message);
+        return null;
+    }
+}
+
+/**
+ * Load specific edge chunk by ID
+ */
+async function loadEdgeChunk(network: NetworkData, chunkInfo: ChunkInfo): Promise<EdgeChunk | null> {
+    try {
+        // Check cache first
+        if (network.edgeChunkCache.has(chunkInfo.id)) {
+            return network.edgeChunkCache.get(chunkInfo.id)!;
+        }
+        
+        const chunkPath = path.join(network.chunksDir, chunkInfo.file);
+        const chunkData = await fs.readFile(chunkPath, 'utf8');
+        const chunk = upgradeChunk(JSON.parse(chunkData), 'edges');
+        
+        // Cache and index the chunk
+        network.edgeChunkCache.set(chunkInfo.id, chunk);
+        for (const edge of chunk.edges) {
+            const bbox = getBBox(edge.geometry);
+            if (network.indexedEdges.has(edge.id) || !bbox) continue;
+            
+            network.edgeIndex.insert(edge, bbox);
+            network.indexedEdges.add(edge.id);
+        }
+        
+        return chunk;
+    } catch (error) {
+        console.error(`❌ Error loading edge chunk ${chunkInfo.id}:`, (error as Error).message);
+        return null;
+    }
+}
+
+/**
+ * Load knooppunt edges from chunks for given bounds
+ */
+export async function loadEdgesFromChunks(network: NetworkData, south: number, west: number, north: number, east: number): Promise<NetworkEdge[]> {
+    try {
+        await loadEdgeChunkIndex(network);
+        
+        if (!network.edgeChunkIndex) {
+            return [];
+        }
         
+        // Edge chunk bounds cover the full geometry of their edges
+        const intersectingChunks = network.edgeChunkIndex.chunks.filter(chunk => {
+            const [chunkSouth, chunkWest, chunkNorth, chunkEast] = chunk.bounds;
+            return !(east < chunkWest || west > chunkEast || 
+                    north < chunkSouth || south > chunkNorth);
+        });
         for (const chunkInfo of intersectingChunks) {
-            const chunk = await loadRouteChunk(chunkInfo.id);
-            if (chunk && chunk.routes) {
-                // Filter routes that have geometry within the requested bounds
-                const filteredRoutes = chunk.routes.filter(route => {
-                    if (!route.geometry || route.geometry.length === 0) return false;
-                    
-                    // Check if any point of the route is within bounds
-                    return route.geometry.some(point => {
-                        return point.lat >= south && point.lat <= north &&
-                               point.lng >= west && point.lng <= east;
-                    });
-                });
-                allRoutes.push(...filteredRoutes);
-            }
+            await loadEdgeChunk(network, chunkInfo);
         }
         
-        return allRoutes;
+        return network.edgeIndex.search(south, west, north, east);
         
     } catch (error) {
-        console.error('❌ Error loading routes from chunks:', (error as Error).message);
+        console.error('❌ Error loading edges from chunks:', (error as Error).message);
         return [];
     }
 }
@@ -231,9 +386,9 @@ async function loadRoutesFromChunks(south: number, west: number, north: number,
 /**
  * Load nodes from local files (raw JSON or GeoJSON)
  */
-async function loadLocalNodes(): Promise<ApiResponse<CyclingNode[]>> {
+async function loadLocalNodes(network: NetworkData): Promise<ApiResponse<CyclingNode[]>> {
     try {
-        const rawDataPath = path.join(DATA_DIR, RAW_DATA_FILE);
+        const rawDataPath = path.join(network.dataDir, RAW_DATA_FILE);
         
         let nodes: CyclingNode[] = [];
         let source = 'Unknown';
@@ -252,6 +407,9 @@ async function loadLocalNodes(): Promise<ApiResponse<CyclingNode[]>> {
             console.log(`📂 Loaded ${nodes.length} nodes from local raw data`);
             
         } catch (rawError) {
+            if ((rawError as NodeJS.ErrnoException).code === 'ENOENT') {
+                throw new Error(`No local data found for ${network.dataset.id}, run npm run download -- --network=${network.dataset.id}`);
+            }
             throw new Error(`Failed to load raw data: ${(rawError as Error).message}`);
         }
         
@@ -271,29 +429,27 @@ async function loadLocalNodes(): Promise<ApiResponse<CyclingNode[]>> {
 /**
  * Filter local nodes by bounding box
  */
-async function filterNodesByBounds(south: number, west: number, north: number, east: number): Promise<CyclingNode[]> {
+async function filterNodesByBounds(network: NetworkData, south: number, west: number, north: number, east: number): Promise<CyclingNode[]> {
     try {
         // Load all nodes from cache or file
-        let allNodes: CyclingNode[];
-        if (cyclingNodesCache && cacheTimestamp && 
-            (Date.now() - cacheTimestamp) < CACHE_DURATION) {
-            allNodes = cyclingNodesCache.nodes || [];
-        } else {
-            const data = await loadLocalNodes();
-            cyclingNodesCache = data;
-            cacheTimestamp = Date.now();
-            allNodes = data.nodes || [];
+        if (!network.cyclingNodesCache || !network.cacheTimestamp || 
+            (Date.now() - network.cacheTimestamp) >= CACHE_DURATION) {
+            network.cyclingNodesCache = await loadLocalNodes(network);
+            network.cacheTimestamp = Date.now();
+            network.localNodeIndex = null;
         }
         
-        // Filter nodes within bounds
-        const filteredNodes = allNodes.filter(node => {
-            return node.lat >= south && 
-                   node.lat <= north && 
-                   node.lng >= west && 
-                   node.lng <= east;
-        });
+        // Index the local nodes once per cache load
+        if (!network.localNodeIndex) {
+            network.localNodeIndex = new GridIndex<CyclingNode>();
+            for (const node of network.cyclingNodesCache.nodes || []) {
+                network.localNodeIndex.insertPoint(node, node.lat, node.lng);
+            }
+        }
+        
+        const filteredNodes = network.localNodeIndex.search(south, west, north, east);
         
-        console.log(`🔍 Filtered ${filteredNodes.length} nodes from ${allNodes.length} total for bounds`);
+        console.log(`🔍 Filtered ${filteredNodes.length} nodes from ${network.localNodeIndex.size} total for bounds`);
         return filteredNodes;
         
     } catch (error) {
@@ -302,27 +458,342 @@ async function filterNodesByBounds(south: number, west: number, north: number, e
     }
 }
 
+/**
+ * Load all nodes from every chunk (falls back to the raw data file)
+ */
+export async function loadAllNodes(network: NetworkData): Promise<CyclingNode[]> {
+    await loadChunkIndex(network);
+    
+    if (!network.chunkIndex) {
+        const data = await loadLocalNodes(network);
+        return data.nodes || [];
+    }
+    
+    const allNodes: CyclingNode[] = [];
+    for (const chunkInfo of network.chunkIndex.chunks) {
+        const chunk = await loadChunk(network, chunkInfo);
+        if (chunk && chunk.nodes) {
+            allNodes.push(...chunk.nodes);
+        }
+    }
+    return allNodes;
+}
+
+/**
+ * osmIds of the nodes in the other downloaded networks, visits there are not missing from this one
+ */
+async function loadOtherNetworkIds(network: NetworkData): Promise<Set<string>> {
+    const ids = new Set<string>();
+    const config = await loadDatasetConfig();
+    
+    for (const dataset of config.datasets) {
+        if (dataset.id === network.dataset.id) continue;
+        
+        const other = getNetworkData(dataset);
+        if (!await loadChunkIndex(other)) continue;
+        for (const node of await loadAllNodes(other)) {
+            ids.add(String(node.osmId));
+        }
+    }
+    return ids;
+}
+
+/**
+ * Load the nodes removed by the last download, empty when there is no diff report
+ */
+async function loadRemovedNodes(network: NetworkData): Promise<DiffNode[]> {
+    try {
+        const diffData = await fs.readFile(path.join(network.dataDir, DOWNLOAD_DIFF_FILE), 'utf8');
+        return (JSON.parse(diffData) as NodeDiff).removed || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Visited osmIds for visited-aware clustering: the visited list in the request body, or the
+ * stored progress of the ?user= account when sent with its bearer token. Null when neither is given
+ */
+async function getVisitedSet<P>(req: Request<P>): Promise<{ visited: Set<string> | null } | { status: number; error: string }> {
+    if (req.body && req.body.visited !== undefined) {
+        if (!isOsmIdList(req.body.visited)) {
+            return { status: 400, error: 'visited must be a list of osmIds' };
+        }
+        return { visited: new Set(req.body.visited.map(String)) };
+    }
+    
+    if (req.query.user) {
+        const user = await authenticateUser(String(req.query.user), req.headers.authorization);
+        if (!user) {
+            return { status: 401, error: 'Not logged in' };
+        }
+        return { visited: new Set(user.visited.map(visit => String(visit.osmId))) };
+    }
+    
+    return { visited: null };
+}
+
+/**
+ * Load all routes from every route chunk
+ */
+async function loadAllRoutes(network: NetworkData): Promise<CyclingRoute[]> {
+    await loadRouteChunkIndex(network);
+    
+    if (!network.routeChunkIndex) return [];
+    
+    const allRoutes: CyclingRoute[] = [];
+    for (const chunkInfo of network.routeChunkIndex.chunks) {
+        const chunk = await loadRouteChunk(network, chunkInfo);
+        if (chunk && chunk.routes) {
+            allRoutes.push(...chunk.routes);
+        }
+    }
+    return allRoutes;
+}
+
+/**
+ * Data quality report of the bounds, the data around them is loaded as well so neighbours just outside are known
+ */
+export async function loadQualityReport(network: NetworkData, bounds: BBox): Promise<QualityReport> {
+    const [south, west, north, east] = bounds;
+    const [s, w, n, e] = [south - QUALITY_MARGIN, west - QUALITY_MARGIN, north + QUALITY_MARGIN, east + QUALITY_MARGIN];
+    const nodes = await loadNodesFromChunks(network, s, w, n, e);
+    const routes = await loadRoutesFromChunks(network, s, w, n, e);
+    // Route checks only where the route chunks have been downloaded
+    const coverage = findIntersectingRouteChunks(network, s, w, n, e)
+        .filter(chunk => network.routeChunkCache.has(chunk.id))
+        .map(chunk => chunk.bounds);
+    
+    return analyseQuality(nodes, routes, coverage, bounds, getRefTag(network.dataset));
+}
+
+/**
+ * Get the cluster hierarchy, built once from all nodes
+ */
+export function getClusterHierarchy(network: NetworkData): Promise<ClusterHierarchy> {
+    if (!network.clusterHierarchy) {
+        network.clusterHierarchy = (async () => {
+            console.log(`🎯 Building cluster hierarchy of ${network.dataset.id}...`);
+            const nodes = await loadAllNodes(network);
+            const hierarchy = buildClusterHierarchy(nodes);
+            console.log(`🎯 Cluster hierarchy of ${network.dataset.id} ready: ${hierarchy.clusters.size} clusters over ${hierarchy.nodeCount} nodes`);
+            return hierarchy;
+        })();
+        // Allow a retry after a failed build
+        network.clusterHierarchy.catch(() => { network.clusterHierarchy = null; });
+    }
+    return network.clusterHierarchy;
+}
+
+/**
+ * Load the province and gemeente boundaries and assign every node to its regions
+ * Returns null when the regions file has not been downloaded
+ */
+export async function loadRegionData(network: NetworkData): Promise<RegionData | null> {
+    if (network.regionData) return network.regionData;
+    
+    let raw: string;
+    try {
+        raw = await fs.readFile(path.join(DATA_DIR, REGIONS_FILE), 'utf8');
+    } catch (error) {
+        return null;
+    }
+    
+    const regions = parseRegions(JSON.parse(raw));
+    const nodes = await loadAllNodes(network);
+    network.regionData = assignNodesToRegions(nodes, regions);
+    console.log(`🗺️ Assigned ${nodes.length} ${network.dataset.id} nodes to ${regions.length} regions`);
+    
+    return network.regionData;
+}
+
+/**
+ * Get the search index over the refs and place names, built once from all nodes and the regions
+ */
+export async function getSearchIndex(network: NetworkData): Promise<SearchIndex> {
+    if (network.searchIndex) return network.searchIndex;
+    
+    const nodes = await loadAllNodes(network);
+    network.searchIndex = buildSearchIndex(nodes, await loadRegionData(network));
+    console.log(`🔍 Search index of ${network.dataset.id} built: ${network.searchIndex.byRef.size} refs, ${network.searchIndex.places.size} places`);
+    
+    return network.searchIndex;
+}
+
+/**
+ * Load the achievement rules
+ */
+async function loadAchievementRules(): Promise<AchievementRule[]> {
+    if (achievementRules) return achievementRules;
+    
+    const raw = await fs.readFile(path.join(DATA_DIR, ACHIEVEMENTS_FILE), 'utf8');
+    achievementRules = parseAchievementRules(JSON.parse(raw));
+    return achievementRules;
+}
+
+/**
+ * Get the map tile sources from the tile sources file and the environment
+ */
+async function loadTileConfig(): Promise<TileConfig> {
+    if (tileConfig) return tileConfig;
+    
+    const raw = await fs.readFile(TILE_SOURCES_FILE, 'utf8');
+    tileConfig = parseTileConfig(JSON.parse(raw), process.env);
+    return tileConfig;
+}
+
+/**
+ * Get the knooppunt network datasets from the datasets file and the environment
+ */
+export async function loadDatasetConfig(): Promise<DatasetConfig> {
+    if (datasetConfig) return datasetConfig;
+    
+    const raw = await fs.readFile(DATASETS_FILE, 'utf8');
+    datasetConfig = parseDatasetConfig(JSON.parse(raw), process.env);
+    return datasetConfig;
+}
+
+/**
+ * Get the loaded data of a dataset, created empty on first use
+ */
+function getNetworkData(dataset: NetworkDataset): NetworkData {
+    let network = networks.get(dataset.id);
+    if (!network) {
+        const dataDir = path.join(DATA_DIR, dataset.dir);
+        network = {
+            dataset: dataset,
+            dataDir: dataDir,
+            chunksDir: path.join(dataDir, 'chunks'),
+            cyclingNodesCache: null,
+            cacheTimestamp: null,
+            chunkIndex: null,
+            routeChunkIndex: null,
+            chunkCache: new Map(),
+            routeChunkCache: new Map(),
+            edgeChunkIndex: null,
+            edgeChunkCache: new Map(),
+            graph: null,
+            clusterHierarchy: null,
+            regionData: null,
+            searchIndex: null,
+            nodeIndex: new GridIndex<CyclingNode>(),
+            routeIndex: new GridIndex<CyclingRoute>(),
+            edgeIndex: new GridIndex<NetworkEdge>(),
+            indexedRoutes: new Set(),
+            indexedEdges: new Set(),
+            localNodeIndex: null
+        };
+        networks.set(dataset.id, network);
+    }
+    return network;
+}
+
+/**
+ * Get the loaded data of the network with the dataset id, the default network when id is null.
+ * Null for an unknown id
+ */
+export async function findNetwork(id: string | null): Promise<NetworkData | null> {
+    const config = await loadDatasetConfig();
+    const dataset = config.datasets.find(candidate => candidate.id === (id || config.defaultDataset));
+    return dataset ? getNetworkData(dataset) : null;
+}
+
+/**
+ * Select the dataset of the ?network= parameter, the default dataset when it is not given
+ */
+async function resolveNetwork(req: Request<any>, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const config = await loadDatasetConfig();
+        const network = await findNetwork(req.query.network ? String(req.query.network) : null);
+        if (!network) {
+            res.status(400).json({ 
+                error: `Unknown network ${req.query.network}, use one of ${config.datasets.map(candidate => candidate.id).join(', ')}` 
+            });
+            return;
+        }
+        
+        res.locals.network = network;
+        next();
+    } catch (error) {
+        console.error('❌ Error loading networks:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to load networks',
+            message: (error as Error).message
+        });
+    }
+}
+
+/**
+ * Select JSON or GeoJSON output from ?format= or the Accept header
+ */
+function negotiateFormat(req: Request<any>, res: Response, next: NextFunction): void {
+    res.vary('Accept');
+    const format = getResponseFormat(req);
+    if (!format) {
+        res.status(400).json({ 
+            error: `Unknown format ${req.query.format}, use one of ${RESPONSE_FORMATS.join(', ')}` 
+        });
+        return;
+    }
+    
+    res.locals.format = format;
+    next();
+}
+
+/**
+ * Build the cluster hierarchy of the default network ahead of the first map request
+ */
+export function preloadClusters(): void {
+    loadDatasetConfig()
+        .then(config => getClusterHierarchy(getNetworkData(config.datasets.find(dataset => dataset.id === config.defaultDataset)!)))
+        .catch(error => {
+            console.error('❌ Failed to build cluster hierarchy:', (error as Error).message);
+        });
+}
+
+/**
+ * Get the route planner graph, built once from all node and route chunks
+ */
+export async function getNetworkGraph(network: NetworkData): Promise<NetworkGraph> {
+    if (network.graph) return network.graph;
+    
+    console.log(`🧭 Building route network graph of ${network.dataset.id}...`);
+    const nodes = await loadAllNodes(network);
+    const routes = await loadAllRoutes(network);
+    network.graph = buildNetworkGraph(nodes, routes);
+    console.log(`🧭 Route network graph of ${network.dataset.id} ready: ${network.graph.lats.length} points, ${network.graph.nodeVertex.size}/${nodes.length} knooppunten connected`);
+    
+    return network.graph;
+}
+
 /**
  * Main endpoint - get all cycling nodes from local data
  */
-router.get('/cycling-nodes', async (req: Request, res: Response): Promise<void> => {
+router.get('/cycling-nodes', resolveNetwork, negotiateFormat, async (req: Request, res: Response): Promise<void> => {
     try {
+        const network = res.locals.network as NetworkData;
         console.log('📍 Loading nodes for bounds:', req.query.south, req.query.west, req.query.north, req.query.east);
         
         // Check cache first
-        if (cyclingNodesCache && cacheTimestamp && 
-            (Date.now() - cacheTimestamp) < CACHE_DURATION) {
+        let data = network.cyclingNodesCache;
+        if (data && network.cacheTimestamp && 
+            (Date.now() - network.cacheTimestamp) < CACHE_DURATION) {
             console.log('💾 Serving from cache');
-            res.json(cyclingNodesCache);
-            return;
+        } else {
+            // Load fresh data
+            data = await loadLocalNodes(network);
+            
+            // Update cache
+            network.cyclingNodesCache = data;
+            network.cacheTimestamp = Date.now();
+            network.localNodeIndex = null;
         }
         
-        // Load fresh data
-        const data = await loadLocalNodes();
-        
-        // Update cache
-        cyclingNodesCache = data;
-        cacheTimestamp = Date.now();
+        if (res.locals.format === 'geojson') {
+            const { nodes, ...members } = data;
+            res.type(GEOJSON_CONTENT_TYPE).json(toFeatureCollection((nodes || []).map(nodeToFeature), null, members));
+            return;
+        }
         
         res.json(data);
         
@@ -339,8 +810,9 @@ router.get('/cycling-nodes', async (req: Request, res: Response): Promise<void>
 /**
  * Get cycling nodes within map bounds from local data
  */
-router.get('/cycling-nodes/bounds/:south/:west/:north/:east', async (req: Request<BoundsParams>, res: Response): Promise<void> => {
+router.get('/cycling-nodes/bounds/:south/:west/:north/:east', resolveNetwork, negotiateFormat, async (req: Request<BoundsParams>, res: Response): Promise<void> => {
     try {
+        const network = res.locals.network as NetworkData;
         const { south, west, north, east } = req.params;
         
         // Validate bounds
@@ -360,13 +832,22 @@ router.get('/cycling-nodes/bounds/:south/:west/:north/:east', async (req: Reques
         
         console.log(`📍 Loading nodes for bounds: ${south},${west},${north},${east}`);
         
-        const nodes = await loadNodesFromChunks(bounds.south, bounds.west, bounds.north, bounds.east);
+        const nodes = await loadNodesFromChunks(network, bounds.south, bounds.west, bounds.north, bounds.east);
+        const source = network.chunkIndex ? 'Chunk-based loading' : 'Local data file (filtered by bounds)';
+        
+        if (res.locals.format === 'geojson') {
+            res.type(GEOJSON_CONTENT_TYPE).json(toFeatureCollection(nodes.map(nodeToFeature), [bounds.south, bounds.west, bounds.north, bounds.east], {
+                count: nodes.length,
+                source: source
+            }));
+            return;
+        }
         
         res.json({
             bounds: bounds,
             nodes: nodes,
             count: nodes.length,
-            source: chunkIndex ? 'Chunk-based loading' : 'Local data file (filtered by bounds)'
+            source: source
         });
         
     } catch (error) {
@@ -380,9 +861,11 @@ router.get('/cycling-nodes/bounds/:south/:west/:north/:east', async (req: Reques
 
 /**
  * Get clustered cycling nodes within map bounds (RECOMMENDED)
+ * POST a { visited: [osmId] } body, or pass ?user= with a bearer token, to get a visitedCount per cluster
  */
-router.get('/cycling-nodes/clustered/:south/:west/:north/:east', async (req: Request<BoundsParams>, res: Response): Promise<void> => {
+async function sendClusteredNodes(req: Request<BoundsParams>, res: Response): Promise<void> {
     try {
+        const network = res.locals.network as NetworkData;
         const { south, west, north, east } = req.params;
         const zoom = req.query.zoom ? parseInt(req.query.zoom as string) : null;
         
@@ -401,21 +884,42 @@ router.get('/cycling-nodes/clustered/:south/:west/:north/:east', async (req: Req
             return;
         }
         
-        console.log(`📍 Loading clustered nodes for bounds: ${south},${west},${north},${east} (zoom: ${zoom || 'auto'})`);
+        if (zoom !== null && isNaN(zoom)) {
+            res.status(400).json({ 
+                error: 'Invalid zoom parameter' 
+            });
+            return;
+        }
         
-        const nodes = await loadNodesFromChunks(bounds.south, bounds.west, bounds.north, bounds.east);
-        const clusteredData = clusterNodesForBounds(nodes, bounds.south, bounds.west, bounds.north, bounds.east, zoom);
+        const visitedResult = await getVisitedSet(req);
+        if ('error' in visitedResult) {
+            res.status(visitedResult.status).json({ error: visitedResult.error });
+            return;
+        }
         
-        res.json({
-            bounds: bounds,
-            clusters: clusteredData.clusters,
+        console.log(`📍 Loading clustered nodes for bounds: ${south},${west},${north},${east} (zoom: ${zoom || 'auto'})`);
+        
+        const hierarchy = await getClusterHierarchy(network);
+        const clusteredData = clusterNodesForBounds(hierarchy, bounds.south, bounds.west, bounds.north, bounds.east, zoom, visitedResult.visited);
+        const summary = {
             count: clusteredData.clusters.length,
             zoom: clusteredData.zoom,
             clusterDistance: clusteredData.clusterDistance,
             originalNodeCount: clusteredData.originalNodeCount,
             clusterCount: clusteredData.clusterCount,
             individualNodeCount: clusteredData.individualNodeCount,
-            source: chunkIndex ? 'Chunk-based clustering' : 'Local data clustering'
+            source: network.chunkIndex ? 'Chunk-based clustering' : 'Local data clustering'
+        };
+        
+        if (res.locals.format === 'geojson') {
+            res.type(GEOJSON_CONTENT_TYPE).json(toFeatureCollection(clusteredData.clusters.map(clusterToFeature), [bounds.south, bounds.west, bounds.north, bounds.east], summary));
+            return;
+        }
+        
+        res.json({
+            bounds: bounds,
+            clusters: clusteredData.clusters,
+            ...summary
         });
         
     } catch (error) {
@@ -425,25 +929,126 @@ router.get('/cycling-nodes/clustered/:south/:west/:north/:east', async (req: Req
             message: (error as Error).message
         });
     }
-});
+}
+
+router.get('/cycling-nodes/clustered/:south/:west/:north/:east', resolveNetwork, negotiateFormat, sendClusteredNodes);
+router.post('/cycling-nodes/clustered/:south/:west/:north/:east', resolveNetwork, negotiateFormat, sendClusteredNodes);
 
 /**
- * Get cycling routes for given bounds (chunked loading)
+ * Get the visited counts of clusters already on the map, so they can be restyled without reloading them
+ * Body: { ids: [clusterId], visited?: [osmId] }, or pass ?user= with a bearer token instead of visited
  */
-router.get('/cycling-routes/bounds/:south/:west/:north/:east', async (req: Request<BoundsParams>, res: Response): Promise<void> => {
+router.post('/cycling-nodes/clusters/visited', resolveNetwork, async (req: Request, res: Response): Promise<void> => {
     try {
-        const bounds = {
-            south: parseFloat(req.params.south),
-            west: parseFloat(req.params.west),
-            north: parseFloat(req.params.north),
-            east: parseFloat(req.params.east)
-        };
+        const network = res.locals.network as NetworkData;
+        const ids = req.body?.ids;
+        if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string')) {
+            res.status(400).json({ 
+                error: 'Body must contain an ids list of cluster ids' 
+            });
+            return;
+        }
         
-        const zoom = parseInt((req.query.zoom as string) || '11');
+        const visitedResult = await getVisitedSet(req);
+        if ('error' in visitedResult) {
+            res.status(visitedResult.status).json({ error: visitedResult.error });
+            return;
+        }
+        if (!visitedResult.visited) {
+            res.status(400).json({ 
+                error: 'Body must contain a visited list, or pass a user' 
+            });
+            return;
+        }
+        
+        const hierarchy = await getClusterHierarchy(network);
+        const counts = getClusterVisitedCounts(hierarchy, ids, visitedResult.visited);
+        
+        res.json({
+            counts: counts,
+            count: Object.keys(counts).length,
+            source: network.chunkIndex ? 'Chunk-based clustering' : 'Local data clustering'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error counting visited cluster nodes:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to count visited nodes',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Expand a cluster: get its children at the zoom level where it splits up
+ * Accepts the same visited set as the clustered endpoint
+ */
+async function sendClusterChildren(req: Request, res: Response): Promise<void> {
+    try {
+        const network = res.locals.network as NetworkData;
+        const visitedResult = await getVisitedSet(req);
+        if ('error' in visitedResult) {
+            res.status(visitedResult.status).json({ error: visitedResult.error });
+            return;
+        }
+        
+        const hierarchy = await getClusterHierarchy(network);
+        const expanded = getClusterChildren(hierarchy, req.params.id, visitedResult.visited);
+        
+        if (!expanded) {
+            res.status(404).json({
+                error: `Cluster ${req.params.id} not found`
+            });
+            return;
+        }
+        
+        res.json({
+            id: req.params.id,
+            zoom: expanded.zoom,
+            clusters: expanded.children,
+            count: expanded.children.length,
+            source: network.chunkIndex ? 'Chunk-based clustering' : 'Local data clustering'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error expanding cluster:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to expand cluster',
+            message: (error as Error).message
+        });
+    }
+}
+
+router.get('/cycling-nodes/clusters/:id/children', resolveNetwork, sendClusterChildren);
+router.post('/cycling-nodes/clusters/:id/children', resolveNetwork, sendClusterChildren);
+
+/**
+ * Get cycling routes for given bounds (chunked loading)
+ */
+router.get('/cycling-routes/bounds/:south/:west/:north/:east', resolveNetwork, negotiateFormat, async (req: Request<BoundsParams>, res: Response): Promise<void> => {
+    try {
+        const network = res.locals.network as NetworkData;
+        const bounds = {
+            south: parseFloat(req.params.south),
+            west: parseFloat(req.params.west),
+            north: parseFloat(req.params.north),
+            east: parseFloat(req.params.east)
+        };
+        
+        const zoom = parseInt((req.query.zoom as string) || '11');
         
         console.log(`🛣️ Loading routes for bounds: ${bounds.south},${bounds.west},${bounds.north},${bounds.east} (zoom: ${zoom})`);
         
-        const routes = await loadRoutesFromChunks(bounds.south, bounds.west, bounds.north, bounds.east, zoom);
+        const routes = await loadRoutesFromChunks(network, bounds.south, bounds.west, bounds.north, bounds.east, zoom);
+        
+        if (res.locals.format === 'geojson') {
+            res.type(GEOJSON_CONTENT_TYPE).json(toFeatureCollection(routes.map(routeToFeature), [bounds.south, bounds.west, bounds.north, bounds.east], {
+                count: routes.length,
+                zoom: zoom,
+                source: 'Local route chunks'
+            }));
+            return;
+        }
         
         res.json({
             bounds: bounds,
@@ -463,27 +1068,622 @@ router.get('/cycling-routes/bounds/:south/:west/:north/:east', async (req: Reque
 });
 
 /**
- * Clear the cache (useful for development)
+ * Get knooppunt-to-knooppunt edges with their lengths for given bounds
+ */
+router.get('/edges/bounds/:south/:west/:north/:east', resolveNetwork, async (req: Request<BoundsParams>, res: Response): Promise<void> => {
+    try {
+        const network = res.locals.network as NetworkData;
+        const bounds = {
+            south: parseFloat(req.params.south),
+            west: parseFloat(req.params.west),
+            north: parseFloat(req.params.north),
+            east: parseFloat(req.params.east)
+        };
+        
+        if (Object.values(bounds).some(val => isNaN(val))) {
+            res.status(400).json({ 
+                error: 'Invalid bounds parameters' 
+            });
+            return;
+        }
+        
+        console.log(`🔗 Loading edges for bounds: ${bounds.south},${bounds.west},${bounds.north},${bounds.east}`);
+        
+        const edges = await loadEdgesFromChunks(network, bounds.south, bounds.west, bounds.north, bounds.east);
+        
+        res.json({
+            bounds: bounds,
+            edges: edges,
+            count: edges.length,
+            source: 'Local edge chunks'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error fetching edges:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to fetch edges',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Data quality issues within bounds: invalid refs, same-ref neighbours, knooppunten off the
+ * route network and dangling route ends. ?category= limits the report to a comma separated list
+ */
+router.get('/quality/bounds/:south/:west/:north/:east', resolveNetwork, async (req: Request<BoundsParams>, res: Response): Promise<void> => {
+    try {
+        const network = res.locals.network as NetworkData;
+        const south = parseFloat(req.params.south);
+        const west = parseFloat(req.params.west);
+        const north = parseFloat(req.params.north);
+        const east = parseFloat(req.params.east);
+        const categories = req.query.category ? String(req.query.category).split(',') : QUALITY_CATEGORIES;
+        
+        if ([south, west, north, east].some(isNaN) || south > north || west > east) {
+            res.status(400).json({ 
+                error: 'Invalid bounds' 
+            });
+            return;
+        }
+        if (north - south > MAX_QUALITY_SPAN || east - west > MAX_QUALITY_SPAN) {
+            res.status(400).json({ 
+                error: `Bounds may span at most ${MAX_QUALITY_SPAN} degree, run npm run quality for the full report` 
+            });
+            return;
+        }
+        if (!categories.every(isQualityCategory)) {
+            res.status(400).json({ 
+                error: `category must be one of ${QUALITY_CATEGORIES.join(', ')}` 
+            });
+            return;
+        }
+        
+        const report = await loadQualityReport(network, [south, west, north, east]);
+        const issues = report.issues.filter(issue => categories.includes(issue.category));
+        
+        res.json({
+            ...report,
+            issues: issues,
+            count: issues.length,
+            source: 'Local chunks'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error analysing data quality:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to analyse data quality',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Get the chunk index of the node or route data, so clients can fetch whole chunks for offline use
+ */
+router.get('/chunks/:type', resolveNetwork, async (req: Request, res: Response): Promise<void> => {
+    try {
+        const network = res.locals.network as NetworkData;
+        const type = req.params.type;
+        if (type !== 'nodes' && type !== 'routes') {
+            res.status(400).json({ 
+                error: 'type must be nodes or routes' 
+            });
+            return;
+        }
+        
+        const index = type === 'nodes' ? await loadChunkIndex(network) : await loadRouteChunkIndex(network);
+        if (!index) {
+            res.status(404).json({
+                error: `No ${type} chunk index found, run npm run download -- --network=${network.dataset.id}`
+            });
+            return;
+        }
+        
+        res.json(index);
+        
+    } catch (error) {
+        console.error('❌ Error loading chunk index:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to load chunk index',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Get one node or route chunk
+ */
+router.get('/chunks/:type/:id', resolveNetwork, async (req: Request, res: Response): Promise<void> => {
+    try {
+        const network = res.locals.network as NetworkData;
+        const { type, id } = req.params;
+        if (type !== 'nodes' && type !== 'routes') {
+            res.status(400).json({ 
+                error: 'type must be nodes or routes' 
+            });
+            return;
+        }
+        
+        const index = type === 'nodes' ? await loadChunkIndex(network) : await loadRouteChunkIndex(network);
+        const chunkInfo = index?.chunks.find(chunk => String(chunk.id) === id);
+        const chunk = chunkInfo
+            ? (type === 'nodes' ? await loadChunk(network, chunkInfo) : await loadRouteChunk(network, chunkInfo))
+            : null;
+        if (!chunk) {
+            res.status(404).json({ 
+                error: `${type} chunk ${id} not found` 
+            });
+            return;
+        }
+        
+        res.json(chunk);
+        
+    } catch (error) {
+        console.error('❌ Error loading chunk:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to load chunk',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Get a Mapbox Vector Tile with clusters (zoom 10 and below) or knooppunten and
+ * route geometry (zoom 11 and up). Tiles are cached on disk per data version
+ */
+router.get('/tiles/:z/:x/:y.pbf', resolveNetwork, async (req: Request, res: Response): Promise<void> => {
+    try {
+        const network = res.locals.network as NetworkData;
+        const z = Number(req.params.z);
+        const x = Number(req.params.x);
+        const y = Number(req.params.y);
+        
+        if (!isValidTile(z, x, y)) {
+            res.status(400).json({ 
+                error: 'Invalid tile coordinates' 
+            });
+            return;
+        }
+        
+        await loadChunkIndex(network);
+        await loadRouteChunkIndex(network);
+        
+        // Every network has its own tiles, a new download writes new indexes, which starts a new cache directory
+        const version = [network.chunkIndex?.generatedAt, network.routeChunkIndex?.generatedAt]
+            .map(generatedAt => String(generatedAt || 'none').replace(/[^\w-]/g, '-'))
+            .join('_');
+        const tilePath = path.join(TILES_DIR, network.dataset.id, version, String(z), String(x), `${y}.pbf`);
+        
+        let tile: Buffer;
+        let source = 'Tile cache';
+        try {
+            tile = await fs.readFile(tilePath);
+        } catch (error) {
+            const [south, west, north, east] = getTileBounds(z, x, y);
+            
+            if (z < 11) {
+                const hierarchy = await getClusterHierarchy(network);
+                tile = buildTile(z, x, y, { clusters: clusterNodesForBounds(hierarchy, south, west, north, east, z).clusters });
+            } else {
+                // Routes are looked up with the buffered bounds so lines crossing the tile edge are included
+                const [bufferSouth, bufferWest, bufferNorth, bufferEast] = getTileBounds(z, x, y, 0.0625);
+                tile = buildTile(z, x, y, {
+                    nodes: await loadNodesFromChunks(network, south, west, north, east),
+                    routes: await loadRoutesFromChunks(network, bufferSouth, bufferWest, bufferNorth, bufferEast, z)
+                });
+            }
+            source = 'Generated from chunks';
+            
+            // Written under a unique name and renamed, so concurrent requests never read a partial tile
+            await fs.mkdir(path.dirname(tilePath), { recursive: true });
+            const tempFile = `${tilePath}.${crypto.randomUUID()}.tmp`;
+            await fs.writeFile(tempFile, tile);
+            await fs.rename(tempFile, tilePath);
+        }
+        
+        res.set({
+            'Content-Type': 'application/vnd.mapbox-vector-tile',
+            'Cache-Control': `public, max-age=${TILE_MAX_AGE}`,
+            'X-Tile-Source': source
+        });
+        res.send(tile);
+        
+    } catch (error) {
+        console.error('❌ Error in tile endpoint:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to build vector tile',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Plan the shortest knooppunt route between two nodes (osmIds), optionally via other nodes
+ * Example: /api/plan?from=123&to=456&via=789,1011
+ */
+router.get('/plan', resolveNetwork, async (req: Request, res: Response): Promise<void> => {
+    try {
+        const network = res.locals.network as NetworkData;
+        const from = req.query.from as string | undefined;
+        const to = req.query.to as string | undefined;
+        const via = req.query.via ? (req.query.via as string).split(',').filter(id => id.length > 0) : [];
+        
+        if (!from || !to) {
+            res.status(400).json({ 
+                error: 'Missing from/to parameters' 
+            });
+            return;
+        }
+        
+        console.log(`🧭 Planning route from ${from} to ${to}${via.length > 0 ? ` via ${via.join(',')}` : ''}`);
+        
+        const graph = await getNetworkGraph(network);
+        const waypoints = [from, ...via, to];
+        
+        const unknown = waypoints.filter(osmId => !graph.nodeVertex.has(osmId));
+        if (unknown.length > 0) {
+            res.status(404).json({
+                error: 'Node not connected to the route network',
+                message: `Unknown or unconnected nodes: ${unknown.join(', ')}`
+            });
+            return;
+        }
+        
+        const plan = planRoute(graph, waypoints);
+        if (!plan) {
+            res.status(404).json({
+                error: 'No route found',
+                message: 'The selected nodes are not connected by the route network'
+            });
+            return;
+        }
+        
+        res.json({
+            ...plan,
+            count: plan.nodes.length,
+            source: 'Local route chunks'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error planning route:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to plan route',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Suggest a round trip along as many unvisited knooppunten as possible
+ * Start at ?from=:osmId or the knooppunt nearest to ?lat=&lng=, ?distance= in km (default 40)
+ * POST a { visited: [osmId] } body, or pass ?user= with a bearer token, to skip visited knooppunten
+ */
+async function sendRideSuggestion(req: Request, res: Response): Promise<void> {
+    try {
+        const network = res.locals.network as NetworkData;
+        const distance = req.query.distance ? parseFloat(req.query.distance as string) : SUGGESTION_DISTANCE;
+        const lat = parseFloat(req.query.lat as string);
+        const lng = parseFloat(req.query.lng as string);
+        
+        if (isNaN(distance) || distance < MIN_SUGGESTION_DISTANCE || distance > MAX_SUGGESTION_DISTANCE) {
+            res.status(400).json({ 
+                error: `distance must be between ${MIN_SUGGESTION_DISTANCE} and ${MAX_SUGGESTION_DISTANCE} km` 
+            });
+            return;
+        }
+        if (!req.query.from && (isNaN(lat) || isNaN(lng))) {
+            res.status(400).json({ 
+                error: 'Provide from (osmId) or lat and lng' 
+            });
+            return;
+        }
+        
+        const visitedResult = await getVisitedSet(req);
+        if ('error' in visitedResult) {
+            res.status(visitedResult.status).json({ error: visitedResult.error });
+            return;
+        }
+        
+        const graph = await getNetworkGraph(network);
+        const start = req.query.from
+            ? graph.nodes.get(String(req.query.from))
+            : findNearestConnectedNode(graph, lat, lng);
+        if (!start || !graph.nodeVertex.has(String(start.osmId))) {
+            res.status(404).json({
+                error: 'Start not connected to the route network',
+                message: req.query.from ? `Unknown or unconnected node: ${req.query.from}` : 'No connected knooppunt near the start location'
+            });
+            return;
+        }
+        
+        console.log(`🧭 Suggesting a ${distance} km ride from ${start.ref || start.osmId}`);
+        
+        const suggestion = suggestRide(graph, String(start.osmId), distance, visitedResult.visited || new Set());
+        if (!suggestion || suggestion.newNodes.length === 0) {
+            res.status(404).json({
+                error: 'No unvisited knooppunten within reach',
+                message: `No round trip of ${distance} km passes an unvisited knooppunt`
+            });
+            return;
+        }
+        
+        res.json({
+            ...suggestion,
+            count: suggestion.nodes.length,
+            newCount: suggestion.newNodes.length,
+            source: 'Local route chunks'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error suggesting ride:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to suggest ride',
+            message: (error as Error).message
+        });
+    }
+}
+
+router.get('/plan/suggest', resolveNetwork, sendRideSuggestion);
+router.post('/plan/suggest', resolveNetwork, sendRideSuggestion);
+
+/**
+ * Match an uploaded GPX or TCX track (raw XML body) against the nodes
+ * Optional ?maxDistance= in meters (default 50)
+ */
+router.post('/tracks/match', resolveNetwork, express.text({ type: () => true, limit: MAX_TRACK_SIZE }), async (req: Request, res: Response): Promise<void> => {
+    try {
+        const network = res.locals.network as NetworkData;
+        const maxDistance = req.query.maxDistance ? parseFloat(req.query.maxDistance as string) : TRACK_MATCH_DISTANCE;
+        
+        if (isNaN(maxDistance) || maxDistance <= 0 || maxDistance > MAX_TRACK_MATCH_DISTANCE) {
+            res.status(400).json({ 
+                error: `maxDistance must be between 0 and ${MAX_TRACK_MATCH_DISTANCE} meters` 
+            });
+            return;
+        }
+        
+        const points = typeof req.body === 'string' ? parseTrack(req.body) : [];
+        if (points.length === 0) {
+            res.status(400).json({ 
+                error: 'No track points found',
+                message: 'Upload a GPX or TCX file with a recorded track'
+            });
+            return;
+        }
+        
+        // Widen the bounds so twin nodes just beside the track are loaded too
+        const [south, west, north, east] = getTrackBounds(points, 0.01);
+        console.log(`🚴 Matching track with ${points.length} points (max ${maxDistance}m)`);
+        
+        const nodes = await loadNodesFromChunks(network, south, west, north, east);
+        const matches = matchTrack(points, nodes, maxDistance / 1000);
+        
+        res.json({
+            rideDate: points.find(point => point.time)?.time || null,
+            pointCount: points.length,
+            maxDistance: maxDistance,
+            matches: matches,
+            count: matches.length,
+            source: network.chunkIndex ? 'Chunk-based loading' : 'Local data file (filtered by bounds)'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error matching track:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to match track',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Export knooppunten as GPX, KML or GeoJSON
+ * Body: { name?, nodes?: [osmId], route?: [osmId] } where route lists the
+ * waypoints of a planned route (start, optional vias, end)
+ */
+router.post('/export/:format', resolveNetwork, async (req: Request, res: Response): Promise<void> => {
+    try {
+        const network = res.locals.network as NetworkData;
+        const format = req.params.format;
+        const nodeIds: unknown = req.body?.nodes ?? [];
+        const routeIds: unknown = req.body?.route ?? [];
+        const name = typeof req.body?.name === 'string' && req.body.name.trim() ? req.body.name.trim() : 'Fietsknooppunten';
+        
+        if (!isExportFormat(format)) {
+            res.status(400).json({ 
+                error: `Unknown format, use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` 
+            });
+            return;
+        }
+        
+        if (!isOsmIdList(nodeIds) || !isOsmIdList(routeIds) || (nodeIds.length === 0 && routeIds.length < 2)) {
+            res.status(400).json({ 
+                error: 'Provide nodes (array of osmIds) and/or route (at least two osmIds)' 
+            });
+            return;
+        }
+        
+        console.log(`📤 Exporting ${nodeIds.length} nodes${routeIds.length > 0 ? ` and a route via ${routeIds.length} waypoints` : ''} as ${format}`);
+        
+        let route: ExportRoute | undefined;
+        if (routeIds.length > 0) {
+            const graph = await getNetworkGraph(network);
+            const plan = planRoute(graph, routeIds.map(String));
+            if (!plan) {
+                res.status(404).json({ 
+                    error: 'No route found between the route waypoints' 
+                });
+                return;
+            }
+            route = { name: name, nodes: plan.nodes, distance: plan.distance, geometry: plan.geometry };
+        }
+        
+        // Without a node list the knooppunten of the route become the waypoints
+        let nodes = route ? route.nodes : [];
+        if (nodeIds.length > 0) {
+            const wanted = new Set(nodeIds.map(String));
+            nodes = (await loadAllNodes(network)).filter(node => wanted.has(String(node.osmId)));
+        }
+        
+        const { contentType, extension } = EXPORT_FORMATS[format];
+        const fileName = `${name.replace(/[^\w\-]+/g, '-').toLowerCase()}.${extension}`;
+        res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(buildExport(format, name, nodes, route));
+        
+    } catch (error) {
+        console.error('❌ Error exporting nodes:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to export nodes',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Get a printable route card (HTML) for a knooppunt sequence
+ * ?route=:osmId,:osmId,... in riding order, optional ?name=
+ */
+router.get('/route-card', resolveNetwork, async (req: Request, res: Response): Promise<void> => {
+    try {
+        const network = res.locals.network as NetworkData;
+        const routeIds = req.query.route ? (req.query.route as string).split(',').filter(id => id.length > 0) : [];
+        const name = typeof req.query.name === 'string' && req.query.name.trim() ? req.query.name.trim() : 'Knooppuntenroute';
+        
+        if (routeIds.length < 2 || routeIds.length > MAX_ROUTE_CARD_NODES) {
+            res.status(400).json({ 
+                error: `route must hold 2 to ${MAX_ROUTE_CARD_NODES} osmIds` 
+            });
+            return;
+        }
+        
+        const graph = await getNetworkGraph(network);
+        const unknown = routeIds.filter(osmId => !graph.nodes.has(osmId));
+        if (unknown.length > 0) {
+            res.status(404).json({
+                error: 'Node not found',
+                message: `Unknown nodes: ${unknown.join(', ')}`
+            });
+            return;
+        }
+        
+        console.log(`🖨️ Route card for ${routeIds.length} knooppunten`);
+        
+        const legs = buildRouteCardLegs(graph, routeIds.map(osmId => graph.nodes.get(osmId)!));
+        const [south, west, north, east] = getRouteCardBounds(legs);
+        const networkRoutes = await loadRoutesFromChunks(network, south, west, north, east);
+        
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.send(buildRouteCard(name, legs, networkRoutes));
+        
+    } catch (error) {
+        console.error('❌ Error building route card:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to build route card',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Find visited osmIds that no longer exist and propose replacement nodes
+ * Body: { nodes: [osmId | { osmId, ref, lat, lng }] }, the ref and position of a
+ * missing node are taken from the request or else from the last download diff
+ */
+router.post('/nodes/reconcile', resolveNetwork, async (req: Request, res: Response): Promise<void> => {
+    try {
+        const network = res.locals.network as NetworkData;
+        const entries: unknown = req.body?.nodes;
+        
+        if (!Array.isArray(entries) || entries.length === 0) {
+            res.status(400).json({ 
+                error: 'nodes must be a non-empty array of osmIds or { osmId, ref, lat, lng } entries' 
+            });
+            return;
+        }
+        
+        const osmIds: string[] = [];
+        const requested: DiffNode[] = [];
+        for (const entry of entries) {
+            if (typeof entry === 'string' || typeof entry === 'number') {
+                osmIds.push(String(entry));
+            } else if (entry && (typeof entry.osmId === 'string' || typeof entry.osmId === 'number')) {
+                osmIds.push(String(entry.osmId));
+                if (typeof entry.lat === 'number' && typeof entry.lng === 'number') {
+                    requested.push({ osmId: String(entry.osmId), ref: entry.ref, lat: entry.lat, lng: entry.lng });
+                }
+            } else {
+                res.status(400).json({ 
+                    error: 'Invalid node entry',
+                    message: JSON.stringify(entry)
+                });
+                return;
+            }
+        }
+        
+        console.log(`🔁 Reconciling ${osmIds.length} visited nodes in ${network.dataset.id}`);
+        
+        const nodes = await loadAllNodes(network);
+        const otherIds = await loadOtherNetworkIds(network);
+        const missing = reconcileNodes(requested, osmIds.filter(osmId => !otherIds.has(osmId)), nodes, await loadRemovedNodes(network));
+        
+        res.json({
+            checked: osmIds.length,
+            missing: missing,
+            count: missing.length,
+            dataVersion: network.chunkIndex?.generatedAt || null,
+            source: network.chunkIndex ? 'Chunk-based loading' : 'Local data file'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error reconciling nodes:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to reconcile nodes',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Clear the cache of every network (useful for development)
  */
 router.delete('/cache', (req: Request, res: Response): void => {
-    cyclingNodesCache = null;
-    cacheTimestamp = null;
+    networks.clear();
+    datasetConfig = null;
+    achievementRules = null;
+    tileConfig = null;
+    fs.rm(TILES_DIR, { recursive: true, force: true }).catch(error => {
+        console.error('❌ Failed to clear tile cache:', (error as Error).message);
+    });
     console.log('🗑️ Cache cleared');
     res.json({ message: 'Cache cleared successfully' });
 });
 
 /**
- * Get total node statistics
+ * Get total node statistics of the network
+ * POST a { visited: [osmId] } body, or pass ?user= with a bearer token, to also count the visited nodes in the network
  */
-router.get('/stats', async (req: Request, res: Response): Promise<void> => {
+async function sendStats(req: Request, res: Response): Promise<void> {
     try {
+        const network = res.locals.network as NetworkData;
+        const visitedResult = await getVisitedSet(req);
+        if ('error' in visitedResult) {
+            res.status(visitedResult.status).json({ error: visitedResult.error });
+            return;
+        }
+        
         // Load full dataset to get total count
-        const data = await loadLocalNodes();
+        const nodes = await loadAllNodes(network);
+        const visited = visitedResult.visited;
         
         res.json({
-            totalNodes: data.count,
-            lastUpdated: data.lastUpdated,
-            source: data.source
+            network: network.dataset.id,
+            name: network.dataset.name,
+            totalNodes: nodes.length,
+            visitedNodes: visited ? nodes.filter(node => visited.has(String(node.osmId))).length : undefined,
+            lastUpdated: network.chunkIndex?.generatedAt || network.cyclingNodesCache?.lastUpdated || 'Unknown',
+            source: network.chunkIndex ? 'Chunk-based loading' : 'Local data file'
         });
     } catch (error) {
         console.error('❌ Error loading stats:', (error as Error).message);
@@ -492,17 +1692,227 @@ router.get('/stats', async (req: Request, res: Response): Promise<void> => {
             message: (error as Error).message
         });
     }
+}
+
+router.get('/stats', resolveNetwork, sendStats);
+router.post('/stats', resolveNetwork, sendStats);
+
+/**
+ * Get total and visited node counts per province and gemeente
+ * Optional ?level=province|municipality; POST a { visited: [osmId] } body, or pass ?user= with a bearer token, for visited counts
+ */
+async function sendRegionStats(req: Request, res: Response): Promise<void> {
+    try {
+        const network = res.locals.network as NetworkData;
+        const level = req.query.level ? String(req.query.level) : null;
+        if (level !== null && !isRegionLevel(level)) {
+            res.status(400).json({ 
+                error: 'level must be province or municipality' 
+            });
+            return;
+        }
+        
+        const visitedResult = await getVisitedSet(req);
+        if ('error' in visitedResult) {
+            res.status(visitedResult.status).json({ error: visitedResult.error });
+            return;
+        }
+        
+        const data = await loadRegionData(network);
+        if (!data) {
+            res.status(404).json({
+                error: 'No region boundaries found, run npm run download:regions'
+            });
+            return;
+        }
+        
+        const regions = getRegionStats(data, visitedResult.visited, level);
+        
+        res.json({
+            regions: regions,
+            count: regions.length,
+            level: level,
+            nodeCount: data.nodeCount,
+            unassigned: countUnassignedNodes(data, level || 'province'),
+            source: `Local ${REGIONS_FILE}`
+        });
+        
+    } catch (error) {
+        console.error('❌ Error loading region stats:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to load region statistics',
+            message: (error as Error).message
+        });
+    }
+}
+
+router.get('/stats/regions', resolveNetwork, sendRegionStats);
+router.post('/stats/regions', resolveNetwork, sendRegionStats);
+
+/**
+ * Get the simplified outlines of the provinces or gemeenten as GeoJSON, for the choropleth overlay
+ */
+router.get('/regions', resolveNetwork, async (req: Request, res: Response): Promise<void> => {
+    try {
+        const network = res.locals.network as NetworkData;
+        const level = String(req.query.level || 'province');
+        if (!isRegionLevel(level)) {
+            res.status(400).json({ 
+                error: 'level must be province or municipality' 
+            });
+            return;
+        }
+        
+        const data = await loadRegionData(network);
+        if (!data) {
+            res.status(404).json({
+                error: 'No region boundaries found, run npm run download:regions'
+            });
+            return;
+        }
+        
+        res.set('Content-Type', 'application/geo+json');
+        res.send(JSON.stringify(buildRegionGeoJson(data.regions, level)));
+        
+    } catch (error) {
+        console.error('❌ Error loading regions:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to load regions',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Get the progress toward every achievement rule
+ * POST a { visited: [{ osmId, visits }] } body, or pass ?user= with a bearer token for the stored progress
+ */
+async function sendAchievements(req: Request, res: Response): Promise<void> {
+    try {
+        const network = res.locals.network as NetworkData;
+        let visited: VisitedNode[] = [];
+        if (req.body && req.body.visited !== undefined) {
+            const parsed = parseVisitedList(req.body.visited);
+            if (!parsed) {
+                res.status(400).json({ 
+                    error: 'visited must be an array of osmIds or { osmId, visits } entries' 
+                });
+                return;
+            }
+            visited = parsed;
+        } else if (req.query.user) {
+            const user = await authenticateUser(String(req.query.user), req.headers.authorization);
+            if (!user) {
+                res.status(401).json({ error: 'Not logged in' });
+                return;
+            }
+            visited = user.visited;
+        }
+        
+        const rules = await loadAchievementRules();
+        const achievements = evaluateAchievements(rules, visited, await loadRegionData(network));
+        
+        res.json({
+            achievements: achievements,
+            count: achievements.length,
+            achieved: achievements.filter(achievement => achievement.achieved).length,
+            source: `Local ${ACHIEVEMENTS_FILE}`
+        });
+        
+    } catch (error) {
+        console.error('❌ Error evaluating achievements:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to evaluate achievements',
+            message: (error as Error).message
+        });
+    }
+}
+
+router.get('/achievements', resolveNetwork, sendAchievements);
+router.post('/achievements', resolveNetwork, sendAchievements);
+
+/**
+ * Search knooppunten by ref and place ("52 Nijmegen"), places by name, or the nearest knooppunten to "lat,lng".
+ * Knooppunten found by ref only are ordered by distance from the optional lat/lng center
+ */
+router.get('/search', resolveNetwork, async (req: Request, res: Response): Promise<void> => {
+    try {
+        const network = res.locals.network as NetworkData;
+        const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        const limit = req.query.limit ? parseInt(req.query.limit as string, 10) : SEARCH_RESULTS;
+        const lat = parseFloat(req.query.lat as string);
+        const lng = parseFloat(req.query.lng as string);
+        
+        if (!query || query.length > MAX_SEARCH_LENGTH) {
+            res.status(400).json({ 
+                error: `q must be between 1 and ${MAX_SEARCH_LENGTH} characters` 
+            });
+            return;
+        }
+        if (isNaN(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+            res.status(400).json({ 
+                error: `limit must be between 1 and ${MAX_SEARCH_RESULTS}` 
+            });
+            return;
+        }
+        
+        const index = await getSearchIndex(network);
+        const results = search(index, query, limit, isNaN(lat) || isNaN(lng) ? null : { lat, lng });
+        
+        res.json({
+            query: query,
+            results: results,
+            count: results.length,
+            // Without place tags or region boundaries only refs and coordinates can be found
+            warning: index.places.size === 0 ? 'Plaatsnamen niet beschikbaar, download de regiogrenzen met npm run download:regions' : undefined,
+            source: 'Local search index'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error searching:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to search',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Frontend configuration: the map tile sources, each with the URL pattern the service worker caches,
+ * and the knooppunt networks to choose from
+ */
+router.get('/config', async (req: Request, res: Response): Promise<void> => {
+    try {
+        const config = await loadTileConfig();
+        const datasets = await loadDatasetConfig();
+        
+        res.json({
+            tileSources: config.tileSources.map(source => ({ ...source, cachePattern: getTileCachePattern(source) })),
+            defaultTileSource: config.defaultTileSource,
+            networks: datasets.datasets.map(dataset => ({ id: dataset.id, name: dataset.name, network: dataset.network, bbox: dataset.bbox })),
+            defaultNetwork: datasets.defaultDataset,
+            source: `Local ${path.basename(TILE_SOURCES_FILE)} and ${path.basename(DATASETS_FILE)}`
+        });
+        
+    } catch (error) {
+        console.error('❌ Error loading configuration:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to load configuration',
+            message: (error as Error).message
+        });
+    }
 });
 
 /**
  * Get cache status
  */
-router.get('/cache/status', (req: Request, res: Response): void => {
+router.get('/cache/status', resolveNetwork, (req: Request, res: Response): void => {
+    const network = res.locals.network as NetworkData;
     res.json({
-        cached: !!cyclingNodesCache,
-        cacheAge: cacheTimestamp ? Date.now() - cacheTimestamp : null,
-        nodeCount: cyclingNodesCache ? cyclingNodesCache.count : 0,
-        lastUpdated: cyclingNodesCache ? cyclingNodesCache.lastUpdated : null
+        cached: !!network.cyclingNodesCache,
+        cacheAge: network.cacheTimestamp ? Date.now() - network.cacheTimestamp : null,
+        nodeCount: network.cyclingNodesCache ? network.cyclingNodesCache.count : 0,
+        lastUpdated: network.cyclingNodesCache ? network.cyclingNodesCache.lastUpdated : null
     });
 });
 
@@ -1,22 +1,33 @@
 /**
  * Node clustering utilities for efficient map display
- * Groups nearby nodes into clusters at different zoom levels
+ * Groups nearby nodes into clusters at different zoom levels. The clusters of
+ * every zoom level are built once into a hierarchy: each level merges the
+ * clusters of the level below it, so a cluster knows its children at the next zoom
  */
 
 import { CyclingNode, NodeCluster, ClusteringResult } from '../types';
+import { getDistance } from '../utils/geo';
+import { GridIndex } from '../utils/spatial-index';
 
-/**
- * Calculate distance between two geographic points in kilometers
- */
-function getDistance(lat1: number, lng1: number, lat2: number, lng2: number): number {
-    const R = 6371; // Earth's radius in km
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLng = (lng2 - lng1) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-              Math.sin(dLng/2) * Math.sin(dLng/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
+// Highest zoom level with clusters, individual nodes are shown above it
+const MAX_CLUSTER_ZOOM = 10;
+
+const KM_PER_DEGREE = 111.32;
+
+interface HierarchyPoint {
+    id: string;
+    lat: number;
+    lng: number;
+    count: number;
+    zoom: number;                  // Zoom level the cluster was formed at, MAX_CLUSTER_ZOOM + 1 for nodes
+    node?: CyclingNode;            // Set for individual nodes
+    children: HierarchyPoint[];    // Clusters and nodes of zoom + 1 merged into this cluster
+}
+
+export interface ClusterHierarchy {
+    levels: Map<number, GridIndex<HierarchyPoint>>;  // zoom -> clusters and unmerged nodes
+    clusters: Map<string, HierarchyPoint>;           // cluster id -> cluster
+    nodeCount: number;
 }
 
 /**
@@ -67,108 +78,208 @@ function calculateZoomFromBounds(south: number, west: number, north: number, eas
 }
 
 /**
- * Cluster nodes using a simple distance-based algorithm
+ * Merge the points of one zoom level into the clusters of the level above it
+ * Each unmerged point takes every unmerged neighbour within the cluster distance,
+ * the cluster is placed at the count-weighted centre of its children
  */
-function clusterNodes(nodes: CyclingNode[], zoom: number): NodeCluster[] {
+function clusterLevel(points: HierarchyPoint[], zoom: number, hierarchy: ClusterHierarchy): HierarchyPoint[] {
     const clusterDistance = getClusterDistance(zoom);
-    
-    // If cluster distance is 0, return all individual nodes
-    if (clusterDistance === 0) {
-        return nodes.map(node => ({
-            id: node.id,
-            lat: node.lat,
-            lng: node.lng,
-            osmId: node.osmId,
-            name: node.name,
-            nodes: [node],
+    const index = new GridIndex<HierarchyPoint>(clusterDistance / KM_PER_DEGREE);
+    for (const point of points) {
+        index.insertPoint(point, point.lat, point.lng);
+    }
+
+    const merged = new Set<HierarchyPoint>();
+    const result: HierarchyPoint[] = [];
+
+    for (const point of points) {
+        if (merged.has(point)) continue;
+        merged.add(point);
+
+        const latRange = clusterDistance / KM_PER_DEGREE;
+        const lngRange = clusterDistance / (KM_PER_DEGREE * Math.cos(point.lat * Math.PI / 180));
+        const neighbours = index
+            .search(point.lat - latRange, point.lng - lngRange, point.lat + latRange, point.lng + lngRange)
+            .filter(other => !merged.has(other) &&
+                getDistance(point.lat, point.lng, other.lat, other.lng) <= clusterDistance);
+
+        if (neighbours.length === 0) {
+            result.push(point);
+            continue;
+        }
+
+        const children = [point, ...neighbours];
+        let count = 0, latSum = 0, lngSum = 0;
+        for (const child of children) {
+            merged.add(child);
+            count += child.count;
+            latSum += child.lat * child.count;
+            lngSum += child.lng * child.count;
+        }
+
+        // Named after the seed node, so the id is the same for every request and restart on the same data
+        const cluster: HierarchyPoint = {
+            id: `cluster_${zoom}_${getSeedId(point)}`,
+            lat: latSum / count,
+            lng: lngSum / count,
+            count: count,
+            zoom: zoom,
+            children: children
+        };
+        hierarchy.clusters.set(cluster.id, cluster);
+        result.push(cluster);
+    }
+
+    return result;
+}
+
+function getSeedId(point: HierarchyPoint): string {
+    let seed = point;
+    while (!seed.node) {
+        seed = seed.children[0];
+    }
+    return String(seed.node.osmId);
+}
+
+/**
+ * Build the cluster hierarchy for zoom 0 up to MAX_CLUSTER_ZOOM from all nodes
+ */
+export function buildClusterHierarchy(nodes: CyclingNode[]): ClusterHierarchy {
+    const hierarchy: ClusterHierarchy = {
+        levels: new Map(),
+        clusters: new Map(),
+        nodeCount: nodes.length
+    };
+
+    let points: HierarchyPoint[] = nodes.map(node => ({
+        id: String(node.osmId),
+        lat: node.lat,
+        lng: node.lng,
+        count: 1,
+        zoom: MAX_CLUSTER_ZOOM + 1,
+        node: node,
+        children: []
+    }));
+
+    for (let zoom = MAX_CLUSTER_ZOOM + 1; zoom >= 0; zoom--) {
+        if (zoom <= MAX_CLUSTER_ZOOM) {
+            points = clusterLevel(points, zoom, hierarchy);
+        }
+
+        const index = new GridIndex<HierarchyPoint>();
+        for (const point of points) {
+            index.insertPoint(point, point.lat, point.lng);
+        }
+        hierarchy.levels.set(zoom, index);
+    }
+
+    return hierarchy;
+}
+
+/**
+ * Number of nodes inside a cluster whose osmId is in the visited set
+ */
+function countVisited(point: HierarchyPoint, visited: Set<string>): number {
+    if (point.node) {
+        return visited.has(String(point.node.osmId)) ? 1 : 0;
+    }
+    return point.children.reduce((sum, child) => sum + countVisited(child, visited), 0);
+}
+
+/**
+ * Convert a hierarchy point to the cluster format the frontend expects
+ * Clusters carry their visited count instead of all their nodes
+ */
+function toNodeCluster(point: HierarchyPoint, visited: Set<string> | null): NodeCluster {
+    const visitedCount = visited ? countVisited(point, visited) : undefined;
+
+    if (point.node) {
+        return {
+            id: point.node.id,
+            lat: point.node.lat,
+            lng: point.node.lng,
+            osmId: point.node.osmId,
+            name: point.node.name,
+            nodes: [point.node],
             count: 1,
+            visitedCount: visitedCount,
             isCluster: false,
             type: 'node'  // Add type for frontend compatibility
-        }));
+        };
     }
-    
-    const clusters: NodeCluster[] = [];
-    const used = new Set<number>();
-    
-    for (let i = 0; i < nodes.length; i++) {
-        if (used.has(i)) continue;
-        
-        const centerNode = nodes[i];
-        const clusterNodes: CyclingNode[] = [centerNode];
-        let clusterLat = centerNode.lat;
-        let clusterLng = centerNode.lng;
-        let count = 1;
-        
-        used.add(i);
-        
-        // Find nearby nodes to add to this cluster
-        for (let j = i + 1; j < nodes.length; j++) {
-            if (used.has(j)) continue;
-            
-            const node = nodes[j];
-            const distance = getDistance(centerNode.lat, centerNode.lng, node.lat, node.lng);
-            
-            if (distance <= clusterDistance) {
-                clusterNodes.push(node);
-                count++;
-                used.add(j);
-                
-                // Update cluster center to average position
-                clusterLat = clusterNodes.reduce((sum, n) => sum + n.lat, 0) / clusterNodes.length;
-                clusterLng = clusterNodes.reduce((sum, n) => sum + n.lng, 0) / clusterNodes.length;
-            }
-        }
-        
-        // Add cluster or individual node
-        if (count === 1) {
-            // Single node - return as individual node
-            clusters.push({
-                id: centerNode.id,
-                lat: centerNode.lat,
-                lng: centerNode.lng,
-                osmId: centerNode.osmId,
-                name: centerNode.name,
-                nodes: [centerNode],
-                count: 1,
-                isCluster: false,
-                type: 'node'  // Add type for frontend compatibility
-            });
-        } else {
-            // Multiple nodes - return as cluster
-            clusters.push({
-                id: `cluster_${clusters.length}`,
-                lat: clusterLat,
-                lng: clusterLng,
-                nodes: clusterNodes,
-                count: count,
-                isCluster: true,
-                type: 'cluster'  // Add type for frontend compatibility
-            });
+
+    return {
+        id: point.id,
+        lat: point.lat,
+        lng: point.lng,
+        count: point.count,
+        visitedCount: visitedCount,
+        isCluster: true,
+        type: 'cluster',  // Add type for frontend compatibility
+        expansionZoom: point.zoom + 1
+    };
+}
+
+/**
+ * Children of a cluster at the zoom level where it splits up, null for an unknown cluster id
+ */
+export function getClusterChildren(
+    hierarchy: ClusterHierarchy,
+    clusterId: string,
+    visited: Set<string> | null = null
+): { zoom: number; children: NodeCluster[] } | null {
+    const cluster = hierarchy.clusters.get(clusterId);
+    if (!cluster) return null;
+
+    return {
+        zoom: cluster.zoom + 1,
+        children: cluster.children.map(child => toNodeCluster(child, visited))
+    };
+}
+
+/**
+ * Visited counts of the given clusters, unknown cluster ids are left out
+ */
+export function getClusterVisitedCounts(hierarchy: ClusterHierarchy, clusterIds: string[], visited: Set<string>): { [id: string]: number } {
+    const counts: { [id: string]: number } = {};
+    for (const id of clusterIds) {
+        const cluster = hierarchy.clusters.get(id);
+        if (cluster) {
+            counts[id] = countVisited(cluster, visited);
         }
     }
-    
-    return clusters;
+    return counts;
 }
 
 /**
  * Main clustering function for API use
  */
 export function clusterNodesForBounds(
-    nodes: CyclingNode[], 
+    hierarchy: ClusterHierarchy,
     south: number, 
     west: number, 
     north: number, 
     east: number, 
-    explicitZoom: number | null = null
+    explicitZoom: number | null = null,
+    visited: Set<string> | null = null
 ): ClusteringResult {
     const zoom = explicitZoom !== null ? explicitZoom : calculateZoomFromBounds(south, west, north, east);
-    const clusters = clusterNodes(nodes, zoom);
+    const level = hierarchy.levels.get(Math.max(0, Math.min(Math.floor(zoom), MAX_CLUSTER_ZOOM + 1)));
+    if (!level) {
+        throw new Error(`Invalid zoom level ${zoom}`);
+    }
+    
+    // Widen the bounds by the cluster distance so clusters centred just outside the view,
+    // which hold nodes inside it, are returned as well (a degree of longitude is about 0.6 of a
+    // degree of latitude in the Netherlands)
+    const margin = getClusterDistance(zoom) / KM_PER_DEGREE;
+    const clusters = level.search(south - margin, west - margin * 1.6, north + margin, east + margin * 1.6).map(point => toNodeCluster(point, visited));
     
     return {
         clusters: clusters,
         zoom: zoom,
         clusterDistance: getClusterDistance(zoom),
-        originalNodeCount: nodes.length,
+        originalNodeCount: clusters.reduce((sum, cluster) => sum + cluster.count, 0),
         clusterCount: clusters.filter(c => c.isCluster).length,
         individualNodeCount: clusters.filter(c => !c.isCluster).length
     };
@@ -176,6 +287,5 @@ export function clusterNodesForBounds(
 
 export {
     calculateZoomFromBounds,
-    getClusterDistance,
-    clusterNodes
+    getClusterDistance
 };
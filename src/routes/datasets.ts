@@ -0,0 +1,166 @@
+/**
+ * Knooppunt network datasets
+ * Reads the dataset definitions from the datasets file: which OSM network the
+ * knooppunten belong to (rcn, rwn, lcn, ...), the area to download as a bbox
+ * or a list of countries, the grid size and the directory the chunks go to
+ */
+
+import { DatasetConfig, NetworkDataset } from '../types';
+
+const DEFAULT_GRID_SIZE = 8;
+const MAX_GRID_SIZE = 32;
+
+// Scope (i, n, r, l) followed by the activity and "n", e.g. rcn or rwn
+const NETWORK_PATTERN = /^[inrl][cwhmpi]n$/;
+
+// Route relation types per network activity letter
+const ROUTE_TYPES: { [activity: string]: string[] } = {
+    c: ['bicycle'],
+    w: ['hiking', 'foot', 'walking'],
+    h: ['horse'],
+    m: ['mtb'],
+    p: ['canoe'],
+    i: ['inline_skates']
+};
+
+// Bounding boxes [south, west, north, east] of the countries a dataset can name without a bbox
+const COUNTRY_BBOXES: { [country: string]: [number, number, number, number] } = {
+    NL: [50.7, 3.2, 53.7, 7.3],
+    BE: [49.45, 2.5, 51.55, 6.45],
+    LU: [49.4, 5.7, 50.2, 6.55],
+    DE: [47.2, 5.8, 55.1, 15.1]
+};
+
+function isBBox(value: unknown): value is [number, number, number, number] {
+    return Array.isArray(value) && value.length === 4
+        && value.every(n => typeof n === 'number' && isFinite(n))
+        && value[0] < value[2] && value[1] < value[3];
+}
+
+/**
+ * Bounding box around all the countries, null when one of them is unknown
+ */
+function getCountriesBBox(countries: string[]): [number, number, number, number] | null {
+    if (countries.length === 0 || !countries.every(country => COUNTRY_BBOXES[country])) return null;
+
+    const boxes = countries.map(country => COUNTRY_BBOXES[country]);
+    return [
+        Math.min(...boxes.map(box => box[0])),
+        Math.min(...boxes.map(box => box[1])),
+        Math.max(...boxes.map(box => box[2])),
+        Math.max(...boxes.map(box => box[3]))
+    ];
+}
+
+/**
+ * Read and check one dataset, throws when it is invalid
+ */
+function parseDataset(dataset: any, label: string): NetworkDataset {
+    if (!dataset || typeof dataset.id !== 'string' || !/^[a-z0-9-]+$/.test(dataset.id) || typeof dataset.name !== 'string') {
+        throw new Error(`${label}: id (lowercase letters, digits and -) and name are required`);
+    }
+    if (typeof dataset.network !== 'string' || !NETWORK_PATTERN.test(dataset.network)) {
+        throw new Error(`${label}: network must be an OSM knooppunt network such as rcn, rwn or lcn`);
+    }
+
+    const routeNetworks = dataset.routeNetworks ?? [dataset.network];
+    if (!Array.isArray(routeNetworks) || routeNetworks.length === 0 || !routeNetworks.every((network: unknown) => typeof network === 'string' && NETWORK_PATTERN.test(network))) {
+        throw new Error(`${label}: routeNetworks must be a list of OSM networks`);
+    }
+
+    const countries = dataset.countries ?? [];
+    if (!Array.isArray(countries) || !countries.every((country: unknown) => typeof country === 'string' && /^[A-Z]{2}$/.test(country))) {
+        throw new Error(`${label}: countries must be a list of ISO 3166-1 codes, e.g. ["BE"]`);
+    }
+
+    const bbox = dataset.bbox ?? getCountriesBBox(countries);
+    if (!isBBox(bbox)) {
+        throw new Error(`${label}: bbox [south, west, north, east] is required unless countries only lists ${Object.keys(COUNTRY_BBOXES).join(', ')}`);
+    }
+
+    const gridSize = dataset.gridSize ?? DEFAULT_GRID_SIZE;
+    if (!Number.isInteger(gridSize) || gridSize < 1 || gridSize > MAX_GRID_SIZE) {
+        throw new Error(`${label}: gridSize must be a whole number from 1 to ${MAX_GRID_SIZE}`);
+    }
+
+    const dir = dataset.dir ?? `datasets/${dataset.id}`;
+    if (typeof dir !== 'string' || dir.split(/[\\/]/).includes('..')) {
+        throw new Error(`${label}: dir must be a directory within data/`);
+    }
+
+    return {
+        id: dataset.id,
+        name: dataset.name,
+        network: dataset.network,
+        routeNetworks: routeNetworks,
+        countries: countries,
+        bbox: bbox,
+        gridSize: gridSize,
+        dir: dir
+    };
+}
+
+/**
+ * Read and check the datasets file, throws on the first invalid dataset.
+ * DEFAULT_NETWORK overrides the default of the file
+ */
+export function parseDatasetConfig(json: any, env: NodeJS.ProcessEnv): DatasetConfig {
+    if (!json || !Array.isArray(json.datasets) || json.datasets.length === 0) {
+        throw new Error('Datasets file must hold a non-empty "datasets" array');
+    }
+
+    const datasets: NetworkDataset[] = json.datasets.map((dataset: any, index: number) =>
+        parseDataset(dataset, `Dataset ${dataset?.id ?? index + 1}`));
+
+    const ids = new Set<string>();
+    const dirs = new Set<string>();
+    for (const dataset of datasets) {
+        if (ids.has(dataset.id)) {
+            throw new Error(`Dataset ${dataset.id}: duplicate id`);
+        }
+        if (dirs.has(dataset.dir)) {
+            throw new Error(`Dataset ${dataset.id}: dir ${dataset.dir} is used by another dataset`);
+        }
+        ids.add(dataset.id);
+        dirs.add(dataset.dir);
+    }
+
+    const defaultDataset = env.DEFAULT_NETWORK || json.default || datasets[0].id;
+    if (!ids.has(defaultDataset)) {
+        throw new Error(`Default network ${defaultDataset} does not exist`);
+    }
+    return { datasets, defaultDataset };
+}
+
+/**
+ * OSM tag holding the knooppunt number, e.g. rcn_ref
+ */
+export function getRefTag(dataset: NetworkDataset): string {
+    return `${dataset.network}_ref`;
+}
+
+/**
+ * Route relation types of the dataset's activity, e.g. hiking, foot and walking for rwn
+ */
+export function getRouteTypes(dataset: NetworkDataset): string[] {
+    return ROUTE_TYPES[dataset.network.charAt(1)];
+}
+
+/**
+ * The dataset with the id, the default dataset when id is null. Throws for an unknown id
+ */
+export function findDataset(config: DatasetConfig, id: string | null): NetworkDataset {
+    const dataset = config.datasets.find(candidate => candidate.id === (id || config.defaultDataset));
+    if (!dataset) {
+        throw new Error(`Unknown network ${id}, use one of ${config.datasets.map(candidate => candidate.id).join(', ')}`);
+    }
+    return dataset;
+}
+
+/**
+ * Value of a --network=<id> command line argument, null when it is not given
+ */
+export function getNetworkArgument(args: string[]): string | null {
+    const arg = args.find(candidate => candidate.startsWith('--network='));
+    return arg ? arg.slice('--network='.length) : null;
+}
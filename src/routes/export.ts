@@ -0,0 +1,125 @@
+/**
+ * Knooppunt export formats
+ * Renders a set of knooppunten, optionally with a planned route, as GPX, KML
+ * or GeoJSON so it can be loaded on a bike computer or in other mapping tools
+ */
+
+import { CyclingNode, ExportFormat, ExportRoute } from '../types';
+
+export const EXPORT_FORMATS: { [format in ExportFormat]: { contentType: string; extension: string } } = {
+    gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+    geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+export function isExportFormat(value: string): value is ExportFormat {
+    return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, value);
+}
+
+export function escapeXml(value: string): string {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Waypoint name of a node: its ref, which is what the signposts show
+ */
+function getNodeLabel(node: CyclingNode): string {
+    return node.ref || String(node.id);
+}
+
+/**
+ * GPX 1.1 with a waypoint per node and, for a planned route, a route through
+ * its knooppunten plus a track with the full geometry
+ */
+export function buildGpx(name: string, nodes: CyclingNode[], route?: ExportRoute): string {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="Nederlandse Fietsknooppunten Tracker" xmlns="http://www.topografix.com/GPX/1/1">',
+        `  <metadata><name>${escapeXml(name)}</name><time>${new Date().toISOString()}</time></metadata>`
+    ];
+
+    for (const node of nodes) {
+        lines.push(`  <wpt lat="${node.lat}" lon="${node.lng}"><name>${escapeXml(getNodeLabel(node))}</name><desc>${escapeXml(node.name || '')}</desc><sym>Flag</sym></wpt>`);
+    }
+
+    if (route) {
+        lines.push(`  <rte><name>${escapeXml(route.name)}</name>`);
+        for (const node of route.nodes) {
+            lines.push(`    <rtept lat="${node.lat}" lon="${node.lng}"><name>${escapeXml(getNodeLabel(node))}</name></rtept>`);
+        }
+        lines.push('  </rte>');
+
+        lines.push(`  <trk><name>${escapeXml(route.name)}</name><trkseg>`);
+        for (const point of route.geometry) {
+            lines.push(`    <trkpt lat="${point.lat}" lon="${point.lng}"/>`);
+        }
+        lines.push('  </trkseg></trk>');
+    }
+
+    lines.push('</gpx>');
+    return lines.join('\n');
+}
+
+/**
+ * KML document with a placemark per node and a line for a planned route
+ */
+export function buildKml(name: string, nodes: CyclingNode[], route?: ExportRoute): string {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '<Document>',
+        `  <name>${escapeXml(name)}</name>`
+    ];
+
+    for (const node of nodes) {
+        lines.push(`  <Placemark><name>${escapeXml(getNodeLabel(node))}</name><description>${escapeXml(node.name || '')}</description><Point><coordinates>${node.lng},${node.lat}</coordinates></Point></Placemark>`);
+    }
+
+    if (route) {
+        const coordinates = route.geometry.map(point => `${point.lng},${point.lat}`).join(' ');
+        lines.push(`  <Placemark><name>${escapeXml(route.name)}</name><LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString></Placemark>`);
+    }
+
+    lines.push('</Document>', '</kml>');
+    return lines.join('\n');
+}
+
+/**
+ * GeoJSON FeatureCollection with a Point per node and a LineString for a planned route
+ */
+export function buildGeoJson(name: string, nodes: CyclingNode[], route?: ExportRoute): string {
+    const features: object[] = nodes.map(node => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [node.lng, node.lat] },
+        properties: { ref: getNodeLabel(node), osmId: node.osmId, name: node.name, network: node.network }
+    }));
+
+    if (route) {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: route.geometry.map(point => [point.lng, point.lat]) },
+            properties: { name: route.name, refs: route.nodes.map(getNodeLabel), distance: route.distance }
+        });
+    }
+
+    return JSON.stringify({ type: 'FeatureCollection', name, features }, null, 2);
+}
+
+/**
+ * Render nodes (and an optional route) in the requested format
+ */
+export function buildExport(format: ExportFormat, name: string, nodes: CyclingNode[], route?: ExportRoute): string {
+    switch (format) {
+        case 'gpx':
+            return buildGpx(name, nodes, route);
+        case 'kml':
+            return buildKml(name, nodes, route);
+        case 'geojson':
+            return buildGeoJson(name, nodes, route);
+    }
+}
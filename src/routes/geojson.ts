@@ -0,0 +1,103 @@
+/**
+ * GeoJSON output
+ * Converts knooppunten, clusters and routes to GeoJSON features, so the node and
+ * route endpoints can be loaded directly in QGIS, geojson.io or other Leaflet apps.
+ * Coordinates are [lng, lat] and bboxes [west, south, east, north], as GeoJSON requires
+ */
+
+import { Request } from 'express';
+import { CyclingNode, CyclingRoute, GeoJsonFeature, GeoJsonFeatureCollection, NodeCluster } from '../types';
+import { getRouteKey, getRouteSegments } from '../utils/geo';
+import { BBox } from '../utils/spatial-index';
+
+export const GEOJSON_CONTENT_TYPE = 'application/geo+json';
+
+export const RESPONSE_FORMATS = ['json', 'geojson'];
+
+export type ResponseFormat = 'json' | 'geojson';
+
+/**
+ * Requested format: the format query parameter, or else the Accept header.
+ * Returns null for an unknown format parameter
+ */
+export function getResponseFormat(req: Request): ResponseFormat | null {
+    const format = req.query.format;
+    if (format !== undefined) {
+        return format === 'json' || format === 'geojson' ? format : null;
+    }
+    // Only an explicit geo+json wins, */* and browsers keep getting the regular JSON
+    return req.accepts(['application/json', GEOJSON_CONTENT_TYPE]) === GEOJSON_CONTENT_TYPE ? 'geojson' : 'json';
+}
+
+function toPosition(point: { lat: number; lng: number }): [number, number] {
+    return [point.lng, point.lat];
+}
+
+/**
+ * Our [south, west, north, east] bounds in GeoJSON order
+ */
+export function toGeoJsonBBox(bounds: BBox): [number, number, number, number] {
+    const [south, west, north, east] = bounds;
+    return [west, south, east, north];
+}
+
+/**
+ * Properties of an item without its coordinates and the internal _chunk/_bounds fields
+ */
+function getProperties(item: object, omit: string[]): { [key: string]: any } {
+    return Object.fromEntries(Object.entries(item).filter(([key, value]) =>
+        !omit.includes(key) && !key.startsWith('_') && value !== undefined));
+}
+
+export function nodeToFeature(node: CyclingNode): GeoJsonFeature {
+    return {
+        type: 'Feature',
+        id: String(node.osmId ?? node.id),
+        geometry: { type: 'Point', coordinates: toPosition(node) },
+        properties: getProperties(node, ['lat', 'lng'])
+    };
+}
+
+/**
+ * A cluster is a Point with its count, single knooppunten carry the properties of the node
+ */
+export function clusterToFeature(cluster: NodeCluster): GeoJsonFeature {
+    const node = !cluster.isCluster && cluster.nodes?.length === 1 ? cluster.nodes[0] : null;
+    return {
+        type: 'Feature',
+        id: cluster.id,
+        geometry: { type: 'Point', coordinates: toPosition(cluster) },
+        properties: {
+            ...(node ? getProperties(node, ['lat', 'lng', 'id']) : {}),
+            ...getProperties(cluster, ['lat', 'lng', 'nodes'])
+        }
+    };
+}
+
+/**
+ * A route of several unconnected segments becomes a MultiLineString, otherwise a LineString
+ */
+export function routeToFeature(route: CyclingRoute): GeoJsonFeature {
+    const segments = getRouteSegments(route);
+    return {
+        type: 'Feature',
+        id: getRouteKey(route),
+        ...(route.bbox ? { bbox: toGeoJsonBBox(route.bbox) } : {}),
+        geometry: segments.length > 1
+            ? { type: 'MultiLineString', coordinates: segments.map(segment => segment.map(toPosition)) }
+            : { type: 'LineString', coordinates: (segments[0] || []).map(toPosition) },
+        properties: getProperties(route, ['geometry', 'segments', 'bbox'])
+    };
+}
+
+/**
+ * FeatureCollection of the features, members such as count and source are kept as foreign members
+ */
+export function toFeatureCollection(features: GeoJsonFeature[], bounds: BBox | null, members: { [member: string]: any } = {}): GeoJsonFeatureCollection {
+    return {
+        type: 'FeatureCollection',
+        ...(bounds ? { bbox: toGeoJsonBBox(bounds) } : {}),
+        ...members,
+        features: features
+    };
+}
@@ -0,0 +1,567 @@
+/**
+ * Knooppunt route planner
+ * Builds a graph from the route chunk geometries and finds the shortest
+ * knooppunt sequence between two (or more) cycling nodes, or a round trip
+ * along as many unvisited knooppunten as a distance budget allows
+ */
+
+import { CyclingNode, CyclingRoute, NetworkEdge, RideSuggestion, RoutePlan } from '../types';
+import { getDistance, getPathLength, getRouteSegments } from '../utils/geo';
+
+// Maximum distance (km) between a knooppunt and the route geometry it belongs to
+const MAX_SNAP_DISTANCE = 0.1;
+
+// Grid cell size (degrees) used to find nearby route points when snapping nodes
+const SNAP_CELL_SIZE = 0.01;
+
+// Longest network edge (km) searched for when deriving the knooppunt edges
+const MAX_EDGE_LENGTH = 20;
+
+// Same-ref nodes closer than this (km) are twins on both sides of a road, not an edge
+const TWIN_NODE_DISTANCE = 0.5;
+
+// Maximum distance (km) between a requested start location and the knooppunt a suggestion starts at
+const MAX_START_DISTANCE = 5;
+
+// Randomised walks tried per ride suggestion, the one with the most unvisited knooppunten wins
+const SUGGESTION_ATTEMPTS = 24;
+
+// Weight of the unvisited knooppunten one link further when scoring the next step of a walk
+const LOOKAHEAD_WEIGHT = 0.25;
+
+interface GraphEdge {
+    to: number;
+    length: number;
+    surface: string;
+}
+
+export interface NetworkGraph {
+    lats: number[];
+    lngs: number[];
+    adjacency: GraphEdge[][];
+    vertexNodes: Map<number, CyclingNode[]>;  // Knooppunten snapped to a vertex
+    nodeVertex: Map<string, number>;          // osmId -> vertex
+    nodes: Map<string, CyclingNode>;          // osmId -> node
+}
+
+/**
+ * Minimal binary heap keyed on distance, used by Dijkstra
+ */
+class MinHeap {
+    private items: Array<{ vertex: number; distance: number }> = [];
+
+    get size(): number {
+        return this.items.length;
+    }
+
+    push(vertex: number, distance: number): void {
+        const items = this.items;
+        items.push({ vertex, distance });
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].distance <= items[i].distance) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop(): { vertex: number; distance: number } | undefined {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0 && last) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].distance < items[smallest].distance) smallest = left;
+                if (right < items.length && items[right].distance < items[smallest].distance) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+function cellKey(lat: number, lng: number): string {
+    return `${Math.floor(lat / SNAP_CELL_SIZE)}_${Math.floor(lng / SNAP_CELL_SIZE)}`;
+}
+
+/**
+ * Build the network graph. Every route geometry point becomes a vertex (shared
+ * points connect routes) and every knooppunt is linked to its nearest vertex.
+ */
+export function buildNetworkGraph(nodes: CyclingNode[], routes: CyclingRoute[]): NetworkGraph {
+    const graph: NetworkGraph = {
+        lats: [],
+        lngs: [],
+        adjacency: [],
+        vertexNodes: new Map(),
+        nodeVertex: new Map(),
+        nodes: new Map()
+    };
+    const vertexIndex = new Map<string, number>();
+
+    const getVertex = (lat: number, lng: number): number => {
+        const key = `${lat.toFixed(7)},${lng.toFixed(7)}`;
+        let vertex = vertexIndex.get(key);
+        if (vertex === undefined) {
+            vertex = graph.lats.length;
+            graph.lats.push(lat);
+            graph.lngs.push(lng);
+            graph.adjacency.push([]);
+            vertexIndex.set(key, vertex);
+        }
+        return vertex;
+    };
+
+    for (const route of routes) {
+        const surface = route.tags?.surface || 'unknown';
+        for (const segment of getRouteSegments(route)) {
+            if (segment.length < 2) continue;
+
+            let previous = getVertex(segment[0].lat, segment[0].lng);
+            for (let i = 1; i < segment.length; i++) {
+                const point = segment[i];
+                const current = getVertex(point.lat, point.lng);
+                if (current !== previous) {
+                    const length = getDistance(graph.lats[previous], graph.lngs[previous], point.lat, point.lng);
+                    graph.adjacency[previous].push({ to: current, length, surface });
+                    graph.adjacency[current].push({ to: previous, length, surface });
+                }
+                previous = current;
+            }
+        }
+    }
+
+    // Bucket vertices in a grid so snapping does not need to scan every vertex
+    const grid = new Map<string, number[]>();
+    for (let v = 0; v < graph.lats.length; v++) {
+        const key = cellKey(graph.lats[v], graph.lngs[v]);
+        const cell = grid.get(key);
+        if (cell) {
+            cell.push(v);
+        } else {
+            grid.set(key, [v]);
+        }
+    }
+
+    for (const node of nodes) {
+        if (!node.osmId) continue;
+        const osmId = String(node.osmId);
+        graph.nodes.set(osmId, node);
+
+        const row = Math.floor(node.lat / SNAP_CELL_SIZE);
+        const col = Math.floor(node.lng / SNAP_CELL_SIZE);
+        let nearest = -1;
+        let nearestDistance = MAX_SNAP_DISTANCE;
+
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                const cell = grid.get(`${row + dr}_${col + dc}`);
+                if (!cell) continue;
+                for (const v of cell) {
+                    const distance = getDistance(node.lat, node.lng, graph.lats[v], graph.lngs[v]);
+                    if (distance <= nearestDistance) {
+                        nearest = v;
+                        nearestDistance = distance;
+                    }
+                }
+            }
+        }
+
+        if (nearest >= 0) {
+            graph.nodeVertex.set(osmId, nearest);
+            const attached = graph.vertexNodes.get(nearest);
+            if (attached) {
+                attached.push(node);
+            } else {
+                graph.vertexNodes.set(nearest, [node]);
+            }
+        }
+    }
+
+    return graph;
+}
+
+/**
+ * Connection from a knooppunt to a neighbouring knooppunt, without another knooppunt in between
+ */
+interface NodeLink {
+    to: number;
+    length: number;
+    vertices: number[];
+    edges: GraphEdge[];
+}
+
+interface SearchResult {
+    distances: Map<number, number>;
+    previous: Map<number, { vertex: number; edge: GraphEdge }>;
+    reached: number[];  // Knooppunt vertices where the search stopped (stopAtNodes only)
+}
+
+/**
+ * Dijkstra search from a vertex. Stops at the target when given, never expands
+ * beyond maxDistance and, with stopAtNodes, does not continue past knooppunten.
+ */
+function searchNetwork(
+    graph: NetworkGraph,
+    start: number,
+    options: { target?: number; maxDistance?: number; stopAtNodes?: boolean } = {}
+): SearchResult {
+    const maxDistance = options.maxDistance ?? Infinity;
+    const distances = new Map<number, number>([[start, 0]]);
+    const previous = new Map<number, { vertex: number; edge: GraphEdge }>();
+    const reached: number[] = [];
+    const heap = new MinHeap();
+    heap.push(start, 0);
+
+    while (heap.size > 0) {
+        const { vertex, distance } = heap.pop()!;
+        if (vertex === options.target) break;
+        if (distance > (distances.get(vertex) ?? Infinity)) continue;
+
+        if (options.stopAtNodes && vertex !== start && graph.vertexNodes.has(vertex)) {
+            reached.push(vertex);
+            continue;
+        }
+
+        for (const edge of graph.adjacency[vertex]) {
+            const candidate = distance + edge.length;
+            if (candidate <= maxDistance && candidate < (distances.get(edge.to) ?? Infinity)) {
+                distances.set(edge.to, candidate);
+                previous.set(edge.to, { vertex, edge });
+                heap.push(edge.to, candidate);
+            }
+        }
+    }
+
+    return { distances, previous, reached };
+}
+
+/**
+ * Walk the search tree back from a vertex to the search start
+ */
+function tracePath(search: SearchResult, start: number, target: number): { vertices: number[]; edges: GraphEdge[] } {
+    const vertices = [target];
+    const edges: GraphEdge[] = [];
+    let current = target;
+    while (current !== start) {
+        const step = search.previous.get(current)!;
+        edges.push(step.edge);
+        current = step.vertex;
+        vertices.push(current);
+    }
+    return { vertices: vertices.reverse(), edges: edges.reverse() };
+}
+
+/**
+ * Dijkstra shortest path between two vertices, returns the vertex path or null
+ */
+function shortestPath(graph: NetworkGraph, start: number, target: number): number[] | null {
+    const search = searchNetwork(graph, start, { target });
+    if (!search.distances.has(target)) return null;
+    return tracePath(search, start, target).vertices;
+}
+
+/**
+ * Collect the knooppunten along a vertex path in riding order
+ */
+function getPassedNodes(graph: NetworkGraph, vertexPath: number[], preferred: Map<number, CyclingNode> = new Map()): CyclingNode[] {
+    const passedNodes: CyclingNode[] = [];
+    for (const vertex of vertexPath) {
+        const node = preferred.get(vertex) || graph.vertexNodes.get(vertex)?.[0];
+        if (!node) continue;
+
+        // Twin nodes on both sides of a road share a ref, only list them once
+        const last = passedNodes[passedNodes.length - 1];
+        if (last && (last.osmId === node.osmId || (last.ref && last.ref === node.ref))) continue;
+        passedNodes.push(node);
+    }
+    return passedNodes;
+}
+
+/**
+ * Find the links from a knooppunt vertex to its neighbouring knooppunten
+ */
+function findNodeLinks(graph: NetworkGraph, start: number, maxDistance: number = MAX_EDGE_LENGTH): NodeLink[] {
+    const search = searchNetwork(graph, start, { maxDistance, stopAtNodes: true });
+    return search.reached.map(target => ({
+        to: target,
+        length: search.distances.get(target)!,
+        ...tracePath(search, start, target)
+    }));
+}
+
+function isTwinLink(graph: NetworkGraph, start: number, link: NodeLink): boolean {
+    const fromNode = graph.vertexNodes.get(start)![0];
+    const toNode = graph.vertexNodes.get(link.to)![0];
+    return !!fromNode.ref && fromNode.ref === toNode.ref && link.length < TWIN_NODE_DISTANCE;
+}
+
+/**
+ * Plan a route through the given waypoints (osmIds: start, optional vias, end)
+ * Returns null when the waypoints are not connected by the route network
+ */
+export function planRoute(graph: NetworkGraph, waypoints: string[]): RoutePlan | null {
+    const vertexPath: number[] = [];
+
+    for (let i = 1; i < waypoints.length; i++) {
+        const start = graph.nodeVertex.get(waypoints[i - 1]);
+        const target = graph.nodeVertex.get(waypoints[i]);
+        if (start === undefined || target === undefined) return null;
+
+        const leg = shortestPath(graph, start, target);
+        if (!leg) return null;
+
+        // Legs share their connecting vertex
+        vertexPath.push(...(vertexPath.length > 0 ? leg.slice(1) : leg));
+    }
+
+    const geometry = vertexPath.map(v => ({ lat: graph.lats[v], lng: graph.lngs[v] }));
+    const distance = getPathLength(geometry);
+
+    // Requested waypoints take precedence over other knooppunten at the same vertex
+    const waypointVertices = new Map<number, CyclingNode>();
+    waypoints.forEach(osmId => {
+        waypointVertices.set(graph.nodeVertex.get(osmId)!, graph.nodes.get(osmId)!);
+    });
+    const passedNodes = getPassedNodes(graph, vertexPath, waypointVertices);
+
+    return {
+        from: waypoints[0],
+        to: waypoints[waypoints.length - 1],
+        via: waypoints.slice(1, -1),
+        nodes: passedNodes,
+        refs: passedNodes.map(node => node.ref || String(node.osmId)),
+        distance: Math.round(distance * 100) / 100,
+        geometry
+    };
+}
+
+/**
+ * Derive the knooppunt-to-knooppunt edges of the network: every pair of
+ * knooppunten connected by route geometry without another knooppunt in between
+ */
+export function deriveEdges(graph: NetworkGraph): NetworkEdge[] {
+    const edges: NetworkEdge[] = [];
+    const seen = new Set<string>();
+
+    for (const start of graph.vertexNodes.keys()) {
+        for (const link of findNodeLinks(graph, start)) {
+            const key = start < link.to ? `${start}_${link.to}` : `${link.to}_${start}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            if (isTwinLink(graph, start, link)) continue;
+
+            const fromNode = graph.vertexNodes.get(start)![0];
+            const toNode = graph.vertexNodes.get(link.to)![0];
+            const length = link.length;
+
+            const surfaceLengths: { [surface: string]: number } = {};
+            for (const edge of link.edges) {
+                surfaceLengths[edge.surface] = (surfaceLengths[edge.surface] || 0) + edge.length;
+            }
+            const surface: { [surface: string]: number } = {};
+            for (const [name, surfaceLength] of Object.entries(surfaceLengths)) {
+                surface[name] = length > 0 ? Math.round((surfaceLength / length) * 100) / 100 : 0;
+            }
+
+            edges.push({
+                id: `${fromNode.osmId}-${toNode.osmId}`,
+                from: String(fromNode.osmId),
+                to: String(toNode.osmId),
+                fromRef: fromNode.ref,
+                toRef: toNode.ref,
+                length: Math.round(length * 100) / 100,
+                surface,
+                geometry: link.vertices.map(v => ({ lat: graph.lats[v], lng: graph.lngs[v] }))
+            });
+        }
+    }
+
+    return edges;
+}
+
+/**
+ * Find the connected knooppunt nearest to a location, null when none lies within the start radius
+ */
+export function findNearestConnectedNode(graph: NetworkGraph, lat: number, lng: number): CyclingNode | null {
+    let nearest: CyclingNode | null = null;
+    let nearestDistance = MAX_START_DISTANCE;
+    for (const osmId of graph.nodeVertex.keys()) {
+        const node = graph.nodes.get(osmId)!;
+        const distance = getDistance(lat, lng, node.lat, node.lng);
+        if (distance <= nearestDistance) {
+            nearest = node;
+            nearestDistance = distance;
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Small seeded random generator (mulberry32), so the same request gives the same suggestion
+ */
+function createRandom(seed: number): () => number {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Suggest a round trip from a knooppunt that passes as many unvisited knooppunten
+ * as possible within the distance budget (km). Walks the knooppunt network greedily,
+ * always keeping enough budget to ride back to the start, and keeps the best of
+ * several randomised walks. Returns null when the start is not connected.
+ */
+export function suggestRide(graph: NetworkGraph, startOsmId: string, budget: number, visited: Set<string>): RideSuggestion | null {
+    const start = graph.nodeVertex.get(startOsmId);
+    if (start === undefined) return null;
+
+    // Knooppunten further than half the budget can never be part of a round trip
+    const home = searchNetwork(graph, start, { maxDistance: budget / 2 });
+    const homeDistance = (vertex: number) => home.distances.get(vertex) ?? Infinity;
+
+    const links = new Map<number, NodeLink[]>();
+    const getLinks = (vertex: number): NodeLink[] => {
+        let vertexLinks = links.get(vertex);
+        if (!vertexLinks) {
+            vertexLinks = findNodeLinks(graph, vertex, budget / 2).filter(link => home.distances.has(link.to));
+            links.set(vertex, vertexLinks);
+        }
+        return vertexLinks;
+    };
+    const unvisitedAt = (vertex: number): number =>
+        (graph.vertexNodes.get(vertex) || []).filter(node => !visited.has(String(node.osmId))).length;
+
+    // A knooppunt and its twins on the other side of the road count as one stop
+    const twinsOf = (vertex: number): number[] =>
+        [vertex, ...getLinks(vertex).filter(link => isTwinLink(graph, vertex, link)).map(link => link.to)];
+    const groupOf = (vertex: number): number => Math.min(...twinsOf(vertex));
+
+    const walk = (random: (() => number) | null) => {
+        const path = [start];
+        const collected = new Set<number>();
+        const linkUses = new Map<string, number>();
+        let current = start;
+        let used = 0;
+
+        // Visiting a knooppunt also visits its twin on the other side of the road
+        const collect = (vertex: number) => {
+            collected.add(vertex);
+            for (const link of getLinks(vertex)) {
+                if (isTwinLink(graph, vertex, link)) collected.add(link.to);
+            }
+        };
+        const gainAt = (vertex: number) => collected.has(vertex) ? 0 : unvisitedAt(vertex);
+        const groupGainAt = (vertex: number) => twinsOf(vertex).reduce((sum, twin) => sum + gainAt(twin), 0);
+        // Riding A-B or B-A between the same twin groups is the same stretch of road
+        const linkKey = (from: number, to: number) => {
+            const [a, b] = [groupOf(from), groupOf(to)].sort((x, y) => x - y);
+            return `${a}_${b}`;
+        };
+        const follow = (vertices: number[], length: number) => {
+            for (const vertex of vertices.slice(1)) {
+                path.push(vertex);
+                if (graph.vertexNodes.has(vertex)) collect(vertex);
+            }
+            used += length;
+            current = vertices[vertices.length - 1];
+        };
+        collect(start);
+
+        while (true) {
+            const options = getLinks(current)
+                .filter(link => used + link.length + homeDistance(link.to) <= budget);
+
+            let best: NodeLink | null = null;
+            let bestScore = 0;
+            for (const link of options) {
+                // Only a move that collects something new gets credit for what lies beyond,
+                // otherwise the walk shuttles between collected knooppunten next to new ones
+                const gain = groupGainAt(link.to);
+                const key = linkKey(current, link.to);
+                if (gain === 0 || (linkUses.get(key) || 0) >= 2) continue;
+
+                const lookahead = getLinks(link.to).reduce((sum, next) => sum + gainAt(next.to), 0);
+                const value = gain + lookahead * LOOKAHEAD_WEIGHT;
+
+                const noise = random ? 0.6 + random() * 0.8 : 1;
+                const score = value / link.length / (1 + 2 * (linkUses.get(key) || 0)) * noise;
+                if (score > bestScore) {
+                    best = link;
+                    bestScore = score;
+                }
+            }
+
+            if (best) {
+                const key = linkKey(current, best.to);
+                linkUses.set(key, (linkUses.get(key) || 0) + 1);
+                follow(best.vertices, best.length);
+                continue;
+            }
+
+            // Nothing new next door: ride to the nearest unvisited knooppunt that still fits the budget
+            const search = searchNetwork(graph, current, { maxDistance: budget - used });
+            let target = -1;
+            let targetDistance = Infinity;
+            search.distances.forEach((distance, vertex) => {
+                if (distance < targetDistance && gainAt(vertex) > 0 && used + distance + homeDistance(vertex) <= budget) {
+                    target = vertex;
+                    targetDistance = distance;
+                }
+            });
+            if (target === -1) break;
+            follow(tracePath(search, current, target).vertices, targetDistance);
+        }
+
+        // Ride back along the shortest path to the start
+        follow(tracePath(home, start, current).vertices.reverse(), homeDistance(current));
+        return path;
+    };
+
+    let bestPath: number[] = [start];
+    let bestNew: CyclingNode[] = [];
+    let bestDistance = 0;
+    const random = createRandom(Number(startOsmId) || 1);
+    for (let attempt = 0; attempt < SUGGESTION_ATTEMPTS; attempt++) {
+        const path = walk(attempt === 0 ? null : random);
+        const geometry = path.map(v => ({ lat: graph.lats[v], lng: graph.lngs[v] }));
+        const distance = getPathLength(geometry);
+
+        // Unvisited knooppunten on the path and their twins
+        const newNodes = new Map<string, CyclingNode>();
+        for (const vertex of new Set(path)) {
+            if (!graph.vertexNodes.has(vertex)) continue;
+            for (const node of twinsOf(vertex).flatMap(v => graph.vertexNodes.get(v) || [])) {
+                if (!visited.has(String(node.osmId))) newNodes.set(String(node.osmId), node);
+            }
+        }
+
+        if (newNodes.size > bestNew.length || (newNodes.size === bestNew.length && distance < bestDistance)) {
+            bestPath = path;
+            bestNew = Array.from(newNodes.values());
+            bestDistance = distance;
+        }
+    }
+
+    const passedNodes = getPassedNodes(graph, bestPath);
+    return {
+        start: startOsmId,
+        targetDistance: budget,
+        nodes: passedNodes,
+        refs: passedNodes.map(node => node.ref || String(node.osmId)),
+        newNodes: bestNew.map(node => String(node.osmId)),
+        distance: Math.round(bestDistance * 100) / 100,
+        geometry: bestPath.map(v => ({ lat: graph.lats[v], lng: graph.lngs[v] }))
+    };
+}
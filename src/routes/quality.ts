@@ -0,0 +1,260 @@
+/**
+ * Data quality report
+ * Finds problems in the OpenStreetMap knooppunt data that are worth fixing
+ * upstream: nodes without a valid ref (rcn_ref, rwn_ref, ...), same-ref nodes next to each other,
+ * knooppunten that are not on any route and route ends that connect to nothing
+ */
+
+import { CyclingNode, CyclingRoute, QualityCategory, QualityIssue, QualityReport } from '../types';
+import { getDistance, getRouteKey, getRouteSegments } from '../utils/geo';
+import { BBox, GridIndex } from '../utils/spatial-index';
+
+export const QUALITY_CATEGORIES: QualityCategory[] = ['invalidRef', 'duplicateRef', 'orphanNode', 'danglingRouteEnd'];
+
+// Same-ref nodes within this distance (km) are reported, same radius as findGroupedNodes in the frontend
+const TWIN_NODE_DISTANCE = 0.5;
+
+// A knooppunt farther than this (km) from every route is not on the network, same as the planner's snap distance
+const MAX_ROUTE_DISTANCE = 0.1;
+
+// A route end closer than this (km) to another route continues on it
+const ROUTE_JOIN_DISTANCE = 0.02;
+
+// Margin (degrees, about 1 km) kept from the edge of the route data, beyond it the neighbouring routes are unknown
+const COVERAGE_MARGIN = 0.01;
+
+// Grid cell size (degrees) of the route segment index
+const SEGMENT_CELL_SIZE = 0.01;
+
+const KM_PER_DEGREE = 111.32;
+const VALID_REF = /^\d{1,3}$/;
+
+type Point = { lat: number; lng: number };
+
+interface Segment {
+    from: Point;
+    to: Point;
+    part: string;  // Route key and part number, the segments of one connected line
+}
+
+export function isQualityCategory(value: unknown): value is QualityCategory {
+    return (QUALITY_CATEGORIES as unknown[]).includes(value);
+}
+
+function createIssue(
+    category: QualityCategory,
+    message: string,
+    point: Point,
+    osmType: QualityIssue['osmType'],
+    osmId: string | number,
+    id: string,
+    related?: string[]
+): QualityIssue {
+    return {
+        id: `${category}/${id}`,
+        category: category,
+        message: message,
+        lat: point.lat,
+        lng: point.lng,
+        osmType: osmType,
+        osmId: String(osmId),
+        osmUrl: `https://www.openstreetmap.org/${osmType}/${osmId}`,
+        editUrl: `https://www.openstreetmap.org/edit?${osmType}=${osmId}`,
+        related: related
+    };
+}
+
+function isInBounds(point: Point, bounds: BBox | null): boolean {
+    if (!bounds) return true;
+    const [south, west, north, east] = bounds;
+    return point.lat >= south && point.lat <= north && point.lng >= west && point.lng <= east;
+}
+
+/**
+ * Whether the route data around a point is complete: every corner of the
+ * margin around it lies in a downloaded route chunk
+ */
+function isCovered(point: Point, coverage: BBox[]): boolean {
+    const corners: Point[] = [
+        { lat: point.lat - COVERAGE_MARGIN, lng: point.lng - COVERAGE_MARGIN },
+        { lat: point.lat - COVERAGE_MARGIN, lng: point.lng + COVERAGE_MARGIN },
+        { lat: point.lat + COVERAGE_MARGIN, lng: point.lng - COVERAGE_MARGIN },
+        { lat: point.lat + COVERAGE_MARGIN, lng: point.lng + COVERAGE_MARGIN }
+    ];
+    return corners.every(corner => coverage.some(bbox => isInBounds(corner, bbox)));
+}
+
+/**
+ * Distance (km) from a point to a line segment, on a flat projection around the point
+ */
+function getSegmentDistance(point: Point, segment: Segment): number {
+    const kx = KM_PER_DEGREE * Math.cos(point.lat * Math.PI / 180);
+    const ky = KM_PER_DEGREE;
+    const ax = (segment.from.lng - point.lng) * kx;
+    const ay = (segment.from.lat - point.lat) * ky;
+    const dx = (segment.to.lng - segment.from.lng) * kx;
+    const dy = (segment.to.lat - segment.from.lat) * ky;
+
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+    return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+/**
+ * Items of a grid index with a bounding box within the distance (km) of a point
+ */
+function searchAround<T>(index: GridIndex<T>, point: Point, distance: number): T[] {
+    const latMargin = distance / KM_PER_DEGREE;
+    const lngMargin = distance / (KM_PER_DEGREE * Math.cos(point.lat * Math.PI / 180));
+    return index.search(point.lat - latMargin, point.lng - lngMargin, point.lat + latMargin, point.lng + lngMargin);
+}
+
+function getNodeLabel(node: CyclingNode): string {
+    return node.ref ? `Knooppunt ${node.ref}` : 'Knooppunt';
+}
+
+function findInvalidRefs(nodes: CyclingNode[], bounds: BBox | null, refTag: string): QualityIssue[] {
+    return nodes
+        .filter(node => isInBounds(node, bounds) && !VALID_REF.test((node.ref || '').trim()))
+        .map(node => createIssue(
+            'invalidRef',
+            node.ref ? `Ongeldige ${refTag} "${node.ref}", verwacht een nummer` : `Knooppunt zonder ${refTag}`,
+            node, 'node', node.osmId!, String(node.osmId)
+        ));
+}
+
+/**
+ * Pairs of nodes with the same ref closer than the twin distance: either the
+ * twins on both sides of a road, or a knooppunt entered twice
+ */
+function findDuplicateRefs(nodes: CyclingNode[], bounds: BBox | null): QualityIssue[] {
+    const byRef = new Map<string, CyclingNode[]>();
+    for (const node of nodes) {
+        const ref = (node.ref || '').trim();
+        if (!VALID_REF.test(ref)) continue;
+        const list = byRef.get(ref) || [];
+        list.push(node);
+        byRef.set(ref, list);
+    }
+
+    const issues: QualityIssue[] = [];
+    byRef.forEach(sameRef => {
+        for (let i = 0; i < sameRef.length; i++) {
+            for (let j = i + 1; j < sameRef.length; j++) {
+                const [a, b] = [sameRef[i], sameRef[j]].sort((x, y) => String(x.osmId).localeCompare(String(y.osmId)));
+                if (!isInBounds(a, bounds) && !isInBounds(b, bounds)) continue;
+
+                const distance = getDistance(a.lat, a.lng, b.lat, b.lng);
+                if (distance > TWIN_NODE_DISTANCE) continue;
+
+                issues.push(createIssue(
+                    'duplicateRef',
+                    `${getNodeLabel(a)} komt twee keer voor op ${Math.round(distance * 1000)} m afstand (tweeling aan weerszijden van de weg, of dubbel ingevoerd)`,
+                    a, 'node', a.osmId!, `${a.osmId}-${b.osmId}`, [String(b.osmId)]
+                ));
+            }
+        }
+    });
+    return issues;
+}
+
+function findOrphanNodes(nodes: CyclingNode[], segments: GridIndex<Segment>, coverage: BBox[], bounds: BBox | null): QualityIssue[] {
+    return nodes
+        .filter(node => isInBounds(node, bounds) && isCovered(node, coverage))
+        .filter(node => !searchAround(segments, node, MAX_ROUTE_DISTANCE)
+            .some(segment => getSegmentDistance(node, segment) <= MAX_ROUTE_DISTANCE))
+        .map(node => createIssue(
+            'orphanNode',
+            `${getNodeLabel(node)} ligt niet aan een route (geen route binnen ${MAX_ROUTE_DISTANCE * 1000} m)`,
+            node, 'node', node.osmId!, String(node.osmId)
+        ));
+}
+
+/**
+ * Ends of route lines that reach neither a knooppunt nor another route
+ */
+function findDanglingRouteEnds(
+    routes: CyclingRoute[],
+    nodeIndex: GridIndex<CyclingNode>,
+    segments: GridIndex<Segment>,
+    coverage: BBox[],
+    bounds: BBox | null
+): QualityIssue[] {
+    const issues: QualityIssue[] = [];
+    for (const route of routes) {
+        const key = getRouteKey(route);
+        getRouteSegments(route).forEach((line, partNumber) => {
+            if (line.length < 2) return;
+            const part = `${key}/${partNumber}`;
+
+            for (const end of [line[0], line[line.length - 1]]) {
+                if (!isInBounds(end, bounds) || !isCovered(end, coverage)) continue;
+
+                const atNode = searchAround(nodeIndex, end, MAX_ROUTE_DISTANCE)
+                    .some(node => getDistance(end.lat, end.lng, node.lat, node.lng) <= MAX_ROUTE_DISTANCE);
+                const joined = searchAround(segments, end, ROUTE_JOIN_DISTANCE)
+                    .some(segment => segment.part !== part && getSegmentDistance(end, segment) <= ROUTE_JOIN_DISTANCE);
+                if (atNode || joined) continue;
+
+                // The way is what needs fixing, the relation is kept for context
+                const osmType = route.wayId ? 'way' : route.relationId ? 'relation' : null;
+                if (!osmType) continue;
+                const osmId = route.wayId || route.relationId!;
+                issues.push(createIssue(
+                    'danglingRouteEnd',
+                    `Route${route.name ? ` "${route.name}"` : ''} eindigt zonder knooppunt of aansluitende route`,
+                    end, osmType, osmId, `${osmType}/${osmId}/${end.lat.toFixed(5)},${end.lng.toFixed(5)}`,
+                    route.wayId && route.relationId ? [`relation/${route.relationId}`] : undefined
+                ));
+            }
+        });
+    }
+    return issues;
+}
+
+/**
+ * Analyse the nodes and routes. Coverage lists the bounds of the downloaded
+ * route chunks, route checks are skipped where the route data is incomplete.
+ * Only problems within the bounds are reported, the data may extend beyond them.
+ * The ref tag of the network names the tag in invalid ref messages
+ */
+export function analyseQuality(nodes: CyclingNode[], routes: CyclingRoute[], coverage: BBox[], bounds: BBox | null, refTag: string = 'rcn_ref'): QualityReport {
+    // Routes crossing a chunk border appear in every chunk they pass
+    const uniqueRoutes = new Map<string, CyclingRoute>();
+    routes.forEach(route => uniqueRoutes.set(getRouteKey(route), route));
+
+    const segments = new GridIndex<Segment>(SEGMENT_CELL_SIZE);
+    uniqueRoutes.forEach((route, key) => {
+        getRouteSegments(route).forEach((line, partNumber) => {
+            for (let i = 1; i < line.length; i++) {
+                const [from, to] = [line[i - 1], line[i]];
+                segments.insert({ from, to, part: `${key}/${partNumber}` }, [
+                    Math.min(from.lat, to.lat), Math.min(from.lng, to.lng),
+                    Math.max(from.lat, to.lat), Math.max(from.lng, to.lng)
+                ]);
+            }
+        });
+    });
+
+    const nodeIndex = new GridIndex<CyclingNode>(SEGMENT_CELL_SIZE);
+    nodes.forEach(node => nodeIndex.insertPoint(node, node.lat, node.lng));
+
+    const issues = [
+        ...findInvalidRefs(nodes, bounds, refTag),
+        ...findDuplicateRefs(nodes, bounds),
+        ...findOrphanNodes(nodes, segments, coverage, bounds),
+        ...findDanglingRouteEnds(Array.from(uniqueRoutes.values()), nodeIndex, segments, coverage, bounds)
+    ];
+
+    const counts = {} as QualityReport['counts'];
+    QUALITY_CATEGORIES.forEach(category => {
+        counts[category] = issues.filter(issue => issue.category === category).length;
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        bounds: bounds,
+        counts: counts,
+        issues: issues
+    };
+}
@@ -0,0 +1,44 @@
+/**
+ * Visited node reconciliation
+ * Mappers sometimes delete and re-add a knooppunt in OpenStreetMap, which gives
+ * it a new osmId. This finds the visited osmIds that no longer exist and
+ * proposes the nodes with the same ref near their last known position.
+ */
+
+import { CyclingNode, DiffNode, ReconcileResult } from '../types';
+import { getDistance } from '../utils/geo';
+
+// Maximum distance (km) between a missing node and its proposed replacement
+const RECONCILE_RADIUS = 0.25;
+
+/**
+ * Check osmIds against the current nodes. The last known ref and position of a
+ * missing node come from the request or from the nodes removed by the last download.
+ */
+export function reconcileNodes(requested: DiffNode[], osmIds: string[], nodes: CyclingNode[], removed: DiffNode[]): ReconcileResult[] {
+    const currentIds = new Set(nodes.filter(node => node.osmId).map(node => String(node.osmId)));
+    const requestedIds = new Set(osmIds);
+    const knownPositions = new Map<string, DiffNode>();
+    for (const node of [...removed, ...requested]) {
+        knownPositions.set(String(node.osmId), node);
+    }
+
+    return osmIds
+        .filter(osmId => !currentIds.has(osmId))
+        .map(osmId => {
+            const previous = knownPositions.get(osmId) || null;
+            if (!previous || !previous.ref) {
+                return { osmId, previous, candidates: [] };
+            }
+
+            // Nodes that are already in the list do not need to be proposed
+            const candidates = nodes
+                .filter(node => node.ref === previous.ref && !requestedIds.has(String(node.osmId)))
+                .map(node => ({ node, distance: getDistance(previous.lat, previous.lng, node.lat, node.lng) }))
+                .filter(candidate => candidate.distance <= RECONCILE_RADIUS)
+                .sort((a, b) => a.distance - b.distance)
+                .map(candidate => ({ node: candidate.node, distance: Math.round(candidate.distance * 1000) }));
+
+            return { osmId, previous, candidates };
+        });
+}
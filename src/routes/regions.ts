@@ -0,0 +1,217 @@
+/**
+ * Region statistics
+ * Reads province and gemeente boundaries from the regions GeoJSON file, assigns
+ * every knooppunt to the regions it lies in and counts visited nodes per region
+ */
+
+import { CyclingNode, RegionLevel, RegionStats } from '../types';
+import { isPointInPolygon } from '../utils/geo';
+import { BBox, GridIndex } from '../utils/spatial-index';
+
+export const REGION_LEVELS: RegionLevel[] = ['province', 'municipality'];
+
+// Tolerance (degrees, ~100 m) for simplifying the outlines sent to the map overlay
+const OVERLAY_TOLERANCE = 0.001;
+
+type Ring = Array<[number, number]>; // GeoJSON positions, [lng, lat]
+
+export interface Region {
+    id: string;
+    name: string;
+    level: RegionLevel;
+    bbox: BBox;
+    polygons: Ring[][];  // Outer ring followed by its holes, per polygon
+}
+
+export interface RegionData {
+    regions: Region[];
+    nodeRegions: Map<string, string[]>;  // osmId -> ids of the regions the node lies in
+    nodeCount: number;
+}
+
+export function isRegionLevel(value: string): value is RegionLevel {
+    return (REGION_LEVELS as string[]).includes(value);
+}
+
+function getRingsBBox(polygons: Ring[][]): BBox {
+    const bbox: BBox = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const polygon of polygons) {
+        for (const [lng, lat] of polygon[0] || []) {
+            bbox[0] = Math.min(bbox[0], lat);
+            bbox[1] = Math.min(bbox[1], lng);
+            bbox[2] = Math.max(bbox[2], lat);
+            bbox[3] = Math.max(bbox[3], lng);
+        }
+    }
+    return bbox;
+}
+
+/**
+ * Read the regions of a GeoJSON FeatureCollection with Polygon or MultiPolygon
+ * features, features without a known level or geometry are skipped
+ */
+export function parseRegions(geojson: any): Region[] {
+    if (!geojson || !Array.isArray(geojson.features)) {
+        throw new Error('Regions file is not a GeoJSON FeatureCollection');
+    }
+
+    const regions: Region[] = [];
+    for (const feature of geojson.features) {
+        const properties = feature?.properties || {};
+        const geometry = feature?.geometry;
+        if (!isRegionLevel(properties.level) || !geometry) continue;
+
+        let polygons: Ring[][];
+        if (geometry.type === 'Polygon') {
+            polygons = [geometry.coordinates];
+        } else if (geometry.type === 'MultiPolygon') {
+            polygons = geometry.coordinates;
+        } else {
+            continue;
+        }
+        if (polygons.length === 0) continue;
+
+        regions.push({
+            id: String(properties.id ?? `${properties.level}-${regions.length + 1}`),
+            name: properties.name || String(properties.id),
+            level: properties.level,
+            bbox: getRingsBBox(polygons),
+            polygons: polygons
+        });
+    }
+    return regions;
+}
+
+function isInRegion(region: Region, lat: number, lng: number): boolean {
+    return region.polygons.some(polygon => isPointInPolygon(lat, lng, polygon));
+}
+
+/**
+ * Assign every node to the regions it lies in, at most one per level
+ */
+export function assignNodesToRegions(nodes: CyclingNode[], regions: Region[]): RegionData {
+    const index = new GridIndex<Region>(0.1);
+    for (const region of regions) {
+        index.insert(region, region.bbox);
+    }
+
+    const nodeRegions = new Map<string, string[]>();
+    for (const node of nodes) {
+        const matches: string[] = [];
+        const levels = new Set<RegionLevel>();
+        for (const region of index.search(node.lat, node.lng, node.lat, node.lng)) {
+            if (levels.has(region.level) || !isInRegion(region, node.lat, node.lng)) continue;
+            levels.add(region.level);
+            matches.push(region.id);
+        }
+        nodeRegions.set(String(node.osmId), matches);
+    }
+
+    return { regions, nodeRegions, nodeCount: nodes.length };
+}
+
+/**
+ * Total and visited node counts per region, optionally for one level only
+ */
+export function getRegionStats(data: RegionData, visited: Set<string> | null, level: RegionLevel | null = null): RegionStats[] {
+    const counts = new Map<string, { total: number; visited: number }>();
+    for (const region of data.regions) {
+        counts.set(region.id, { total: 0, visited: 0 });
+    }
+
+    data.nodeRegions.forEach((regionIds, osmId) => {
+        const isVisited = visited ? visited.has(osmId) : false;
+        for (const regionId of regionIds) {
+            const count = counts.get(regionId)!;
+            count.total++;
+            if (isVisited) count.visited++;
+        }
+    });
+
+    return data.regions
+        .filter(region => !level || region.level === level)
+        .map(region => {
+            const { total, visited: visitedCount } = counts.get(region.id)!;
+            return {
+                id: region.id,
+                name: region.name,
+                level: region.level,
+                bounds: region.bbox,
+                total: total,
+                visited: visitedCount,
+                percentage: total > 0 ? Math.round(visitedCount / total * 1000) / 10 : 0
+            };
+        });
+}
+
+/**
+ * Number of nodes that lie in no region of the given level
+ */
+export function countUnassignedNodes(data: RegionData, level: RegionLevel): number {
+    const levelIds = new Set(data.regions.filter(region => region.level === level).map(region => region.id));
+    let unassigned = 0;
+    data.nodeRegions.forEach(regionIds => {
+        if (!regionIds.some(id => levelIds.has(id))) unassigned++;
+    });
+    return unassigned;
+}
+
+/**
+ * Douglas-Peucker simplification of a ring, keeps at least the ring's first and last point
+ */
+function simplifyRing(ring: Ring, tolerance: number): Ring {
+    if (ring.length <= 4) return ring;
+
+    const keep = new Array<boolean>(ring.length).fill(false);
+    keep[0] = keep[ring.length - 1] = true;
+    const stack: Array<[number, number]> = [[0, ring.length - 1]];
+
+    while (stack.length > 0) {
+        const [start, end] = stack.pop()!;
+        const [x1, y1] = ring[start];
+        const [x2, y2] = ring[end];
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const length = Math.sqrt(dx * dx + dy * dy);
+
+        let maxDistance = 0;
+        let maxIndex = -1;
+        for (let i = start + 1; i < end; i++) {
+            const [x, y] = ring[i];
+            const distance = length === 0
+                ? Math.sqrt((x - x1) * (x - x1) + (y - y1) * (y - y1))
+                : Math.abs(dy * x - dx * y + x2 * y1 - y2 * x1) / length;
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                maxIndex = i;
+            }
+        }
+
+        if (maxIndex !== -1 && maxDistance > tolerance) {
+            keep[maxIndex] = true;
+            stack.push([start, maxIndex], [maxIndex, end]);
+        }
+    }
+
+    const simplified = ring.filter((_, i) => keep[i]);
+    return simplified.length >= 4 ? simplified : ring;
+}
+
+/**
+ * GeoJSON FeatureCollection with simplified outlines of the regions of one level, for the map overlay
+ */
+export function buildRegionGeoJson(regions: Region[], level: RegionLevel): object {
+    return {
+        type: 'FeatureCollection',
+        features: regions
+            .filter(region => region.level === level)
+            .map(region => ({
+                type: 'Feature',
+                geometry: {
+                    type: 'MultiPolygon',
+                    coordinates: region.polygons.map(polygon => polygon.map(ring => simplifyRing(ring, OVERLAY_TOLERANCE)))
+                },
+                properties: { id: region.id, name: region.name, level: region.level }
+            }))
+    };
+}
@@ -0,0 +1,173 @@
+/**
+ * Printable route card
+ * Renders a knooppunt sequence as a print-ready HTML page: the ref sequence to
+ * put on the handlebar, a table with the distance of every leg and a small
+ * overview map drawn as SVG from the local route geometry
+ */
+
+import { CyclingNode, CyclingRoute, RouteCardLeg } from '../types';
+import { getDistance, getRouteSegments } from '../utils/geo';
+import { BBox, getBBox } from '../utils/spatial-index';
+import { escapeXml } from './export';
+import { planRoute, NetworkGraph } from './planner';
+
+// Size of the overview map in SVG units, the height follows the route's aspect ratio within these limits
+const MAP_WIDTH = 600;
+const MIN_MAP_HEIGHT = 200;
+const MAX_MAP_HEIGHT = 600;
+
+// Share of the route extent added around it on the overview map
+const MAP_MARGIN = 0.08;
+
+type Point = { lat: number; lng: number };
+
+/**
+ * Build the legs between consecutive knooppunten, routed over the network when
+ * possible and as a straight line otherwise
+ */
+export function buildRouteCardLegs(graph: NetworkGraph, nodes: CyclingNode[]): RouteCardLeg[] {
+    const legs: RouteCardLeg[] = [];
+    for (let i = 1; i < nodes.length; i++) {
+        const from = nodes[i - 1];
+        const to = nodes[i];
+        const plan = planRoute(graph, [String(from.osmId), String(to.osmId)]);
+
+        legs.push(plan
+            ? { from, to, distance: plan.distance, routed: true, geometry: plan.geometry }
+            : {
+                from,
+                to,
+                distance: Math.round(getDistance(from.lat, from.lng, to.lat, to.lng) * 100) / 100,
+                routed: false,
+                geometry: [{ lat: from.lat, lng: from.lng }, { lat: to.lat, lng: to.lng }]
+            });
+    }
+    return legs;
+}
+
+/**
+ * Bounds [south, west, north, east] of the legs, widened by the map margin
+ */
+export function getRouteCardBounds(legs: RouteCardLeg[]): BBox {
+    const [south, west, north, east] = getBBox(legs.flatMap(leg => leg.geometry))!;
+
+    // Keep a minimal extent so a card for two neighbouring knooppunten is not zoomed in on a street
+    const latMargin = Math.max((north - south) * MAP_MARGIN, 0.005);
+    const lngMargin = Math.max((east - west) * MAP_MARGIN, 0.008);
+    return [south - latMargin, west - lngMargin, north + latMargin, east + lngMargin];
+}
+
+function getNodeRef(node: CyclingNode): string {
+    return node.ref || String(node.osmId);
+}
+
+/**
+ * Overview map: the network routes in grey, the ridden legs on top and a numbered marker per knooppunt
+ */
+function renderMap(legs: RouteCardLeg[], networkRoutes: CyclingRoute[], bounds: BBox): string {
+    const [south, west, north, east] = bounds;
+    // Equirectangular projection around the center, longitudes shrink with the cosine of the latitude
+    const centerLat = (south + north) / 2;
+    const centerLng = (west + east) / 2;
+    const lngScale = Math.cos(centerLat * Math.PI / 180);
+    const scale = Math.min(MAP_WIDTH / ((east - west) * lngScale), MAX_MAP_HEIGHT / (north - south));
+    const height = Math.round(Math.max(MIN_MAP_HEIGHT, (north - south) * scale));
+
+    const project = (point: Point) =>
+        `${(MAP_WIDTH / 2 + (point.lng - centerLng) * lngScale * scale).toFixed(1)},${(height / 2 - (point.lat - centerLat) * scale).toFixed(1)}`;
+    const polyline = (points: Point[], className: string) =>
+        `<polyline class="${className}" points="${points.map(project).join(' ')}"/>`;
+
+    const network = networkRoutes
+        .flatMap(route => getRouteSegments(route))
+        .map(segment => polyline(segment, 'network'));
+    const ridden = legs.map(leg => polyline(leg.geometry, leg.routed ? 'leg' : 'leg unrouted'));
+
+    // Knooppunten passed twice (round trips) get a single marker
+    const markers = new Map<string, { node: CyclingNode; start: boolean }>();
+    legs.forEach((leg, i) => {
+        if (i === 0) markers.set(String(leg.from.osmId), { node: leg.from, start: true });
+        if (!markers.has(String(leg.to.osmId))) markers.set(String(leg.to.osmId), { node: leg.to, start: false });
+    });
+    const markerSvg = Array.from(markers.values()).map(({ node, start }) => {
+        const [x, y] = project(node).split(',');
+        return `<g class="marker${start ? ' start' : ''}"><circle cx="${x}" cy="${y}" r="9"/><text x="${x}" y="${y}">${escapeXml(getNodeRef(node))}</text></g>`;
+    });
+
+    return [
+        `<svg class="overview" viewBox="0 0 ${MAP_WIDTH} ${height}" xmlns="http://www.w3.org/2000/svg">`,
+        ...network,
+        ...ridden,
+        ...markerSvg,
+        '</svg>'
+    ].join('\n');
+}
+
+/**
+ * Print-ready HTML route card
+ */
+export function buildRouteCard(name: string, legs: RouteCardLeg[], networkRoutes: CyclingRoute[]): string {
+    const nodes = [legs[0].from, ...legs.map(leg => leg.to)];
+    const total = legs.reduce((sum, leg) => sum + leg.distance, 0);
+    const hasUnrouted = legs.some(leg => !leg.routed);
+
+    let cumulative = 0;
+    const rows = nodes.map((node, i) => {
+        const leg = legs[i - 1];
+        if (leg) cumulative += leg.distance;
+        const place = node.place || node.addr_village || node.addr_city || '';
+        return `<tr>
+            <td class="ref">${escapeXml(getNodeRef(node))}</td>
+            <td>${escapeXml(place)}</td>
+            <td class="km">${leg ? `${leg.distance.toFixed(1)}${leg.routed ? '' : '*'}` : ''}</td>
+            <td class="km">${leg ? cumulative.toFixed(1) : '0.0'}</td>
+        </tr>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="nl">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXml(name)}</title>
+<style>
+    @page { size: A5 portrait; margin: 10mm; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111; max-width: 720px; margin: 0 auto; padding: 16px; }
+    h1 { font-size: 1.2rem; margin: 0 0 4px; }
+    .summary { color: #555; font-size: 0.85rem; margin-bottom: 12px; }
+    .sequence { font-size: 1.6rem; font-weight: 700; letter-spacing: 0.02em; line-height: 1.4; border: 2px solid #111; border-radius: 8px; padding: 8px 12px; margin-bottom: 12px; }
+    .overview { width: 100%; height: auto; border: 1px solid #ccc; border-radius: 8px; margin-bottom: 12px; }
+    .overview polyline { fill: none; stroke-linecap: round; stroke-linejoin: round; }
+    .overview .network { stroke: #c8c8c8; stroke-width: 1.5; }
+    .overview .leg { stroke: #10b981; stroke-width: 4; }
+    .overview .leg.unrouted { stroke-dasharray: 6 5; }
+    .overview .marker circle { fill: #fff; stroke: #111; stroke-width: 2; }
+    .overview .marker.start circle { fill: #111; }
+    .overview .marker text { font-size: 9px; font-weight: 700; text-anchor: middle; dominant-baseline: central; }
+    .overview .marker.start text { fill: #fff; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { padding: 4px 6px; border-bottom: 1px solid #ddd; text-align: left; }
+    td.ref { font-weight: 700; font-size: 1.1rem; }
+    .km { text-align: right; white-space: nowrap; }
+    .note { color: #555; font-size: 0.75rem; margin-top: 8px; }
+    .actions { margin-bottom: 12px; }
+    @media print { .actions { display: none; } body { padding: 0; } }
+</style>
+</head>
+<body>
+<div class="actions"><button onclick="window.print()">🖨️ Afdrukken / opslaan als PDF</button></div>
+<h1>${escapeXml(name)}</h1>
+<div class="summary">${nodes.length} knooppunten, ${total.toFixed(1)} km</div>
+<div class="sequence">${nodes.map(node => escapeXml(getNodeRef(node))).join(' – ')}</div>
+${renderMap(legs, networkRoutes, getRouteCardBounds(legs))}
+<table>
+    <thead><tr><th>Knooppunt</th><th>Plaats</th><th class="km">km</th><th class="km">Totaal</th></tr></thead>
+    <tbody>
+        ${rows.join('\n        ')}
+    </tbody>
+</table>
+${hasUnrouted ? '<p class="note">* Hemelsbrede afstand, deze knooppunten zijn niet verbonden in de lokale routedata</p>' : ''}
+<p class="note">Kaartdata © OpenStreetMap-bijdragers</p>
+</body>
+</html>
+`;
+}
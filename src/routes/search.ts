@@ -0,0 +1,194 @@
+/**
+ * Knooppunt search
+ * In-memory index over the knooppunt refs and the place names of the nodes
+ * (place, addr_village, addr_city and, when downloaded, the gemeente and
+ * provincie they lie in). Answers queries like "52 Nijmegen", a bare place
+ * name or a "lat,lng" pair
+ */
+
+import { CyclingNode, SearchResult } from '../types';
+import { getDistance } from '../utils/geo';
+import { getBBox } from '../utils/spatial-index';
+import { RegionData } from './regions';
+
+const MAX_COORDINATE_RESULTS = 5;
+
+interface IndexedPlace {
+    name: string;
+    nodes: CyclingNode[];
+}
+
+export interface SearchIndex {
+    nodes: CyclingNode[];
+    byRef: Map<string, CyclingNode[]>;
+    places: Map<string, IndexedPlace>;     // Normalized place name -> nodes in that place
+    nodePlaces: Map<string, string>;       // osmId -> place shown with the node
+}
+
+/**
+ * Lowercase without accents and punctuation, so "Sint-Oedenrode" matches "sint oedenrode"
+ */
+export function normalizeText(text: string): string {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function addPlace(index: SearchIndex, key: string, name: string, node: CyclingNode): void {
+    const place = index.places.get(key) || { name: name, nodes: [] };
+    place.nodes.push(node);
+    index.places.set(key, place);
+}
+
+/**
+ * Build the search index. The regions are optional, without them only the
+ * place tags of the nodes themselves can be searched
+ */
+export function buildSearchIndex(nodes: CyclingNode[], regions: RegionData | null): SearchIndex {
+    const index: SearchIndex = { nodes, byRef: new Map(), places: new Map(), nodePlaces: new Map() };
+    const regionsById = new Map((regions ? regions.regions : []).map(region => [region.id, region]));
+
+    for (const node of nodes) {
+        if (node.ref) {
+            const ref = normalizeText(node.ref);
+            const list = index.byRef.get(ref) || [];
+            list.push(node);
+            index.byRef.set(ref, list);
+        }
+
+        const tagged = [node.place, node.addr_village, node.addr_city].filter((name): name is string => !!name);
+        // Gemeente first, it names the node better than the provincie
+        const nodeRegions = (regions?.nodeRegions.get(String(node.osmId)) || [])
+            .map(id => regionsById.get(id)!)
+            .sort((a, b) => a.level === b.level ? 0 : a.level === 'municipality' ? -1 : 1);
+
+        // A village tag often repeats the gemeente name, add the node to each place once
+        const names = new Map<string, string>();
+        [...tagged, ...nodeRegions.map(region => region.name)].forEach(name => {
+            const key = normalizeText(name);
+            if (key && !names.has(key)) names.set(key, name);
+        });
+        names.forEach((name, key) => addPlace(index, key, name, node));
+
+        const place = tagged[0] || nodeRegions[0]?.name;
+        if (place) index.nodePlaces.set(String(node.osmId), place);
+    }
+
+    return index;
+}
+
+/**
+ * A "lat,lng" or "lat lng" pair with at least one decimal, null otherwise
+ */
+export function parseCoordinates(query: string): { lat: number; lng: number } | null {
+    const match = query.trim().match(/^(-?\d{1,2}(?:\.\d+)?)\s*[,;\s]\s*(-?\d{1,3}(?:\.\d+)?)$/);
+    if (!match || !query.includes('.')) return null;
+
+    const lat = parseFloat(match[1]);
+    const lng = parseFloat(match[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lat, lng };
+}
+
+/**
+ * Places whose name matches the text, best match first: exact name, then start of a word, then anywhere
+ */
+function findPlaces(index: SearchIndex, text: string): IndexedPlace[] {
+    const scored: Array<{ place: IndexedPlace; score: number }> = [];
+    index.places.forEach((place, key) => {
+        const score = key === text ? 3
+            : key.startsWith(text) || key.includes(` ${text}`) ? 2
+            : key.includes(text) ? 1
+            : 0;
+        if (score > 0) scored.push({ place, score });
+    });
+
+    const best = scored.length > 0 ? Math.max(...scored.map(item => item.score)) : 0;
+    return scored
+        .filter(item => item.score === best)
+        .sort((a, b) => b.place.nodes.length - a.place.nodes.length)
+        .map(item => item.place);
+}
+
+function nodeResult(index: SearchIndex, node: CyclingNode, distance?: number): SearchResult {
+    const place = index.nodePlaces.get(String(node.osmId));
+    return {
+        type: 'node',
+        label: `Knooppunt ${node.ref || node.osmId}${place ? ` (${place})` : ''}`,
+        lat: node.lat,
+        lng: node.lng,
+        node: node,
+        place: place,
+        distance: distance !== undefined ? Math.round(distance * 1000) : undefined
+    };
+}
+
+/**
+ * Search the index. Nodes matching only a ref are ordered by distance from
+ * the optional center (usually the middle of the map)
+ */
+export function search(index: SearchIndex, query: string, limit: number, center: { lat: number; lng: number } | null = null): SearchResult[] {
+    const coordinates = parseCoordinates(query);
+    if (coordinates) {
+        return index.nodes
+            .map(node => ({ node, distance: getDistance(coordinates.lat, coordinates.lng, node.lat, node.lng) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, Math.min(limit, MAX_COORDINATE_RESULTS))
+            .map(({ node, distance }) => nodeResult(index, node, distance));
+    }
+
+    // Short numbers are knooppunt refs, the other words form the place name
+    const words = normalizeText(query).split(' ').filter(word => word.length > 0);
+    const refs = words.filter(word => /^\d{1,3}$/.test(word));
+    const text = words.filter(word => !refs.includes(word)).join(' ');
+    if (refs.length === 0 && !text) return [];
+
+    const places = text ? findPlaces(index, text) : [];
+    if (text && places.length === 0) return [];
+
+    const byDistance = (nodes: CyclingNode[]) => center
+        ? nodes
+            .map(node => ({ node, distance: getDistance(center.lat, center.lng, node.lat, node.lng) }))
+            .sort((a, b) => a.distance - b.distance)
+        : nodes.map(node => ({ node, distance: undefined }));
+
+    if (refs.length === 0) {
+        // A bare place name: the places themselves, to show on the map
+        return places.slice(0, limit).map(place => {
+            const [south, west, north, east] = getBBox(place.nodes)!;
+            return {
+                type: 'place',
+                label: `${place.name} (${place.nodes.length} knooppunten)`,
+                lat: (south + north) / 2,
+                lng: (west + east) / 2,
+                bounds: [south, west, north, east],
+                place: place.name,
+                count: place.nodes.length
+            };
+        });
+    }
+
+    const refNodes = refs.flatMap(ref => index.byRef.get(ref) || []);
+    if (places.length === 0) {
+        return byDistance(refNodes)
+            .slice(0, limit)
+            .map(({ node, distance }) => nodeResult(index, node, distance));
+    }
+
+    // Nodes with the ref in the best matching places, in the order of the places
+    const results: SearchResult[] = [];
+    const added = new Set<CyclingNode>();
+    for (const place of places) {
+        const inPlace = new Set(place.nodes);
+        for (const node of refNodes) {
+            if (inPlace.has(node) && !added.has(node)) {
+                added.add(node);
+                results.push(nodeResult(index, node));
+            }
+        }
+    }
+    return results.slice(0, limit);
+}
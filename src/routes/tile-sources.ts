@@ -0,0 +1,125 @@
+/**
+ * Map tile sources
+ * Reads the raster tile sources offered in the layer switcher from the tile
+ * sources file, adds a self-hosted tile server configured through environment
+ * variables and derives the URL pattern the service worker caches per source
+ */
+
+import { TileConfig, TileSource } from '../types';
+
+const DEFAULT_MAX_ZOOM = 18;
+const TEMPLATE_PLACEHOLDERS = ['{z}', '{x}', '{y}'];
+
+function isTileTemplate(url: unknown): url is string {
+    return typeof url === 'string'
+        && /^(https?:\/\/|\/)/.test(url)
+        && TEMPLATE_PLACEHOLDERS.every(placeholder => url.includes(placeholder));
+}
+
+/**
+ * Read and check one tile source, throws when it is invalid
+ */
+function parseTileSource(source: any, label: string): TileSource {
+    if (!source || typeof source.id !== 'string' || typeof source.name !== 'string') {
+        throw new Error(`${label}: id and name are required`);
+    }
+    if (!isTileTemplate(source.url)) {
+        throw new Error(`${label}: url must be an http(s) or absolute path template with {z}, {x} and {y}`);
+    }
+    const maxZoom = source.maxZoom ?? DEFAULT_MAX_ZOOM;
+    if (!Number.isInteger(maxZoom) || maxZoom < 1 || maxZoom > 22) {
+        throw new Error(`${label}: maxZoom must be a whole number from 1 to 22`);
+    }
+    if (source.subdomains !== undefined && (typeof source.subdomains !== 'string' || source.subdomains.length === 0)) {
+        throw new Error(`${label}: subdomains must be a string of subdomain letters, e.g. "abc"`);
+    }
+    if (source.url.includes('{s}') && !source.subdomains) {
+        throw new Error(`${label}: url uses {s}, subdomains are required`);
+    }
+
+    return {
+        id: source.id,
+        name: source.name,
+        url: source.url,
+        attribution: typeof source.attribution === 'string' ? source.attribution : '',
+        maxZoom: maxZoom,
+        subdomains: source.subdomains,
+        dark: source.dark === true
+    };
+}
+
+/**
+ * Self-hosted tile server from TILE_SERVER_URL, with optional TILE_SERVER_NAME,
+ * TILE_SERVER_ATTRIBUTION, TILE_SERVER_MAX_ZOOM and TILE_SERVER_SUBDOMAINS.
+ * Null when no tile server is configured
+ */
+export function getSelfHostedSource(env: NodeJS.ProcessEnv): TileSource | null {
+    if (!env.TILE_SERVER_URL) return null;
+
+    return parseTileSource({
+        id: 'self-hosted',
+        name: env.TILE_SERVER_NAME || 'Eigen tileserver',
+        url: env.TILE_SERVER_URL,
+        attribution: env.TILE_SERVER_ATTRIBUTION,
+        maxZoom: env.TILE_SERVER_MAX_ZOOM ? Number(env.TILE_SERVER_MAX_ZOOM) : undefined,
+        subdomains: env.TILE_SERVER_SUBDOMAINS
+    }, 'TILE_SERVER_URL');
+}
+
+/**
+ * Read and check the tile sources file plus the environment, throws on the first invalid source.
+ * DEFAULT_TILE_SOURCE overrides the default of the file
+ */
+export function parseTileConfig(json: any, env: NodeJS.ProcessEnv): TileConfig {
+    if (!json || !Array.isArray(json.tileSources)) {
+        throw new Error('Tile sources file must hold a "tileSources" array');
+    }
+
+    const sources: TileSource[] = json.tileSources.map((source: any, index: number) =>
+        parseTileSource(source, `Tile source ${source?.id ?? index + 1}`));
+    const selfHosted = getSelfHostedSource(env);
+    if (selfHosted) sources.push(selfHosted);
+
+    const ids = new Set<string>();
+    for (const source of sources) {
+        if (ids.has(source.id)) {
+            throw new Error(`Tile source ${source.id}: duplicate id`);
+        }
+        ids.add(source.id);
+    }
+    if (sources.length === 0) {
+        throw new Error('At least one tile source is required');
+    }
+
+    const defaultSource = env.DEFAULT_TILE_SOURCE || json.default || sources[0].id;
+    if (!ids.has(defaultSource)) {
+        throw new Error(`Default tile source ${defaultSource} does not exist`);
+    }
+    return { tileSources: sources, defaultTileSource: defaultSource };
+}
+
+function escapeRegExp(text: string): string {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regular expression (as a string) matching the tile URLs of a source, used by
+ * the service worker to decide which requests go to the tile cache
+ */
+export function getTileCachePattern(source: TileSource): string {
+    const pattern = source.url
+        .split(/(\{[a-z]+\})/)
+        .map(part => {
+            switch (part) {
+                case '{s}': return `[${escapeRegExp(source.subdomains!)}]`;
+                case '{z}':
+                case '{x}':
+                case '{y}': return '\\d+';
+                case '{r}': return '(@2x)?';
+                default: return escapeRegExp(part);
+            }
+        })
+        .join('');
+    // Relative templates are served by this server, match them on any origin
+    return source.url.startsWith('/') ? `${pattern}$` : `^${pattern}$`;
+}
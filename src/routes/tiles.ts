@@ -0,0 +1,189 @@
+/**
+ * Vector tiles
+ * Builds Mapbox Vector Tiles with the knooppunten, clusters and route geometry
+ * of a web mercator tile, so the frontend can render them through a vector layer
+ */
+
+import { CyclingNode, CyclingRoute, NodeCluster } from '../types';
+import { getRouteSegments } from '../utils/geo';
+import { BBox } from '../utils/spatial-index';
+import { DEFAULT_EXTENT, TileFeature, TileLayer, TilePoint, encodeTile } from '../utils/mvt';
+
+export const MAX_TILE_ZOOM = 18;
+
+// Route lines are kept this far (tile units) outside the tile so line joins render across tile edges
+const TILE_BUFFER = 256;
+
+export function isValidTile(z: number, x: number, y: number): boolean {
+    const size = Math.pow(2, z);
+    return [z, x, y].every(Number.isInteger) &&
+        z >= 0 && z <= MAX_TILE_ZOOM &&
+        x >= 0 && x < size && y >= 0 && y < size;
+}
+
+function tileToLng(x: number, z: number): number {
+    return x / Math.pow(2, z) * 360 - 180;
+}
+
+function tileToLat(y: number, z: number): number {
+    const n = Math.PI * (1 - 2 * y / Math.pow(2, z));
+    return Math.atan(Math.sinh(n)) * 180 / Math.PI;
+}
+
+/**
+ * Bounds [south, west, north, east] of a tile, widened by the given fraction of the tile size
+ */
+export function getTileBounds(z: number, x: number, y: number, buffer: number = 0): BBox {
+    return [
+        tileToLat(y + 1 + buffer, z),
+        tileToLng(x - buffer, z),
+        tileToLat(y - buffer, z),
+        tileToLng(x + 1 + buffer, z)
+    ];
+}
+
+/**
+ * Project a coordinate to the tile coordinates of tile z/x/y
+ */
+function project(lat: number, lng: number, z: number, x: number, y: number): TilePoint {
+    const size = Math.pow(2, z);
+    const sin = Math.sin(lat * Math.PI / 180);
+    const worldX = (lng + 180) / 360 * size;
+    const worldY = (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size;
+    return [Math.round((worldX - x) * DEFAULT_EXTENT), Math.round((worldY - y) * DEFAULT_EXTENT)];
+}
+
+function isInsideTile(point: TilePoint): boolean {
+    return point[0] >= 0 && point[0] < DEFAULT_EXTENT && point[1] >= 0 && point[1] < DEFAULT_EXTENT;
+}
+
+/**
+ * Numeric feature id from an OSM id, undefined when it is not a number
+ */
+function toFeatureId(value: string | number | undefined): number | undefined {
+    const id = Number(value);
+    return Number.isInteger(id) && id >= 0 ? id : undefined;
+}
+
+/**
+ * Cut a projected line to the parts near the tile, dropping points that round to the same position
+ */
+function clipLine(line: TilePoint[]): TilePoint[][] {
+    const min = -TILE_BUFFER;
+    const max = DEFAULT_EXTENT + TILE_BUFFER;
+    const parts: TilePoint[][] = [];
+    let current: TilePoint[] = [];
+
+    for (let i = 1; i < line.length; i++) {
+        const [ax, ay] = line[i - 1];
+        const [bx, by] = line[i];
+        const nearTile = Math.max(ax, bx) >= min && Math.min(ax, bx) <= max &&
+            Math.max(ay, by) >= min && Math.min(ay, by) <= max;
+
+        if (!nearTile) {
+            if (current.length >= 2) parts.push(current);
+            current = [];
+            continue;
+        }
+
+        if (current.length === 0) current.push(line[i - 1]);
+        const last = current[current.length - 1];
+        if (last[0] !== bx || last[1] !== by) current.push(line[i]);
+    }
+    if (current.length >= 2) parts.push(current);
+
+    return parts;
+}
+
+/**
+ * Layer with a point per knooppunt inside the tile
+ */
+export function buildNodeLayer(nodes: CyclingNode[], z: number, x: number, y: number): TileLayer {
+    const features: TileFeature[] = [];
+    for (const node of nodes) {
+        const point = project(node.lat, node.lng, z, x, y);
+        if (!isInsideTile(point)) continue;
+
+        features.push({
+            id: toFeatureId(node.osmId),
+            type: 'point',
+            geometry: [[point]],
+            properties: { osmId: String(node.osmId), ref: node.ref, name: node.name, network: node.network }
+        });
+    }
+    return { name: 'nodes', features };
+}
+
+/**
+ * Layer with a point per cluster (or unclustered knooppunt) inside the tile
+ */
+export function buildClusterLayer(clusters: NodeCluster[], z: number, x: number, y: number): TileLayer {
+    const features: TileFeature[] = [];
+    for (const cluster of clusters) {
+        const point = project(cluster.lat, cluster.lng, z, x, y);
+        if (!isInsideTile(point)) continue;
+
+        features.push({
+            id: cluster.isCluster ? undefined : toFeatureId(cluster.osmId),
+            type: 'point',
+            geometry: [[point]],
+            properties: {
+                id: String(cluster.id),
+                cluster: cluster.isCluster,
+                count: cluster.count,
+                expansionZoom: cluster.expansionZoom,
+                osmId: cluster.osmId !== undefined ? String(cluster.osmId) : undefined
+            }
+        });
+    }
+    return { name: 'clusters', features };
+}
+
+/**
+ * Layer with the route geometry near the tile, stitched relations become multi-lines
+ */
+export function buildRouteLayer(routes: CyclingRoute[], z: number, x: number, y: number): TileLayer {
+    const features: TileFeature[] = [];
+    for (const route of routes) {
+        const segments = getRouteSegments(route);
+        const geometry = segments.flatMap(segment =>
+            clipLine(segment.map(point => project(point.lat, point.lng, z, x, y)))
+        );
+        if (geometry.length === 0) continue;
+
+        features.push({
+            id: toFeatureId(route.wayId ?? route.relationId),
+            type: 'line',
+            geometry: geometry,
+            properties: {
+                id: route.id,
+                name: route.name,
+                network: route.network,
+                relationId: route.relationId,
+                wayId: route.wayId,
+                highway: route.tags?.highway,
+                surface: route.tags?.surface,
+                lit: route.tags?.lit,
+                segments: segments.length,
+                points: segments.reduce((sum, segment) => sum + segment.length, 0)
+            }
+        });
+    }
+    return { name: 'routes', features };
+}
+
+/**
+ * Encode the layers of a tile, layers without data are left out
+ */
+export function buildTile(
+    z: number,
+    x: number,
+    y: number,
+    data: { clusters?: NodeCluster[]; nodes?: CyclingNode[]; routes?: CyclingRoute[] }
+): Buffer {
+    const layers: TileLayer[] = [];
+    if (data.clusters) layers.push(buildClusterLayer(data.clusters, z, x, y));
+    if (data.nodes) layers.push(buildNodeLayer(data.nodes, z, x, y));
+    if (data.routes) layers.push(buildRouteLayer(data.routes, z, x, y));
+    return encodeTile(layers);
+}
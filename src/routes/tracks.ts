@@ -0,0 +1,166 @@
+/**
+ * Ride track matching
+ * Parses GPX and TCX tracks and finds the knooppunten the ride passed
+ */
+
+import { CyclingNode, TrackMatch, TrackPoint } from '../types';
+import { getDistance } from '../utils/geo';
+
+// Same-ref nodes within this distance (km) are twins on both sides of a road,
+// same radius as findGroupedNodes in the frontend
+const TWIN_NODE_DISTANCE = 0.5;
+
+// Grid cell size (degrees) used to find nodes near track points
+const MATCH_CELL_SIZE = 0.01;
+
+/**
+ * Read the attributes of an XML tag into an object
+ */
+function parseAttributes(tag: string): { [name: string]: string } {
+    const attributes: { [name: string]: string } = {};
+    const attributePattern = /([\w:]+)\s*=\s*["']([^"']*)["']/g;
+    let match: RegExpExecArray | null;
+    while ((match = attributePattern.exec(tag)) !== null) {
+        attributes[match[1]] = match[2];
+    }
+    return attributes;
+}
+
+/**
+ * Extract the track points of a GPX (trkpt/rtept) or TCX (Trackpoint) document
+ */
+export function parseTrack(xml: string): TrackPoint[] {
+    const points: TrackPoint[] = [];
+
+    // GPX: <trkpt lat=".." lon=".."><time>..</time></trkpt>
+    const gpxPattern = /<(trkpt|rtept)\b([^>]*?)(\/>|>([\s\S]*?)<\/\1>)/g;
+    let match: RegExpExecArray | null;
+    while ((match = gpxPattern.exec(xml)) !== null) {
+        const attributes = parseAttributes(match[2]);
+        const lat = parseFloat(attributes.lat);
+        const lng = parseFloat(attributes.lon);
+        if (isNaN(lat) || isNaN(lng)) continue;
+
+        const time = match[4] ? /<time>([^<]+)<\/time>/.exec(match[4]) : null;
+        points.push({ lat, lng, time: time ? time[1].trim() : undefined });
+    }
+    if (points.length > 0) return points;
+
+    // TCX: <Trackpoint><Time>..</Time><Position><LatitudeDegrees>..</LatitudeDegrees>...
+    const tcxPattern = /<Trackpoint>([\s\S]*?)<\/Trackpoint>/g;
+    while ((match = tcxPattern.exec(xml)) !== null) {
+        const lat = /<LatitudeDegrees>([^<]+)<\/LatitudeDegrees>/.exec(match[1]);
+        const lng = /<LongitudeDegrees>([^<]+)<\/LongitudeDegrees>/.exec(match[1]);
+        if (!lat || !lng) continue;
+
+        const time = /<Time>([^<]+)<\/Time>/.exec(match[1]);
+        points.push({ lat: parseFloat(lat[1]), lng: parseFloat(lng[1]), time: time ? time[1].trim() : undefined });
+    }
+    return points;
+}
+
+/**
+ * Get the bounding box [south, west, north, east] of a track, widened by a margin in degrees
+ */
+export function getTrackBounds(points: TrackPoint[], margin: number = 0): [number, number, number, number] {
+    let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+    for (const point of points) {
+        south = Math.min(south, point.lat);
+        west = Math.min(west, point.lng);
+        north = Math.max(north, point.lat);
+        east = Math.max(east, point.lng);
+    }
+    return [south - margin, west - margin, north + margin, east + margin];
+}
+
+/**
+ * Insert interpolated points so no gap between track points exceeds maxGap (km)
+ * Sparse recordings would otherwise skip nodes between two fixes
+ */
+function densifyTrack(points: TrackPoint[], maxGap: number): TrackPoint[] {
+    const dense: TrackPoint[] = [];
+    for (let i = 0; i < points.length; i++) {
+        const point = points[i];
+        const next = points[i + 1];
+        dense.push(point);
+        if (!next) continue;
+
+        const gap = getDistance(point.lat, point.lng, next.lat, next.lng);
+        const steps = Math.min(Math.ceil(gap / maxGap), 1000);
+        for (let step = 1; step < steps; step++) {
+            const fraction = step / steps;
+            dense.push({
+                lat: point.lat + (next.lat - point.lat) * fraction,
+                lng: point.lng + (next.lng - point.lng) * fraction,
+                time: point.time
+            });
+        }
+    }
+    return dense;
+}
+
+/**
+ * Find other nodes with the same ref within the twin radius
+ */
+function findTwinNodes(target: CyclingNode, candidates: CyclingNode[]): CyclingNode[] {
+    if (!target.ref) return [];
+    return candidates.filter(node =>
+        node.ref === target.ref &&
+        String(node.osmId) !== String(target.osmId) &&
+        getDistance(target.lat, target.lng, node.lat, node.lng) <= TWIN_NODE_DISTANCE
+    );
+}
+
+/**
+ * Match a track against the nodes, returning every node within maxDistance (km)
+ * of the track in riding order, with the time it was passed and its twin nodes
+ */
+export function matchTrack(points: TrackPoint[], nodes: CyclingNode[], maxDistance: number): TrackMatch[] {
+    const grid = new Map<string, CyclingNode[]>();
+    for (const node of nodes) {
+        const key = `${Math.floor(node.lat / MATCH_CELL_SIZE)}_${Math.floor(node.lng / MATCH_CELL_SIZE)}`;
+        const cell = grid.get(key);
+        if (cell) {
+            cell.push(node);
+        } else {
+            grid.set(key, [node]);
+        }
+    }
+
+    // Closest approach per node
+    const closest = new Map<string, { node: CyclingNode; distance: number; index: number; time?: string }>();
+    const dense = densifyTrack(points, maxDistance / 2);
+
+    dense.forEach((point, index) => {
+        const row = Math.floor(point.lat / MATCH_CELL_SIZE);
+        const col = Math.floor(point.lng / MATCH_CELL_SIZE);
+
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                const cell = grid.get(`${row + dr}_${col + dc}`);
+                if (!cell) continue;
+                for (const node of cell) {
+                    const distance = getDistance(point.lat, point.lng, node.lat, node.lng);
+                    if (distance > maxDistance) continue;
+
+                    const key = String(node.osmId);
+                    const current = closest.get(key);
+                    if (!current || distance < current.distance) {
+                        closest.set(key, { node, distance, index, time: point.time });
+                    }
+                }
+            }
+        }
+    });
+
+    const matchedIds = new Set(closest.keys());
+    return Array.from(closest.values())
+        .sort((a, b) => a.index - b.index)
+        .map(({ node, distance, time }) => ({
+            node: node,
+            passedAt: time,
+            distance: Math.round(distance * 1000),
+            // Twins already matched themselves are listed as their own match
+            twins: findTwinNodes(node, nodes).filter(twin => !matchedIds.has(String(twin.osmId)))
+        }));
+}
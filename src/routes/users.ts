@@ -0,0 +1,405 @@
+/**
+ * User accounts with server-side visited node progress
+ * Users are kept in a JSON file; login returns a token that must be sent as
+ * "Authorization: Bearer <token>" for the visited endpoints
+ */
+
+import express, { Request, Response, NextFunction, Router } from 'express';
+import * as crypto from 'crypto';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { UserAccount, UserStore, VisitedNode, VisitRecord } from '../types';
+
+const router: Router = express.Router();
+
+// Configuration
+const USERS_FILE = process.env.USERS_FILE || path.join(process.cwd(), 'data', 'users.json');
+const MIN_PASSWORD_LENGTH = 6;
+
+// In-memory copy of the user store, written back on every change. Requests arriving
+// while it loads share the same load, so they all change the same object
+let userStore: Promise<UserStore> | null = null;
+let writeQueue: Promise<void> = Promise.resolve();
+
+/**
+ * Read the user store from disk
+ */
+async function readUserStore(): Promise<UserStore> {
+    try {
+        const data = await fs.readFile(USERS_FILE, 'utf8');
+        const store = JSON.parse(data) as UserStore;
+
+        // Stores written before visit records held bare osmIds
+        for (const user of Object.values(store.users)) {
+            user.visited = parseVisitedList(user.visited) || [];
+        }
+        return store;
+    } catch (error) {
+        // Any other error keeps the file untouched, starting empty would overwrite every account on the next save
+        if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+            throw new Error(`Failed to load user store: ${(error as Error).message}`);
+        }
+        console.log('👤 No user store found, starting empty');
+        return { users: {} };
+    }
+}
+
+/**
+ * Load the user store, from disk on first use
+ */
+function loadUserStore(): Promise<UserStore> {
+    if (!userStore) {
+        userStore = readUserStore();
+        // Try again on the next request
+        userStore.catch(() => { userStore = null; });
+    }
+    return userStore;
+}
+
+/**
+ * Persist the user store, writes are queued so they never interleave
+ */
+function saveUserStore(): Promise<void> {
+    const write = writeQueue.then(async () => {
+        if (!userStore) return;
+        const store = await userStore;
+        await fs.mkdir(path.dirname(USERS_FILE), { recursive: true });
+        const tempFile = `${USERS_FILE}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(store, null, 2));
+        await fs.rename(tempFile, USERS_FILE);
+    });
+    // The queue itself never rejects, so a failed write does not block the next ones
+    writeQueue = write.catch(() => undefined);
+    return write;
+}
+
+/**
+ * Hash a password with scrypt, asynchronously so other requests are served meanwhile
+ */
+function hashPassword(password: string, salt: string): Promise<string> {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, 64, (error, key) => error ? reject(error) : resolve(key.toString('hex')));
+    });
+}
+
+function hashToken(token: string): string {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a new login token for a user, only its hash is stored
+ */
+function issueToken(user: UserAccount): string {
+    const token = crypto.randomBytes(32).toString('hex');
+    user.tokens.push(hashToken(token));
+    return token;
+}
+
+function findUserByName(store: UserStore, name: string): UserAccount | undefined {
+    const lowerName = name.toLowerCase();
+    return Object.values(store.users).find(user => user.name.toLowerCase() === lowerName);
+}
+
+/**
+ * Visits of an entry from the old id-only format: one visit without a date, the same rule as parseVisitedEntries in the frontend
+ */
+function getMigratedVisits(): VisitRecord[] {
+    return [{ visitedAt: null }];
+}
+
+/**
+ * Normalize a visited entry: a bare osmId (old clients) or { osmId, visits }
+ * Returns null for anything else
+ */
+function toVisitedNode(value: unknown): VisitedNode | null {
+    if (typeof value === 'string' || typeof value === 'number') {
+        return { osmId: value, visits: getMigratedVisits() };
+    }
+    if (!value || typeof value !== 'object') return null;
+
+    const entry = value as { osmId?: unknown; visits?: unknown };
+    if (typeof entry.osmId !== 'string' && typeof entry.osmId !== 'number') return null;
+
+    const visits: VisitRecord[] = Array.isArray(entry.visits)
+        ? entry.visits
+            .filter((visit: any) => visit && (visit.visitedAt === null || typeof visit.visitedAt === 'string'))
+            .map((visit: any) => ({
+                visitedAt: visit.visitedAt,
+                trip: typeof visit.trip === 'string' ? visit.trip : undefined,
+                note: typeof visit.note === 'string' ? visit.note : undefined
+            }))
+        : getMigratedVisits();
+    return { osmId: entry.osmId, visits };
+}
+
+/**
+ * Parse a visited list of bare osmIds and/or { osmId, visits } entries, null when any entry is invalid
+ */
+export function parseVisitedList(value: unknown): VisitedNode[] | null {
+    if (!Array.isArray(value)) return null;
+    const entries = value.map(toVisitedNode);
+    return entries.every(entry => entry !== null) ? entries as VisitedNode[] : null;
+}
+
+/**
+ * Merge visited entries into a list. Ids are compared as strings so numeric and
+ * string ids from different clients do not end up twice, visits of the same node are combined
+ */
+function mergeVisited(current: VisitedNode[], add: VisitedNode[], remove: Array<string | number>): VisitedNode[] {
+    const removeKeys = new Set(remove.map(String));
+    const merged = new Map<string, VisitedNode>();
+
+    for (const entry of [...current, ...add]) {
+        const key = String(entry.osmId);
+        if (removeKeys.has(key)) continue;
+
+        const existing = merged.get(key);
+        if (!existing) {
+            merged.set(key, { osmId: entry.osmId, visits: [...entry.visits] });
+            continue;
+        }
+
+        const visitKeys = new Set(existing.visits.map(visitKey));
+        for (const visit of entry.visits) {
+            if (!visitKeys.has(visitKey(visit))) {
+                existing.visits.push(visit);
+                visitKeys.add(visitKey(visit));
+            }
+        }
+    }
+    return Array.from(merged.values());
+}
+
+function visitKey(visit: VisitRecord): string {
+    return `${visit.visitedAt}|${visit.trip || ''}|${visit.note || ''}`;
+}
+
+/**
+ * Check for a list of osmIds, as strings or numbers
+ */
+export function isOsmIdList(value: unknown): value is Array<string | number> {
+    return Array.isArray(value) && value.every(id => typeof id === 'string' || typeof id === 'number');
+}
+
+/**
+ * Find the user with the given id when the Authorization header holds one of its tokens
+ */
+export async function authenticateUser(id: string, authorization: string | undefined): Promise<UserAccount | null> {
+    const store = await loadUserStore();
+    const user = store.users[id];
+    const header = authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+    if (!user || !token || !user.tokens.includes(hashToken(token))) {
+        return null;
+    }
+    return user;
+}
+
+/**
+ * Require a valid bearer token for the user in the :id parameter
+ */
+async function requireUser(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const user = await authenticateUser(req.params.id, req.headers.authorization);
+        if (!user) {
+            res.status(401).json({ error: 'Not logged in' });
+            return;
+        }
+
+        res.locals.user = user;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Register a new user
+ */
+router.post('/', async (req: Request, res: Response): Promise<void> => {
+    try {
+        const { name, password } = req.body || {};
+
+        if (typeof name !== 'string' || name.trim().length === 0 ||
+            typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            res.status(400).json({
+                error: 'Invalid registration',
+                message: `Name and a password of at least ${MIN_PASSWORD_LENGTH} characters are required`
+            });
+            return;
+        }
+
+        const salt = crypto.randomBytes(16).toString('hex');
+        const passwordHash = await hashPassword(password, salt);
+
+        // Checked after hashing, so a registration finishing meanwhile is seen
+        const store = await loadUserStore();
+        if (findUserByName(store, name.trim())) {
+            res.status(409).json({ error: 'User already exists' });
+            return;
+        }
+
+        const user: UserAccount = {
+            id: crypto.randomUUID(),
+            name: name.trim(),
+            salt: salt,
+            passwordHash: passwordHash,
+            tokens: [],
+            visited: [],
+            updatedAt: new Date().toISOString()
+        };
+        const token = issueToken(user);
+        store.users[user.id] = user;
+        await saveUserStore();
+
+        console.log(`👤 Registered user ${user.name}`);
+        res.status(201).json({ id: user.id, name: user.name, token: token });
+
+    } catch (error) {
+        console.error('❌ Error registering user:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to register user',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Log in with name and password
+ */
+router.post('/login', async (req: Request, res: Response): Promise<void> => {
+    try {
+        const { name, password } = req.body || {};
+
+        if (typeof name !== 'string' || typeof password !== 'string') {
+            res.status(400).json({ error: 'Name and password are required' });
+            return;
+        }
+
+        const store = await loadUserStore();
+        const user = findUserByName(store, name.trim());
+        const expected = user ? Buffer.from(user.passwordHash, 'hex') : null;
+        const actual = user ? Buffer.from(await hashPassword(password, user.salt), 'hex') : null;
+
+        if (!user || !expected || !actual || !crypto.timingSafeEqual(expected, actual)) {
+            res.status(401).json({ error: 'Invalid name or password' });
+            return;
+        }
+
+        const token = issueToken(user);
+        await saveUserStore();
+
+        console.log(`👤 User ${user.name} logged in`);
+        res.json({ id: user.id, name: user.name, token: token });
+
+    } catch (error) {
+        console.error('❌ Error logging in:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to log in',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Log out, revoking the token used for this request
+ */
+router.post('/:id/logout', requireUser, async (req: Request, res: Response): Promise<void> => {
+    try {
+        const user = res.locals.user as UserAccount;
+        const token = (req.headers.authorization || '').slice(7);
+        user.tokens = user.tokens.filter(hash => hash !== hashToken(token));
+        await saveUserStore();
+
+        res.json({ message: 'Logged out' });
+
+    } catch (error) {
+        console.error('❌ Error logging out:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to log out',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Get the visited nodes of a user
+ */
+router.get('/:id/visited', requireUser, (req: Request, res: Response): void => {
+    const user = res.locals.user as UserAccount;
+    res.json({
+        visited: user.visited,
+        count: user.visited.length,
+        updatedAt: user.updatedAt
+    });
+});
+
+/**
+ * Replace the visited nodes of a user
+ */
+router.put('/:id/visited', requireUser, async (req: Request, res: Response): Promise<void> => {
+    try {
+        const user = res.locals.user as UserAccount;
+        const visited = parseVisitedList(req.body?.visited);
+
+        if (!visited) {
+            res.status(400).json({ error: 'visited must be an array of osmIds or { osmId, visits } entries' });
+            return;
+        }
+
+        user.visited = mergeVisited([], visited, []);
+        user.updatedAt = new Date().toISOString();
+        await saveUserStore();
+
+        res.json({
+            visited: user.visited,
+            count: user.visited.length,
+            updatedAt: user.updatedAt
+        });
+
+    } catch (error) {
+        console.error('❌ Error saving visited nodes:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to save visited nodes',
+            message: (error as Error).message
+        });
+    }
+});
+
+/**
+ * Apply visited changes made on a client: { add: [{ osmId, visits }], remove: [osmId] }
+ * Returns the merged set so the client can adopt it
+ */
+router.patch('/:id/visited', requireUser, async (req: Request, res: Response): Promise<void> => {
+    try {
+        const user = res.locals.user as UserAccount;
+        const add = parseVisitedList(req.body?.add ?? []);
+        const remove = req.body?.remove ?? [];
+
+        if (!add || !isOsmIdList(remove)) {
+            res.status(400).json({ error: 'add must be an array of visited entries and remove an array of osmIds' });
+            return;
+        }
+
+        user.visited = mergeVisited(user.visited, add, remove);
+        user.updatedAt = new Date().toISOString();
+        await saveUserStore();
+
+        console.log(`👤 Synced ${user.name}: +${add.length} -${remove.length}, ${user.visited.length} visited`);
+        res.json({
+            visited: user.visited,
+            count: user.visited.length,
+            updatedAt: user.updatedAt
+        });
+
+    } catch (error) {
+        console.error('❌ Error syncing visited nodes:', (error as Error).message);
+        res.status(500).json({
+            error: 'Failed to sync visited nodes',
+            message: (error as Error).message
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,589 @@
+/**
+ * Versioned public API (/api/v1)
+ * Stable endpoints for other tools. Every endpoint is declared once in ENDPOINTS:
+ * its query is validated against the parameter specs, its result is wrapped in the
+ * { data, meta } envelope and the OpenAPI document at /api/v1/openapi.json is built
+ * from the same declarations, with the component schemas generated from the types.
+ * The unversioned /api endpoints belong to the frontend and may change with it
+ */
+
+import express, { NextFunction, Request, Response, Router } from 'express';
+import { ApiEnvelope, ApiMeta, CyclingNode, CyclingRoute, GeoJsonFeature, NetworkStats, NetworkSummary, NodeCluster, ValidationIssue } from '../types';
+import schemas from '../types/schemas.json';
+import {
+    findNetwork,
+    getClusterHierarchy,
+    getNetworkGraph,
+    getSearchIndex,
+    loadAllNodes,
+    loadDatasetConfig,
+    loadEdgesFromChunks,
+    loadNodesFromChunks,
+    loadQualityReport,
+    loadRegionData,
+    loadRoutesFromChunks,
+    NetworkData,
+    MAX_QUALITY_SPAN,
+    MIN_ROUTE_ZOOM,
+    MAX_SEARCH_LENGTH,
+    MAX_SEARCH_RESULTS,
+    MAX_SUGGESTION_DISTANCE,
+    MIN_SUGGESTION_DISTANCE,
+    SEARCH_RESULTS,
+    SUGGESTION_DISTANCE
+} from './api';
+import { clusterNodesForBounds } from './clustering';
+import { clusterToFeature, getResponseFormat, nodeToFeature, routeToFeature, toFeatureCollection, GEOJSON_CONTENT_TYPE, RESPONSE_FORMATS } from './geojson';
+import { findNearestConnectedNode, planRoute, suggestRide } from './planner';
+import { QUALITY_CATEGORIES } from './quality';
+import { getRegionStats, REGION_LEVELS } from './regions';
+import { search } from './search';
+import { authenticateUser } from './users';
+import { ParamSpec, ParamValues, toOpenApiParameter, validateQuery, validateVisitedBody } from './validation';
+
+const router: Router = express.Router();
+
+// Additions raise the minor version, breaking changes get a new /api/v2
+const API_VERSION = '1.0.0';
+
+// Largest bbox in degrees per endpoint, clusters can cover a whole network
+const MAX_NODES_SPAN = 2;
+const MAX_CLUSTERS_SPAN = 10;
+const MAX_ROUTES_SPAN = 1;
+const MAX_EDGES_SPAN = 1;
+const MAX_VIA_NODES = 20;
+const MAX_ZOOM = 18;
+
+const OSM_ID_PATTERN = '^\\d+$';
+
+const ERROR_DESCRIPTIONS: { [status: number]: string } = {
+    400: 'Invalid parameters, details lists every problem',
+    401: 'The user token is missing or invalid',
+    404: 'Nothing found, or the data has not been downloaded',
+    500: 'Server error'
+};
+
+type EndpointResult =
+    | { data: unknown; meta: Partial<ApiMeta> & { source: string } }
+    | { status: number; error: string };
+
+interface EndpointInput {
+    params: ParamValues;
+    network: NetworkData;     // Default network for endpoints without a network parameter
+    visited: Set<string> | null;
+}
+
+interface Endpoint {
+    path: string;
+    methods: Array<'get' | 'post'>;  // POST takes a { visited } body
+    summary: string;
+    description?: string;
+    network: boolean;                // Takes the network parameter
+    visited: boolean;                // Takes a visited list, in the POST body or as ?user= with a bearer token
+    params: ParamSpec[];
+    errors: number[];                // Statuses besides 400 and 500 the endpoint can return
+    response: object;                // JSON schema of data
+    geojson?(data: any): GeoJsonFeature[];  // Features for format=geojson, endpoints without it only return JSON
+    handle(input: EndpointInput): Promise<EndpointResult>;
+}
+
+function schemaRef(name: keyof typeof schemas): object {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+function listOf(name: keyof typeof schemas): object {
+    return { type: 'array', items: schemaRef(name) };
+}
+
+function bboxParam(maxSpan: number): ParamSpec {
+    return { name: 'bbox', description: 'Area to return', required: true, schema: { type: 'bbox', maxSpan } };
+}
+
+function osmIdParam(name: string, description: string, required: boolean): ParamSpec {
+    return { name, description, required, schema: { type: 'string', pattern: OSM_ID_PATTERN } };
+}
+
+const LAT_PARAM: ParamSpec = { name: 'lat', description: 'Latitude, together with lng', schema: { type: 'number', minimum: -90, maximum: 90 } };
+const LNG_PARAM: ParamSpec = { name: 'lng', description: 'Longitude, together with lat', schema: { type: 'number', minimum: -180, maximum: 180 } };
+
+const FORMAT_PARAM: ParamSpec = {
+    name: 'format',
+    description: 'geojson for a FeatureCollection with the meta as foreign member, same as Accept: application/geo+json',
+    schema: { type: 'string', enum: RESPONSE_FORMATS }
+};
+
+const USER_PARAM: ParamSpec = {
+    name: 'user',
+    description: 'Account whose visited knooppunten are used, requires its token as Authorization: Bearer <token>',
+    schema: { type: 'string', maxLength: 64 }
+};
+
+function getSource(network: NetworkData): string {
+    return network.chunkIndex ? 'Chunk-based loading' : 'Local data file';
+}
+
+function hasLocation(params: ParamValues): boolean {
+    return params.lat !== undefined && params.lng !== undefined;
+}
+
+const ENDPOINTS: Endpoint[] = [
+    {
+        path: '/networks',
+        methods: ['get'],
+        summary: 'Knooppunt networks',
+        description: 'The networks the network parameter of the other endpoints accepts',
+        network: false,
+        visited: false,
+        params: [],
+        errors: [],
+        response: listOf('NetworkSummary'),
+        async handle() {
+            const config = await loadDatasetConfig();
+            const networks: NetworkSummary[] = config.datasets.map(dataset => ({
+                id: dataset.id,
+                name: dataset.name,
+                network: dataset.network,
+                countries: dataset.countries,
+                bbox: dataset.bbox,
+                isDefault: dataset.id === config.defaultDataset
+            }));
+            return { data: networks, meta: { source: 'Local datasets.json' } };
+        }
+    },
+    {
+        path: '/nodes',
+        methods: ['get'],
+        summary: 'Knooppunten within a bbox',
+        network: true,
+        visited: false,
+        params: [bboxParam(MAX_NODES_SPAN)],
+        errors: [],
+        response: listOf('CyclingNode'),
+        geojson: (nodes: CyclingNode[]) => nodes.map(nodeToFeature),
+        async handle({ params, network }) {
+            const [south, west, north, east] = params.bbox;
+            const nodes = await loadNodesFromChunks(network, south, west, north, east);
+            return { data: nodes, meta: { bbox: params.bbox, source: getSource(network) } };
+        }
+    },
+    {
+        path: '/clusters',
+        methods: ['get', 'post'],
+        summary: 'Clustered knooppunten within a bbox',
+        description: 'Clusters for the zoom level, single knooppunten where they no longer overlap. With a visited list every cluster has a visitedCount',
+        network: true,
+        visited: true,
+        params: [
+            bboxParam(MAX_CLUSTERS_SPAN),
+            { name: 'zoom', description: 'Map zoom level, derived from the bbox when left out', schema: { type: 'integer', minimum: 0, maximum: MAX_ZOOM } }
+        ],
+        errors: [401],
+        response: listOf('NodeCluster'),
+        geojson: (clusters: NodeCluster[]) => clusters.map(clusterToFeature),
+        async handle({ params, network, visited }) {
+            const [south, west, north, east] = params.bbox;
+            const hierarchy = await getClusterHierarchy(network);
+            const result = clusterNodesForBounds(hierarchy, south, west, north, east, params.zoom ?? null, visited);
+            return { data: result.clusters, meta: { bbox: params.bbox, zoom: result.zoom, source: getSource(network) } };
+        }
+    },
+    {
+        path: '/routes',
+        methods: ['get'],
+        summary: 'Routes within a bbox',
+        network: true,
+        visited: false,
+        params: [
+            bboxParam(MAX_ROUTES_SPAN),
+            { name: 'zoom', description: `Map zoom level, routes are served from zoom ${MIN_ROUTE_ZOOM}`, schema: { type: 'integer', minimum: MIN_ROUTE_ZOOM, maximum: MAX_ZOOM, default: MIN_ROUTE_ZOOM } }
+        ],
+        errors: [],
+        response: listOf('CyclingRoute'),
+        geojson: (routes: CyclingRoute[]) => routes.map(routeToFeature),
+        async handle({ params, network }) {
+            const [south, west, north, east] = params.bbox;
+            const routes = await loadRoutesFromChunks(network, south, west, north, east, params.zoom);
+            return { data: routes, meta: { bbox: params.bbox, zoom: params.zoom, source: 'Local route chunks' } };
+        }
+    },
+    {
+        path: '/edges',
+        methods: ['get'],
+        summary: 'Knooppunt-to-knooppunt connections within a bbox',
+        network: true,
+        visited: false,
+        params: [bboxParam(MAX_EDGES_SPAN)],
+        errors: [],
+        response: listOf('NetworkEdge'),
+        async handle({ params, network }) {
+            const [south, west, north, east] = params.bbox;
+            const edges = await loadEdgesFromChunks(network, south, west, north, east);
+            return { data: edges, meta: { bbox: params.bbox, source: 'Local edge chunks' } };
+        }
+    },
+    {
+        path: '/stats',
+        methods: ['get', 'post'],
+        summary: 'Knooppunt totals of the network',
+        description: 'With a visited list the visited knooppunten of the network are counted as well',
+        network: true,
+        visited: true,
+        params: [],
+        errors: [401],
+        response: schemaRef('NetworkStats'),
+        async handle({ network, visited }) {
+            const nodes = await loadAllNodes(network);
+            const stats: NetworkStats = {
+                totalNodes: nodes.length,
+                visitedNodes: visited ? nodes.filter(node => visited.has(String(node.osmId))).length : null,
+                lastUpdated: network.chunkIndex?.generatedAt || null
+            };
+            return { data: stats, meta: { source: getSource(network) } };
+        }
+    },
+    {
+        path: '/stats/regions',
+        methods: ['get', 'post'],
+        summary: 'Knooppunt totals per province or gemeente',
+        network: true,
+        visited: true,
+        params: [
+            { name: 'level', description: 'Region level, both levels when left out', schema: { type: 'string', enum: REGION_LEVELS } }
+        ],
+        errors: [401, 404],
+        response: listOf('RegionStats'),
+        async handle({ params, network, visited }) {
+            const data = await loadRegionData(network);
+            if (!data) {
+                return { status: 404, error: 'No region boundaries found, run npm run download:regions' };
+            }
+            return { data: getRegionStats(data, visited, params.level ?? null), meta: { source: 'Local regions.geojson' } };
+        }
+    },
+    {
+        path: '/search',
+        methods: ['get'],
+        summary: 'Search knooppunten and places',
+        description: 'By ref and place ("52 Nijmegen"), by place name, or the nearest knooppunten to "lat,lng". Results by ref only are ordered by distance from lat/lng',
+        network: true,
+        visited: false,
+        params: [
+            { name: 'q', description: 'Search text', required: true, schema: { type: 'string', minLength: 1, maxLength: MAX_SEARCH_LENGTH } },
+            LAT_PARAM,
+            LNG_PARAM,
+            { name: 'limit', description: 'Maximum number of results', schema: { type: 'integer', minimum: 1, maximum: MAX_SEARCH_RESULTS, default: SEARCH_RESULTS } }
+        ],
+        errors: [],
+        response: listOf('SearchResult'),
+        async handle({ params, network }) {
+            if ((params.lat === undefined) !== (params.lng === undefined)) {
+                return { status: 400, error: 'lat and lng must be given together' };
+            }
+            const index = await getSearchIndex(network);
+            const results = search(index, params.q.trim(), params.limit, hasLocation(params) ? { lat: params.lat, lng: params.lng } : null);
+            return {
+                data: results,
+                meta: {
+                    // Without place tags or region boundaries only refs and coordinates can be found
+                    warning: index.places.size === 0 ? 'Place names are not available, download the region boundaries with npm run download:regions' : undefined,
+                    source: 'Local search index'
+                }
+            };
+        }
+    },
+    {
+        path: '/plan',
+        methods: ['get'],
+        summary: 'Shortest knooppunt route',
+        description: 'Along the route network from one knooppunt to another, optionally via others',
+        network: true,
+        visited: false,
+        params: [
+            osmIdParam('from', 'osmId of the start knooppunt', true),
+            osmIdParam('to', 'osmId of the end knooppunt', true),
+            { name: 'via', description: 'osmIds of knooppunten to pass, in order', schema: { type: 'list', pattern: OSM_ID_PATTERN, maxItems: MAX_VIA_NODES } }
+        ],
+        errors: [404],
+        response: schemaRef('RoutePlan'),
+        async handle({ params, network }) {
+            const graph = await getNetworkGraph(network);
+            const waypoints: string[] = [params.from, ...(params.via || []), params.to];
+            const unknown = waypoints.filter(osmId => !graph.nodeVertex.has(osmId));
+            if (unknown.length > 0) {
+                return { status: 404, error: `Unknown or unconnected knooppunten: ${unknown.join(', ')}` };
+            }
+
+            const plan = planRoute(graph, waypoints);
+            if (!plan) {
+                return { status: 404, error: 'The knooppunten are not connected by the route network' };
+            }
+            return { data: plan, meta: { source: 'Local route chunks' } };
+        }
+    },
+    {
+        path: '/plan/suggest',
+        methods: ['get', 'post'],
+        summary: 'Round trip along unvisited knooppunten',
+        description: 'Starts and ends at from, or at the knooppunt nearest to lat/lng, and passes as many unvisited knooppunten as the distance allows',
+        network: true,
+        visited: true,
+        params: [
+            osmIdParam('from', 'osmId of the start knooppunt, or give lat and lng', false),
+            LAT_PARAM,
+            LNG_PARAM,
+            { name: 'distance', description: 'Length of the ride in km', schema: { type: 'number', minimum: MIN_SUGGESTION_DISTANCE, maximum: MAX_SUGGESTION_DISTANCE, default: SUGGESTION_DISTANCE } }
+        ],
+        errors: [401, 404],
+        response: schemaRef('RideSuggestion'),
+        async handle({ params, network, visited }) {
+            if (!params.from && !hasLocation(params)) {
+                return { status: 400, error: 'Give from, or lat and lng' };
+            }
+
+            const graph = await getNetworkGraph(network);
+            const start = params.from ? graph.nodes.get(params.from) : findNearestConnectedNode(graph, params.lat, params.lng);
+            if (!start || !graph.nodeVertex.has(String(start.osmId))) {
+                return { status: 404, error: params.from ? `Unknown or unconnected knooppunt: ${params.from}` : 'No connected knooppunt near lat/lng' };
+            }
+
+            const suggestion = suggestRide(graph, String(start.osmId), params.distance, visited || new Set());
+            if (!suggestion || suggestion.newNodes.length === 0) {
+                return { status: 404, error: `No round trip of ${params.distance} km passes an unvisited knooppunt` };
+            }
+            return { data: suggestion, meta: { source: 'Local route chunks' } };
+        }
+    },
+    {
+        path: '/quality',
+        methods: ['get'],
+        summary: 'Problems in the OpenStreetMap data within a bbox',
+        description: 'Missing or invalid refs, same refs next to each other, knooppunten off the route network and dangling route ends, to fix in OpenStreetMap',
+        network: true,
+        visited: false,
+        params: [
+            bboxParam(MAX_QUALITY_SPAN),
+            { name: 'category', description: 'Categories to report, all when left out', schema: { type: 'list', enum: QUALITY_CATEGORIES } }
+        ],
+        errors: [],
+        response: listOf('QualityIssue'),
+        async handle({ params, network }) {
+            const report = await loadQualityReport(network, params.bbox);
+            const categories: string[] = params.category || QUALITY_CATEGORIES;
+            const issues = report.issues.filter(issue => categories.includes(issue.category));
+            return { data: issues, meta: { bbox: params.bbox, source: 'Local chunks' } };
+        }
+    }
+];
+
+/**
+ * All query parameters of an endpoint, networkIds fills the enum of the network parameter in the OpenAPI document
+ */
+function getParamSpecs(endpoint: Endpoint, networkIds?: string[]): ParamSpec[] {
+    const specs = [...endpoint.params];
+    if (endpoint.network) {
+        specs.push({
+            name: 'network',
+            description: 'Network id from /networks, the default network when left out',
+            schema: networkIds ? { type: 'string', enum: networkIds } : { type: 'string', maxLength: 64 }
+        });
+    }
+    if (endpoint.visited) {
+        specs.push(USER_PARAM);
+    }
+    if (endpoint.geojson) {
+        specs.push(FORMAT_PARAM);
+    }
+    return specs;
+}
+
+function sendError(res: Response, status: number, message: string, details?: ValidationIssue[]): void {
+    const envelope: ApiEnvelope<null> = {
+        data: null,
+        error: { status, message, ...(details ? { details } : {}) }
+    };
+    res.status(status).json(envelope);
+}
+
+/**
+ * Validate the request, run the endpoint and send its result in the envelope
+ */
+async function handleEndpoint(endpoint: Endpoint, req: Request, res: Response): Promise<void> {
+    try {
+        if (endpoint.geojson) {
+            res.vary('Accept');
+        }
+        const { values, issues } = validateQuery(getParamSpecs(endpoint), req.query);
+        const body = req.method === 'POST' ? validateVisitedBody(req.body) : { visited: null, issues: [] };
+        issues.push(...body.issues);
+
+        const network = await findNetwork(endpoint.network ? values.network ?? null : null);
+        if (!network) {
+            const config = await loadDatasetConfig();
+            issues.push({ parameter: 'network', message: `must be one of ${config.datasets.map(dataset => dataset.id).join(', ')}` });
+        }
+        if (values.user !== undefined && body.visited) {
+            issues.push({ parameter: 'user', message: 'cannot be combined with a visited list' });
+        }
+        if (issues.length > 0 || !network) {
+            sendError(res, 400, 'Invalid request', issues);
+            return;
+        }
+
+        let visited = body.visited;
+        if (values.user !== undefined) {
+            const user = await authenticateUser(values.user, req.headers.authorization);
+            if (!user) {
+                sendError(res, 401, 'Not logged in');
+                return;
+            }
+            visited = new Set(user.visited.map(visit => String(visit.osmId)));
+        }
+
+        const result = await endpoint.handle({ params: values, network, visited });
+        if ('error' in result) {
+            sendError(res, result.status, result.error);
+            return;
+        }
+
+        const meta: ApiMeta = {
+            network: endpoint.network ? network.dataset.id : null,
+            ...(Array.isArray(result.data) ? { count: result.data.length } : {}),
+            ...result.meta
+        };
+        if (endpoint.geojson && (values.format ?? getResponseFormat(req)) === 'geojson') {
+            res.type(GEOJSON_CONTENT_TYPE).json(toFeatureCollection(endpoint.geojson(result.data), meta.bbox || null, { meta }));
+            return;
+        }
+
+        const envelope: ApiEnvelope<unknown> = { data: result.data, meta };
+        res.json(envelope);
+
+    } catch (error) {
+        console.error(`❌ Error in API v1 ${endpoint.path}:`, (error as Error).message);
+        sendError(res, 500, (error as Error).message);
+    }
+}
+
+function getOperationId(method: string, path: string): string {
+    return method + path.split('/').filter(part => part.length > 0)
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+        .join('');
+}
+
+function toOpenApiOperation(endpoint: Endpoint, method: 'get' | 'post', networkIds: string[]): object {
+    const errorResponse = (status: number) => [status, {
+        description: ERROR_DESCRIPTIONS[status],
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorEnvelope' } } }
+    }];
+
+    return {
+        operationId: getOperationId(method, endpoint.path),
+        summary: endpoint.summary,
+        ...(endpoint.description ? { description: endpoint.description } : {}),
+        parameters: getParamSpecs(endpoint, networkIds).map(toOpenApiParameter),
+        ...(method === 'post' ? {
+            requestBody: {
+                required: false,
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/VisitedBody' } } }
+            }
+        } : {}),
+        ...(endpoint.visited ? { security: [{}, { bearerAuth: [] }] } : {}),
+        responses: {
+            200: {
+                description: 'OK',
+                content: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            properties: { data: endpoint.response, meta: schemaRef('ApiMeta') },
+                            required: ['data', 'meta']
+                        }
+                    },
+                    ...(endpoint.geojson ? { [GEOJSON_CONTENT_TYPE]: { schema: schemaRef('GeoJsonFeatureCollection') } } : {})
+                }
+            },
+            ...Object.fromEntries([400, ...endpoint.errors, 500].map(errorResponse))
+        }
+    };
+}
+
+/**
+ * OpenAPI 3.1 document of the endpoints, the network enum follows the configured datasets
+ */
+async function buildOpenApiDocument(): Promise<object> {
+    const config = await loadDatasetConfig();
+    const networkIds = config.datasets.map(dataset => dataset.id);
+
+    const paths: { [path: string]: object } = {};
+    for (const endpoint of ENDPOINTS) {
+        paths[endpoint.path] = Object.fromEntries(endpoint.methods.map(method => [method, toOpenApiOperation(endpoint, method, networkIds)]));
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Fietsknooppunten Tracker API',
+            version: API_VERSION,
+            description: 'Knooppunten, routes and statistics from OpenStreetMap. Every response is { data, meta }, errors are { data: null, error }'
+        },
+        servers: [{ url: '/api/v1' }],
+        paths: paths,
+        components: {
+            schemas: {
+                ...schemas,
+                VisitedBody: {
+                    type: 'object',
+                    properties: { visited: { type: 'array', items: { type: 'string', pattern: OSM_ID_PATTERN }, description: 'osmIds of the visited knooppunten' } },
+                    additionalProperties: false
+                },
+                ErrorEnvelope: {
+                    type: 'object',
+                    properties: { data: { type: 'null' }, error: schemaRef('ApiError') },
+                    required: ['data', 'error']
+                }
+            },
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token of POST /api/users/login, used with the user parameter' }
+            }
+        }
+    };
+}
+
+router.get('/openapi.json', async (req: Request, res: Response): Promise<void> => {
+    try {
+        res.json(await buildOpenApiDocument());
+    } catch (error) {
+        console.error('❌ Error building OpenAPI document:', (error as Error).message);
+        sendError(res, 500, (error as Error).message);
+    }
+});
+
+for (const endpoint of ENDPOINTS) {
+    for (const method of endpoint.methods) {
+        router[method](endpoint.path, (req: Request, res: Response) => handleEndpoint(endpoint, req, res));
+    }
+}
+
+// Unknown endpoints and methods get the error envelope as well
+router.use((req: Request, res: Response): void => {
+    const endpoint = ENDPOINTS.find(candidate => candidate.path === req.path);
+    if (endpoint) {
+        res.set('Allow', endpoint.methods.map(method => method.toUpperCase()).join(', '));
+        sendError(res, 405, `${req.method} is not supported, use ${endpoint.methods.map(method => method.toUpperCase()).join(' or ')}`);
+        return;
+    }
+    sendError(res, 404, 'Endpoint not found, see /api/v1/openapi.json');
+});
+
+/**
+ * Errors before the router, such as an invalid JSON body, in the error envelope
+ */
+export function handleApiError(err: Error & { status?: number }, req: Request, res: Response, next: NextFunction): void {
+    const status = err.status && err.status >= 400 && err.status < 500 ? err.status : 500;
+    if (status === 500) {
+        console.error('❌ Error in API v1:', err.message);
+    }
+    sendError(res, status, status === 500 ? 'Something went wrong!' : err.message);
+}
+
+export default router;
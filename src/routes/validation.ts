@@ -0,0 +1,174 @@
+/**
+ * Request validation for the versioned API
+ * Each query parameter is declared once as a ParamSpec: the spec checks and converts
+ * the request value and is also the parameter description in the OpenAPI document
+ */
+
+import { ValidationIssue } from '../types';
+import { BBox } from '../utils/spatial-index';
+
+export type ParamSchema =
+    | { type: 'number' | 'integer'; minimum?: number; maximum?: number; default?: number }
+    | { type: 'string'; minLength?: number; maxLength?: number; pattern?: string; enum?: string[]; default?: string }
+    | { type: 'list'; pattern?: string; enum?: string[]; maxItems?: number }  // Comma separated values
+    | { type: 'bbox'; maxSpan: number };                                      // south,west,north,east
+
+export interface ParamSpec {
+    name: string;
+    description: string;
+    required?: boolean;
+    schema: ParamSchema;
+}
+
+export type ParamValues = { [name: string]: any };
+
+const BBOX_EXAMPLE = '51.80,5.80,51.90,5.95';
+
+function checkNumber(value: string, schema: { type: 'number' | 'integer'; minimum?: number; maximum?: number }): string | null {
+    const number = value.trim() === '' ? NaN : Number(value);
+    if (!isFinite(number)) return 'must be a number';
+    if (schema.type === 'integer' && !Number.isInteger(number)) return 'must be a whole number';
+    if (schema.minimum !== undefined && number < schema.minimum) return `must be at least ${schema.minimum}`;
+    if (schema.maximum !== undefined && number > schema.maximum) return `must be at most ${schema.maximum}`;
+    return null;
+}
+
+function checkString(value: string, schema: { minLength?: number; maxLength?: number; pattern?: string; enum?: string[] }): string | null {
+    if (schema.enum && !schema.enum.includes(value)) return `must be one of ${schema.enum.join(', ')}`;
+    if (schema.minLength !== undefined && value.length < schema.minLength) return `must be at least ${schema.minLength} characters`;
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return `must be at most ${schema.maxLength} characters`;
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return `must match ${schema.pattern}`;
+    return null;
+}
+
+/**
+ * Parse "south,west,north,east", returns an error message when the box is invalid or larger than maxSpan degrees
+ */
+export function parseBBox(value: string, maxSpan: number): BBox | string {
+    const parts = value.split(',');
+    const bbox = parts.map(part => part.trim() === '' ? NaN : Number(part));
+    if (bbox.length !== 4 || !bbox.every(isFinite)) {
+        return `must be four numbers south,west,north,east, e.g. ${BBOX_EXAMPLE}`;
+    }
+
+    const [south, west, north, east] = bbox;
+    if (south < -90 || north > 90 || west < -180 || east > 180) return 'is outside the world';
+    if (south >= north) return 'south must be below north';
+    if (west >= east) return 'west must be below east';
+    if (north - south > maxSpan || east - west > maxSpan) return `may span at most ${maxSpan} degrees`;
+    return bbox as BBox;
+}
+
+/**
+ * Check a query against the specs. Values are converted to their type, missing optional
+ * values get their default. Unknown and repeated parameters are reported as well
+ */
+export function validateQuery(specs: ParamSpec[], query: { [name: string]: unknown }): { values: ParamValues; issues: ValidationIssue[] } {
+    const values: ParamValues = {};
+    const issues: ValidationIssue[] = [];
+    const report = (parameter: string, message: string) => issues.push({ parameter, message });
+
+    for (const name of Object.keys(query)) {
+        if (!specs.some(spec => spec.name === name)) {
+            report(name, 'is not a parameter of this endpoint');
+        }
+    }
+
+    for (const spec of specs) {
+        const raw = query[spec.name];
+        const schema = spec.schema;
+
+        if (raw === undefined || raw === '') {
+            if (spec.required) {
+                report(spec.name, 'is required');
+            } else if ('default' in schema && schema.default !== undefined) {
+                values[spec.name] = schema.default;
+            }
+            continue;
+        }
+        if (typeof raw !== 'string') {
+            report(spec.name, 'must be given once');
+            continue;
+        }
+
+        if (schema.type === 'number' || schema.type === 'integer') {
+            const error = checkNumber(raw, schema);
+            if (error) report(spec.name, error);
+            else values[spec.name] = Number(raw);
+        } else if (schema.type === 'string') {
+            const error = checkString(raw, schema);
+            if (error) report(spec.name, error);
+            else values[spec.name] = raw;
+        } else if (schema.type === 'list') {
+            const items = raw.split(',').map(item => item.trim()).filter(item => item.length > 0);
+            const invalid = items.find(item => checkString(item, schema) !== null);
+            if (invalid !== undefined) {
+                report(spec.name, `${invalid} ${checkString(invalid, schema)}`);
+            } else if (schema.maxItems !== undefined && items.length > schema.maxItems) {
+                report(spec.name, `may hold at most ${schema.maxItems} values`);
+            } else {
+                values[spec.name] = items;
+            }
+        } else if (schema.type === 'bbox') {
+            const bbox = parseBBox(raw, schema.maxSpan);
+            if (typeof bbox === 'string') report(spec.name, bbox);
+            else values[spec.name] = bbox;
+        }
+    }
+
+    return { values, issues };
+}
+
+/**
+ * Check a { visited: [osmId] } body, visited is null when the body has no visited list
+ */
+export function validateVisitedBody(body: unknown): { visited: Set<string> | null; issues: ValidationIssue[] } {
+    if (body === undefined || body === null || (typeof body === 'object' && Object.keys(body).length === 0)) {
+        return { visited: null, issues: [] };
+    }
+    if (typeof body !== 'object' || Array.isArray(body)) {
+        return { visited: null, issues: [{ parameter: 'body', message: 'must be an object' }] };
+    }
+
+    const issues: ValidationIssue[] = Object.keys(body)
+        .filter(key => key !== 'visited')
+        .map(key => ({ parameter: `body.${key}`, message: 'is not a field of the body' }));
+
+    const visited = (body as { visited?: unknown }).visited;
+    if (visited === undefined) {
+        return { visited: null, issues };
+    }
+    if (!Array.isArray(visited) || !visited.every(id => (typeof id === 'string' || typeof id === 'number') && /^\d+$/.test(String(id)))) {
+        issues.push({ parameter: 'body.visited', message: 'must be a list of osmIds' });
+        return { visited: null, issues };
+    }
+    return { visited: new Set(visited.map(String)), issues };
+}
+
+/**
+ * OpenAPI parameter object of a spec
+ */
+export function toOpenApiParameter(spec: ParamSpec): object {
+    const schema = spec.schema;
+    let jsonSchema: object;
+    let description = spec.description;
+
+    if (schema.type === 'bbox') {
+        jsonSchema = { type: 'string', pattern: '^-?[\\d.]+,-?[\\d.]+,-?[\\d.]+,-?[\\d.]+$', examples: [BBOX_EXAMPLE] };
+        description += `, south,west,north,east spanning at most ${schema.maxSpan} degrees`;
+    } else if (schema.type === 'list') {
+        const { type, maxItems, ...items } = schema;
+        jsonSchema = { type: 'array', items: { type: 'string', ...items }, ...(maxItems !== undefined ? { maxItems } : {}) };
+    } else {
+        jsonSchema = { ...schema };
+    }
+
+    return {
+        name: spec.name,
+        in: 'query',
+        description: description,
+        required: spec.required === true,
+        schema: jsonSchema,
+        ...(schema.type === 'list' ? { style: 'form', explode: false } : {})
+    };
+}
@@ -3,23 +3,37 @@
 import axios from 'axios';
 import * as fs from 'fs/promises';
 import * as path from 'path';
-import { CyclingNode, CyclingRoute } from '../types';
+import { CHUNK_FORMAT_VERSION, ChunkInfo, ChunkType, CyclingNode, CyclingRoute, NetworkDataset, NetworkEdge, DiffNode, NodeDiff } from '../types';
+import { buildNetworkGraph, deriveEdges } from '../routes/planner';
+import { getNetworkArgument, getRefTag, getRouteTypes, parseDatasetConfig } from '../routes/datasets';
+import { getDistance, getRouteSegments, isPointInPolygon } from '../utils/geo';
+import { getBBox } from '../utils/spatial-index';
+import { CHUNK_INDEX_FILES, createChunkIndex, getChunkFileName, getGridChunkId, upgradeChunk } from '../utils/chunks';
 
 /**
- * Download Dutch cycling nodes or routes with rate limiting
- * This script downloads all fietsknooppunten with rcn_ref tag and/or cycling routes
- * in chunks to respect Overpass API rate limits and avoid timeouts
+ * Download knooppunten or routes of a network with rate limiting
+ * This script downloads all knooppunten with the ref tag of the network (rcn_ref,
+ * rwn_ref, ...) and/or its routes in chunks to respect Overpass API rate limits
+ * and avoid timeouts. The networks are defined in data/datasets.json, each is
+ * written to its own directory
  * 
  * Usage:
  * - npm run download:nodes (downloads only nodes)
  * - npm run download:routes (downloads only routes)
- * - npm run download (downloads both nodes and routes)
+ * - npm run download:edges (derives knooppunt edges from the downloaded nodes and routes)
+ * - npm run download (downloads both nodes and routes and derives the edges)
+ * - npm run download:resume (only re-fetches chunks that failed or are older than STALE_AFTER)
+ * - npm run download:regions (downloads the province and gemeente boundaries for the region statistics)
+ * - add -- --network=rwn-nl to download another network than the default, or --network=all for every network
+ *
+ * Every run records per-chunk progress in download-state.json and writes a
+ * report of added, removed and moved nodes to download-diff.json, both in the
+ * directory of the network
  */
 
 // Configuration
 interface Config {
-    NETHERLANDS_BBOX: [number, number, number, number]; // [south, west, north, east]
-    GRID_SIZE: number;
+    DATASETS_FILE: string;
     REQUEST_DELAY: number;
     RETRY_DELAY: number;
     MAX_RETRIES: number;
@@ -27,22 +41,51 @@ interface Config {
     CHUNKS_DIR: string;
     RAW_DATA_FILE: string;
     ROUTE_RAW_DATA_FILE: string;
+    REGIONS_FILE: string;
     LOG_FILE: string;
+    STATE_FILE: string;
+    DIFF_FILE: string;
+    STALE_AFTER: number;
+    MAX_SUBDIVISION_DEPTH: number;
+    MOVE_THRESHOLD: number;
 }
 
 const CONFIG: Config = {
-    NETHERLANDS_BBOX: [50.7, 3.2, 53.7, 7.3],
-    GRID_SIZE: 8, // 8x8 = 64 chunks
+    DATASETS_FILE: './data/datasets.json', // Network, area and grid size of every dataset
     REQUEST_DELAY: 3000, // 3 seconds between requests
     RETRY_DELAY: 10000,  // 10 seconds on rate limit
     MAX_RETRIES: 3,
     OUTPUT_DIR: './data',
-    CHUNKS_DIR: './data/chunks',
+    CHUNKS_DIR: 'chunks', // Within the directory of a dataset
     RAW_DATA_FILE: 'raw-nodes-data.json',
     ROUTE_RAW_DATA_FILE: 'raw-routes-data.json',
-    LOG_FILE: 'download.log'
+    REGIONS_FILE: 'regions.geojson',
+    LOG_FILE: 'download.log',
+    STATE_FILE: 'download-state.json',
+    DIFF_FILE: 'download-diff.json',
+    STALE_AFTER: 7 * 24 * 60 * 60 * 1000, // Resume re-fetches chunks older than a week
+    MAX_SUBDIVISION_DEPTH: 2, // A timed out chunk is split into 4, then 16 parts
+    MOVE_THRESHOLD: 5 // Meters a node must shift to be reported as moved
 };
 
+type GridChunk = { id: string; bbox: [number, number, number, number] };
+
+// Resumable download state, per dataset and chunk
+interface ChunkState {
+    status: 'completed' | 'failed';
+    updatedAt: string;
+    count: number;
+    error?: string;
+}
+
+interface DownloadState {
+    version: string;
+    updatedAt: string;
+    nodes: { [chunkId: string]: ChunkState };
+    routes: { [chunkId: string]: ChunkState };
+}
+
+
 // Statistics
 interface Stats {
     chunksTotal: number;
@@ -64,6 +107,18 @@ const stats: Stats = {
     errors: []
 };
 
+/**
+ * Start the statistics over for the next dataset
+ */
+function resetStats(): void {
+    Object.assign(stats, { chunksTotal: 0, chunksCompleted: 0, nodesTotal: 0, requestsTotal: 0, retriesTotal: 0, startTime: new Date(), errors: [] });
+}
+
+// Dataset being downloaded and its directories, set by main() for every dataset in turn
+let dataset: NetworkDataset;
+let datasetDir = CONFIG.OUTPUT_DIR;
+let chunksDir = path.join(CONFIG.OUTPUT_DIR, CONFIG.CHUNKS_DIR);
+
 /**
  * Sleep for specified milliseconds
  */
@@ -92,24 +147,24 @@ async function ensureDir(dirPath: string): Promise<void> {
 }
 
 /**
- * Generate grid chunks for the Netherlands
+ * Generate grid chunks over the bbox of the dataset
  */
-function generateGridChunks(): Array<{ id: string; bbox: [number, number, number, number] }> {
-    const [south, west, north, east] = CONFIG.NETHERLANDS_BBOX;
-    const latStep = (north - south) / CONFIG.GRID_SIZE;
-    const lngStep = (east - west) / CONFIG.GRID_SIZE;
+function generateGridChunks(): GridChunk[] {
+    const [south, west, north, east] = dataset.bbox;
+    const latStep = (north - south) / dataset.gridSize;
+    const lngStep = (east - west) / dataset.gridSize;
     
-    const chunks: Array<{ id: string; bbox: [number, number, number, number] }> = [];
+    const chunks: GridChunk[] = [];
     
-    for (let i = 0; i < CONFIG.GRID_SIZE; i++) {
-        for (let j = 0; j < CONFIG.GRID_SIZE; j++) {
+    for (let i = 0; i < dataset.gridSize; i++) {
+        for (let j = 0; j < dataset.gridSize; j++) {
             const chunkSouth = south + (i * latStep);
             const chunkNorth = south + ((i + 1) * latStep);
             const chunkWest = west + (j * lngStep);
             const chunkEast = west + ((j + 1) * lngStep);
             
             chunks.push({
-                id: `${i}_${j}`,
+                id: getGridChunkId(i, j, dataset.gridSize),
                 bbox: [chunkSouth, chunkWest, chunkNorth, chunkEast]
             });
         }
@@ -118,14 +173,35 @@ function generateGridChunks(): Array<{ id: string; bbox: [number, number, number
     return chunks;
 }
 
+/**
+ * Overpass answers a query that ran out of time with a partial result and a
+ * remark, treat that as a timeout instead of saving incomplete data
+ */
+function assertNotTimedOut(data: any): void {
+    if (typeof data?.remark === 'string' && /timed out|out of memory/i.test(data.remark)) {
+        throw new Error(`Overpass timeout: ${data.remark}`);
+    }
+}
+
+function isTimeoutError(error: unknown): boolean {
+    const err = error as { code?: string; message?: string; response?: { status?: number } };
+    return err?.code === 'ECONNABORTED' || err?.response?.status === 504 || /timeout/i.test(err?.message || '');
+}
+
 /**
  * Download chunk with retry logic
  */
-async function downloadChunk(chunk: { id: string; bbox: [number, number, number, number] }): Promise<CyclingNode[]> {
+async function downloadChunk(chunk: GridChunk): Promise<CyclingNode[]> {
+    const refTag = getRefTag(dataset);
+    // Limited to the countries of the dataset, the grid bbox also covers its neighbours
+    const countryArea = dataset.countries.length > 0
+        ? `area["ISO3166-1"~"^(${dataset.countries.join('|')})$"]["admin_level"="2"]->.countries;`
+        : '';
     const overpassQuery = `
         [out:json][timeout:180];
+        ${countryArea}
         (
-          node["rcn_ref"](${chunk.bbox.join(',')});
+          node["${refTag}"]${countryArea ? '(area.countries)' : ''}(${chunk.bbox.join(',')});
         );
         out geom;
     `;
@@ -141,14 +217,15 @@ async function downloadChunk(chunk: { id: string; bbox: [number, number, number,
             });
             
             const data: any = response.data;
+            assertNotTimedOut(data);
             const nodes: CyclingNode[] = (data.elements || []).map((element: any) => ({
                 id: `node-${element.id}`, // Consistent prefix for node IDs
                 lat: element.lat,
                 lng: element.lon,
                 osmId: element.id.toString(),
-                name: element.tags?.name || `Node ${element.tags?.rcn_ref || element.id}`,
-                ref: element.tags?.rcn_ref,
-                network: element.tags?.network || 'rcn',
+                name: element.tags?.name || `Node ${element.tags?.[refTag] || element.id}`,
+                ref: element.tags?.[refTag],
+                network: element.tags?.network || dataset.network,
                 operator: element.tags?.operator,
                 description: element.tags?.description,
                 note: element.tags?.note
@@ -162,7 +239,7 @@ async function downloadChunk(chunk: { id: string; bbox: [number, number, number,
             log(`Error downloading chunk ${chunk.id} (attempt ${attempt}): ${errorMessage}`);
             
             if (attempt === CONFIG.MAX_RETRIES) {
-                stats.errors.push(`Failed to download chunk ${chunk.id}: ${errorMessage}`);
+                // Recorded in stats.errors by the caller, a timed out chunk may still succeed when split
                 throw error;
             }
             
@@ -174,15 +251,98 @@ async function downloadChunk(chunk: { id: string; bbox: [number, number, number,
     return [];
 }
 
+// Relation member roles that are not part of the ridden route
+const IGNORED_MEMBER_ROLES = ['platform', 'stop', 'guidepost', 'information'];
+
+// Maximum coordinate difference (degrees, ~1m) for two way ends to be considered connected
+const STITCH_TOLERANCE = 0.00001;
+
+type LatLngLine = Array<{ lat: number; lng: number }>;
+
+/**
+ * Check whether two points are the same within the stitch tolerance
+ */
+function samePoint(a: { lat: number; lng: number }, b: { lat: number; lng: number }): boolean {
+    return Math.abs(a.lat - b.lat) <= STITCH_TOLERANCE && Math.abs(a.lng - b.lng) <= STITCH_TOLERANCE;
+}
+
+/**
+ * Try to join line b onto line a, reversing either when needed
+ * Returns the joined line, or null when the lines do not touch
+ */
+function joinLines(a: LatLngLine, b: LatLngLine): LatLngLine | null {
+    const aStart = a[0];
+    const aEnd = a[a.length - 1];
+    const bStart = b[0];
+    const bEnd = b[b.length - 1];
+    
+    if (samePoint(aEnd, bStart)) return [...a, ...b.slice(1)];
+    if (samePoint(aEnd, bEnd)) return [...a, ...[...b].reverse().slice(1)];
+    if (samePoint(aStart, bEnd)) return [...b, ...a.slice(1)];
+    if (samePoint(aStart, bStart)) return [...[...b].reverse(), ...a.slice(1)];
+    return null;
+}
+
+/**
+ * Stitch the member ways of a relation into ordered lines
+ * Ways are joined in member order, reversed where their direction does not match,
+ * and a new segment is started wherever the relation has a gap
+ */
+function stitchRelationGeometry(members: any[]): LatLngLine[] {
+    const ways: LatLngLine[] = members
+        .filter((member: any) => member.type === 'way' && member.geometry && member.geometry.length >= 2)
+        .filter((member: any) => !IGNORED_MEMBER_ROLES.includes(member.role))
+        .map((member: any) => {
+            const line = member.geometry
+                .filter((point: any) => point && typeof point.lat === 'number')
+                .map((point: any) => ({ lat: point.lat, lng: point.lon }));
+            // Backward members are ridden against the way direction
+            return member.role === 'backward' ? line.reverse() : line;
+        })
+        .filter((line: LatLngLine) => line.length >= 2);
+    
+    // Join consecutive members
+    const segments: LatLngLine[] = [];
+    for (const way of ways) {
+        const current = segments[segments.length - 1];
+        const joined = current ? joinLines(current, way) : null;
+        if (joined) {
+            segments[segments.length - 1] = joined;
+        } else {
+            segments.push(way);
+        }
+    }
+    
+    // Members are not always in order, merge segments that still touch
+    let merged = true;
+    while (merged && segments.length > 1) {
+        merged = false;
+        for (let i = 0; i < segments.length && !merged; i++) {
+            for (let j = i + 1; j < segments.length && !merged; j++) {
+                const joined = joinLines(segments[i], segments[j]);
+                if (joined) {
+                    segments[i] = joined;
+                    segments.splice(j, 1);
+                    merged = true;
+                }
+            }
+        }
+    }
+    
+    return segments;
+}
+
 /**
  * Download cycling routes chunk with retry logic
  */
-async function downloadRoutesChunk(chunk: { id: string; bbox: [number, number, number, number] }): Promise<CyclingRoute[]> {
+async function downloadRoutesChunk(chunk: GridChunk): Promise<CyclingRoute[]> {
+    // Routes are not limited to the countries, so routes crossing the border stay whole
+    const filter = `["route"~"^(${getRouteTypes(dataset).join('|')})$"]["network"~"${dataset.routeNetworks.join('|')}"]`;
     const overpassQuery = `
         [out:json][timeout:180];
         (
-          relation["route"="bicycle"]["network"~"rcn|lcn"](${chunk.bbox.join(',')});
-          way["route"="bicycle"]["network"~"rcn|lcn"](${chunk.bbox.join(',')});
+          relation${filter}(${chunk.bbox.join(',')});
+          way${filter}(${chunk.bbox.join(',')});
         );
         out geom;
     `;
@@ -200,6 +360,7 @@ async function downloadRoutesChunk(chunk: { id: string; bbox: [number, number, n
             });
             
             const responseData = response.data as any;
+            assertNotTimedOut(responseData);
             if (!responseData || !responseData.elements) {
                 log(`No routes data in chunk ${chunk.id}`);
                 return [];
@@ -209,7 +370,8 @@ async function downloadRoutesChunk(chunk: { id: string; bbox: [number, number, n
                 .filter((element: any) => element.type === 'relation' || element.type === 'way')
                 .map((element: any) => {
                     // Extract geometry from relation or way
-                    let geometry: Array<{ lat: number; lng: number }> = [];
+                    let geometry: Array<{ lat: number; lng: number }> | undefined;
+                    let segments: LatLngLine[] | undefined;
                     
                     if (element.type === 'way' && element.geometry) {
                         geometry = element.geometry.map((point: any) => ({
@@ -217,15 +379,8 @@ async function downloadRoutesChunk(chunk: { id: string; bbox: [number, number, n
                             lng: point.lon
                         }));
                     } else if (element.type === 'relation' && element.members) {
-                        // For relations, we'd need to resolve member ways, but that's complex
-                        // For now, just use the first member's geometry if available
-                        const firstWay = element.members.find((member: any) => member.type === 'way');
-                        if (firstWay && firstWay.geometry) {
-                            geometry = firstWay.geometry.map((point: any) => ({
-                                lat: point.lat,
-                                lng: point.lon
-                            }));
-                        }
+                        // Stitch all member ways, stored only as segments so no point is written twice
+                        segments = stitchRelationGeometry(element.members);
                     }
                     
                     return {
@@ -233,16 +388,18 @@ async function downloadRoutesChunk(chunk: { id: string; bbox: [number, number, n
                         name: element.tags?.name || element.tags?.ref || `Route ${element.id}`,
                         description: element.tags?.description,
                         geometry: geometry,
+                        segments: segments,
+                        bbox: getBBox(geometry || (segments || []).flat()) || undefined,
                         distance: element.tags?.distance ? parseFloat(element.tags.distance) : undefined,
                         difficulty: element.tags?.difficulty,
                         // Add compatibility fields for frontend
-                        network: element.tags?.network || 'rcn',
+                        network: element.tags?.network || dataset.network,
                         wayId: element.type === 'way' ? element.id : undefined,
                         relationId: element.type === 'relation' ? element.id : undefined,
                         tags: element.tags || {}
                     } as any; // Cast to any to allow extra fields
                 })
-                .filter((route: CyclingRoute) => route.geometry.length > 0); // Only include routes with geometry
+                .filter((route: CyclingRoute) => getRouteSegments(route).length > 0); // Only include routes with geometry
             
             log(`Downloaded ${routes.length} routes from chunk ${chunk.id}`);
             return routes;
@@ -252,7 +409,7 @@ async function downloadRoutesChunk(chunk: { id: string; bbox: [number, number, n
             log(`Error downloading routes chunk ${chunk.id} (attempt ${attempt}): ${errorMessage}`);
             
             if (attempt === CONFIG.MAX_RETRIES) {
-                stats.errors.push(`Failed to download routes chunk ${chunk.id}: ${errorMessage}`);
+                // Recorded in stats.errors by the caller, a timed out chunk may still succeed when split
                 throw error;
             }
             
@@ -264,202 +421,590 @@ async function downloadRoutesChunk(chunk: { id: string; bbox: [number, number, n
     return [];
 }
 
+// Administrative levels of the Dutch provinces and gemeenten in OpenStreetMap
+const REGION_ADMIN_LEVELS: { [adminLevel: string]: 'province' | 'municipality' } = {
+    '4': 'province',
+    '8': 'municipality'
+};
+
 /**
- * Main download function
+ * Turn the outer and inner member ways of a boundary relation into GeoJSON polygons
+ * Holes are attached to the outer ring that contains them, unclosed rings are dropped
  */
-async function main(): Promise<void> {
+function buildBoundaryPolygons(members: any[]): Array<Array<Array<[number, number]>>> {
+    const toRings = (role: string): Array<Array<[number, number]>> =>
+        stitchRelationGeometry(members.filter((member: any) => (member.role || 'outer') === role))
+            .filter(line => line.length >= 4 && samePoint(line[0], line[line.length - 1]))
+            .map(line => {
+                // Rounded to ~1 m to keep the file small
+                const ring = line.map(point => [Math.round(point.lng * 1e5) / 1e5, Math.round(point.lat * 1e5) / 1e5] as [number, number]);
+                ring[ring.length - 1] = ring[0];
+                return ring;
+            });
+    
+    const polygons = toRings('outer').map(ring => [ring]);
+    for (const hole of toRings('inner')) {
+        const [lng, lat] = hole[0];
+        const outer = polygons.find(polygon => isPointInPolygon(lat, lng, [polygon[0]]));
+        if (outer) outer.push(hole);
+    }
+    return polygons;
+}
+
+/**
+ * Download the boundaries of the Dutch provinces and gemeenten as a GeoJSON FeatureCollection
+ */
+async function downloadRegions(): Promise<{ type: string; features: any[] }> {
+    const overpassQuery = `
+        [out:json][timeout:600];
+        area["ISO3166-1"="NL"]["admin_level"="2"]->.nl;
+        relation["boundary"="administrative"]["admin_level"~"^(${Object.keys(REGION_ADMIN_LEVELS).join('|')})$"](area.nl);
+        out geom;
+    `;
+    
+    for (let attempt = 1; attempt <= CONFIG.MAX_RETRIES; attempt++) {
+        try {
+            stats.requestsTotal++;
+            log(`Downloading region boundaries (attempt ${attempt}/${CONFIG.MAX_RETRIES})`);
+            
+            const response = await axios.post('https://overpass-api.de/api/interpreter', overpassQuery, {
+                timeout: 600000,
+                headers: { 'Content-Type': 'text/plain' }
+            });
+            
+            const data: any = response.data;
+            assertNotTimedOut(data);
+            const features = (data.elements || [])
+                .filter((element: any) => element.type === 'relation' && element.members)
+                .map((element: any) => ({
+                    type: 'Feature',
+                    geometry: { type: 'MultiPolygon', coordinates: buildBoundaryPolygons(element.members) },
+                    properties: {
+                        id: `${REGION_ADMIN_LEVELS[element.tags?.admin_level]}-${element.id}`,
+                        name: element.tags?.name || `Region ${element.id}`,
+                        level: REGION_ADMIN_LEVELS[element.tags?.admin_level],
+                        code: element.tags?.['ref:gemeentecode'] || element.tags?.ref
+                    }
+                }))
+                .filter((feature: any) => feature.geometry.coordinates.length > 0);
+            
+            log(`Downloaded ${features.length} region boundaries`);
+            return { type: 'FeatureCollection', features };
+            
+        } catch (error) {
+            const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+            log(`Error downloading region boundaries (attempt ${attempt}): ${errorMessage}`);
+            
+            if (attempt === CONFIG.MAX_RETRIES) {
+                stats.errors.push(`Failed to download region boundaries: ${errorMessage}`);
+                throw error;
+            }
+            
+            stats.retriesTotal++;
+            await sleep(CONFIG.RETRY_DELAY);
+        }
+    }
+    
+    return { type: 'FeatureCollection', features: [] };
+}
+
+/**
+ * Download a chunk, splitting its bbox into four quadrants when it times out
+ * Elements on quadrant borders are returned twice and deduplicated by id
+ */
+async function downloadWithSubdivision<T extends { id: string }>(
+    chunk: GridChunk,
+    download: (chunk: GridChunk) => Promise<T[]>,
+    depth: number = 0
+): Promise<T[]> {
     try {
-        // Check command line arguments
-        const args = process.argv.slice(2);
-        const downloadRoutes = args.includes('routes') || (args.length === 0);
-        const downloadNodes = args.includes('nodes') || (args.length === 0);
+        return await download(chunk);
+    } catch (error) {
+        if (!isTimeoutError(error) || depth >= CONFIG.MAX_SUBDIVISION_DEPTH) {
+            throw error;
+        }
+        
+        const [south, west, north, east] = chunk.bbox;
+        const midLat = (south + north) / 2;
+        const midLng = (west + east) / 2;
+        const quadrants: GridChunk[] = [
+            { id: `${chunk.id}_sw`, bbox: [south, west, midLat, midLng] },
+            { id: `${chunk.id}_se`, bbox: [south, midLng, midLat, east] },
+            { id: `${chunk.id}_nw`, bbox: [midLat, west, north, midLng] },
+            { id: `${chunk.id}_ne`, bbox: [midLat, midLng, north, east] }
+        ];
+        log(`⏱️ Chunk ${chunk.id} timed out, retrying as ${quadrants.length} smaller chunks`);
         
-        if (downloadRoutes && !downloadNodes) {
-            log('�️ Starting Dutch cycling routes download...');
-        } else if (downloadNodes && !downloadRoutes) {
-            log('�🚴‍♀️ Starting Dutch cycling nodes download...');
+        const items = new Map<string, T>();
+        for (const quadrant of quadrants) {
+            await sleep(CONFIG.REQUEST_DELAY);
+            for (const item of await downloadWithSubdivision(quadrant, download, depth + 1)) {
+                items.set(item.id, item);
+            }
+        }
+        log(`Recovered chunk ${chunk.id} from ${quadrants.length} smaller chunks`);
+        return Array.from(items.values());
+    }
+}
+
+/**
+ * Load the download state of previous runs
+ */
+async function loadDownloadState(): Promise<DownloadState> {
+    try {
+        const data = await fs.readFile(path.join(datasetDir, CONFIG.STATE_FILE), 'utf8');
+        return JSON.parse(data) as DownloadState;
+    } catch {
+        return { version: "1.0", updatedAt: new Date().toISOString(), nodes: {}, routes: {} };
+    }
+}
+
+/**
+ * Save the download state, called after every chunk so an interrupted run can resume
+ */
+async function saveDownloadState(state: DownloadState): Promise<void> {
+    state.updatedAt = new Date().toISOString();
+    await fs.writeFile(path.join(datasetDir, CONFIG.STATE_FILE), JSON.stringify(state, null, 2));
+}
+
+/**
+ * A chunk needs downloading unless it completed within CONFIG.STALE_AFTER
+ */
+function needsDownload(chunkState: ChunkState | undefined): boolean {
+    if (!chunkState || chunkState.status !== 'completed') return true;
+    return Date.now() - new Date(chunkState.updatedAt).getTime() > CONFIG.STALE_AFTER;
+}
+
+/**
+ * Read the items of a single chunk file, null when the file does not exist
+ */
+async function readChunkFile<T>(type: ChunkType, id: string): Promise<T[] | null> {
+    try {
+        const data = JSON.parse(await fs.readFile(path.join(chunksDir, getChunkFileName(type, id)), 'utf8'));
+        return (upgradeChunk(data, type) as any)[type];
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Write a chunk file in the current chunk format, returns its index entry
+ */
+async function writeChunkFile(type: ChunkType, id: string, bounds: [number, number, number, number], items: any[]): Promise<ChunkInfo> {
+    const file = getChunkFileName(type, id);
+    const chunkData = {
+        version: CHUNK_FORMAT_VERSION,
+        id: id,
+        bounds: bounds,
+        count: items.length,
+        [type]: items
+    };
+    await fs.writeFile(path.join(chunksDir, file), JSON.stringify(chunkData, null, 2));
+    return { id, bounds, file, count: items.length };
+}
+
+/**
+ * Write the chunk index of a dataset
+ */
+async function writeChunkIndex(type: ChunkType, chunks: ChunkInfo[]): Promise<string> {
+    const indexPath = path.join(datasetDir, CHUNK_INDEX_FILES[type]);
+    await fs.writeFile(indexPath, JSON.stringify(createChunkIndex(type, chunks), null, 2));
+    return indexPath;
+}
+
+/**
+ * Compare two node datasets by OSM id
+ */
+function diffNodes(previous: CyclingNode[], current: CyclingNode[]): NodeDiff {
+    const toDiffNode = (node: CyclingNode): DiffNode => ({ osmId: String(node.osmId), ref: node.ref, lat: node.lat, lng: node.lng });
+    const previousById = new Map(previous.filter(node => node.osmId).map(node => [String(node.osmId), node]));
+    const currentById = new Map(current.filter(node => node.osmId).map(node => [String(node.osmId), node]));
+    
+    const diff: NodeDiff = {
+        generatedAt: new Date().toISOString(),
+        previousTotal: previousById.size,
+        currentTotal: currentById.size,
+        added: [],
+        removed: [],
+        moved: []
+    };
+    
+    for (const [osmId, node] of currentById) {
+        const before = previousById.get(osmId);
+        if (!before) {
+            diff.added.push(toDiffNode(node));
+            continue;
+        }
+        
+        const distance = getDistance(before.lat, before.lng, node.lat, node.lng) * 1000;
+        if (distance >= CONFIG.MOVE_THRESHOLD) {
+            diff.moved.push({ ...toDiffNode(node), previous: { lat: before.lat, lng: before.lng }, distance: Math.round(distance) });
+        }
+    }
+    
+    for (const [osmId, node] of previousById) {
+        if (!currentById.has(osmId)) {
+            diff.removed.push(toDiffNode(node));
+        }
+    }
+    
+    return diff;
+}
+
+/**
+ * Read the items of all chunk files of a dataset in the chunks directory
+ */
+async function loadChunkFiles<T>(type: ChunkType): Promise<T[]> {
+    const files = (await fs.readdir(chunksDir))
+        .filter(file => file.startsWith(`${type}-chunk-`) && file.endsWith('.json'));
+    
+    const items: T[] = [];
+    for (const file of files) {
+        const data = JSON.parse(await fs.readFile(path.join(chunksDir, file), 'utf8'));
+        items.push(...(upgradeChunk(data, type) as any)[type]);
+    }
+    return items;
+}
+
+/**
+ * Derive knooppunt-to-knooppunt edges and save them as edge chunks
+ * Each edge is stored in the grid chunk of its from-node, the index bounds are
+ * widened to cover the full edge geometry so bounds lookups find edges crossing chunks
+ */
+async function saveEdgeChunks(
+    nodes: CyclingNode[],
+    routes: CyclingRoute[],
+    chunks: GridChunk[]
+): Promise<number> {
+    const graph = buildNetworkGraph(nodes, routes);
+    const edges = deriveEdges(graph);
+    log(`Derived ${edges.length} edges from ${graph.nodeVertex.size}/${nodes.length} connected nodes`);
+    
+    const chunkEdges = new Map<string, NetworkEdge[]>();
+    for (const edge of edges) {
+        const start = edge.geometry[0];
+        const chunk = chunks.find(c => start.lat >= c.bbox[0] && start.lat <= c.bbox[2] &&
+                                       start.lng >= c.bbox[1] && start.lng <= c.bbox[3]);
+        if (!chunk) continue;
+        
+        const list = chunkEdges.get(chunk.id);
+        if (list) {
+            list.push(edge);
         } else {
-            log('🚴‍♀️🛣️ Starting Dutch cycling nodes and routes download...');
+            chunkEdges.set(chunk.id, [edge]);
         }
+    }
+    
+    const edgeChunkInfos: ChunkInfo[] = [];
+    for (const chunk of chunks) {
+        const chunkEdgeList = chunkEdges.get(chunk.id);
+        if (!chunkEdgeList) continue;
         
-        // Ensure directories exist
-        await ensureDir(CONFIG.OUTPUT_DIR);
-        await ensureDir(CONFIG.CHUNKS_DIR);
+        const bounds: [number, number, number, number] = [...chunk.bbox];
+        for (const edge of chunkEdgeList) {
+            for (const point of edge.geometry) {
+                bounds[0] = Math.min(bounds[0], point.lat);
+                bounds[1] = Math.min(bounds[1], point.lng);
+                bounds[2] = Math.max(bounds[2], point.lat);
+                bounds[3] = Math.max(bounds[3], point.lng);
+            }
+        }
         
-        // Generate chunks
-        const chunks = generateGridChunks();
-        stats.chunksTotal = chunks.length;
-        log(`Generated ${chunks.length} chunks for download`);
+        const chunkInfo = await writeChunkFile('edges', chunk.id, bounds, chunkEdgeList);
+        edgeChunkInfos.push(chunkInfo);
+        log(`Saved edge chunk ${chunk.id} with ${chunkEdgeList.length} edges to ${chunkInfo.file}`);
+    }
+    
+    const edgeChunkIndexPath = await writeChunkIndex('edges', edgeChunkInfos);
+    log(`📋 Saved edges chunk index to: ${edgeChunkIndexPath}`);
+    
+    return edges.length;
+}
+
+/**
+ * Download the chunks of the current dataset and derive its edges
+ */
+async function downloadDataset(downloadNodes: boolean, downloadRoutes: boolean, deriveEdgeData: boolean, resume: boolean): Promise<void> {
+    // Ensure directories exist
+    await ensureDir(datasetDir);
+    await ensureDir(chunksDir);
+    
+    // Generate chunks
+    const chunks = generateGridChunks();
+    stats.chunksTotal = chunks.length;
+    log(`Generated ${chunks.length} chunks for download`);
+    
+    const state = await loadDownloadState();
+    if (resume) {
+        log('⏯️ Resuming: only failed, missing or stale chunks are downloaded');
+    }
+    
+    // Download nodes if requested
+    let allNodes: CyclingNode[] = [];
+    if (downloadNodes) {
+        const nodeChunkInfos: ChunkInfo[] = [];
         
-        // Download nodes if requested
-        if (downloadNodes) {
-            const allNodes: CyclingNode[] = [];
-            const nodeChunkInfos: Array<{ id: string; bounds: [number, number, number, number]; nodeCount: number }> = [];
-            
-            log('📍 Downloading cycling nodes...');
-            for (const chunk of chunks) {
-                try {
-                    const nodes = await downloadChunk(chunk);
-                    allNodes.push(...nodes);
-                    stats.nodesTotal += nodes.length;
+        // Previous dataset, compared with the new one for the diff report
+        const previousNodes = await loadChunkFiles<CyclingNode>('nodes');
+        
+        log('📍 Downloading cycling nodes...');
+        for (const chunk of chunks) {
+            if (resume && !needsDownload(state.nodes[chunk.id])) {
+                const existing = await readChunkFile<CyclingNode>('nodes', chunk.id);
+                if (existing) {
+                    allNodes.push(...existing);
+                    stats.nodesTotal += existing.length;
                     stats.chunksCompleted++;
-                    
-                    // Save individual chunk file
-                    const chunkFileName = `nodes-chunk-${chunk.id}.json`;
-                    const chunkFilePath = path.join(CONFIG.CHUNKS_DIR, chunkFileName);
-                    const chunkData = {
-                        id: chunk.id,
-                        bounds: chunk.bbox,
-                        nodes: nodes,
-                        count: nodes.length
-                    };
-                    await fs.writeFile(chunkFilePath, JSON.stringify(chunkData, null, 2));
-                    
-                    // Add to chunk index
-                    nodeChunkInfos.push({
-                        id: chunk.id,
-                        bounds: chunk.bbox,
-                        nodeCount: nodes.length
-                    });
-                    
-                    log(`Progress: ${stats.chunksCompleted}/${stats.chunksTotal} chunks, ${stats.nodesTotal} nodes total`);
-                    log(`Saved chunk ${chunk.id} with ${nodes.length} nodes to ${chunkFileName}`);
-                    
-                    // Rate limiting delay
-                    if (stats.chunksCompleted < stats.chunksTotal) {
-                        await sleep(CONFIG.REQUEST_DELAY);
-                    }
-                    
-                } catch (error) {
-                    log(`Skipping failed chunk ${chunk.id}`);
-                    // Continue with next chunk
+                    nodeChunkInfos.push({ id: chunk.id, bounds: chunk.bbox, file: getChunkFileName('nodes', chunk.id), count: existing.length });
+                    log(`Keeping up-to-date chunk ${chunk.id} with ${existing.length} nodes`);
+                    continue;
                 }
             }
             
-            // Create nodes chunk index file
-            const nodeChunkIndex = {
-                version: "1.0",
-                generatedAt: new Date().toISOString(),
-                totalChunks: nodeChunkInfos.length,
-                totalNodes: stats.nodesTotal,
-                chunks: nodeChunkInfos
-            };
-            
-            const nodeChunkIndexPath = path.join(CONFIG.OUTPUT_DIR, 'nodes-chunk-index.json');
-            await fs.writeFile(nodeChunkIndexPath, JSON.stringify(nodeChunkIndex, null, 2));
-            log(`📋 Saved nodes chunk index to: ${nodeChunkIndexPath}`);
-            
-            // Save combined nodes data
-            const nodesOutputData = {
-                metadata: {
-                    downloadDate: new Date().toISOString(),
-                    totalNodes: allNodes.length,
-                    completedChunks: stats.chunksCompleted,
-                    totalChunks: stats.chunksTotal,
-                    errors: stats.errors
-                },
-                nodes: allNodes
-            };
-            
-            const nodesOutputPath = path.join(CONFIG.OUTPUT_DIR, CONFIG.RAW_DATA_FILE);
-            await fs.writeFile(nodesOutputPath, JSON.stringify(nodesOutputData, null, 2));
-            log(`📁 Nodes data saved to: ${nodesOutputPath}`);
+            try {
+                const nodes = await downloadWithSubdivision(chunk, downloadChunk);
+                allNodes.push(...nodes);
+                stats.nodesTotal += nodes.length;
+                stats.chunksCompleted++;
+                
+                // Save individual chunk file and add it to the chunk index
+                const chunkInfo = await writeChunkFile('nodes', chunk.id, chunk.bbox, nodes);
+                nodeChunkInfos.push(chunkInfo);
+                
+                state.nodes[chunk.id] = { status: 'completed', updatedAt: new Date().toISOString(), count: nodes.length };
+                await saveDownloadState(state);
+                
+                log(`Progress: ${stats.chunksCompleted}/${stats.chunksTotal} chunks, ${stats.nodesTotal} nodes total`);
+                log(`Saved chunk ${chunk.id} with ${nodes.length} nodes to ${chunkInfo.file}`);
+                
+                // Rate limiting delay
+                if (stats.chunksCompleted < stats.chunksTotal) {
+                    await sleep(CONFIG.REQUEST_DELAY);
+                }
+                
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+                stats.errors.push(`Failed to download chunk ${chunk.id}: ${errorMessage}`);
+                state.nodes[chunk.id] = {
+                    status: 'failed',
+                    updatedAt: new Date().toISOString(),
+                    count: 0,
+                    error: errorMessage
+                };
+                await saveDownloadState(state);
+                
+                // Keep the previous data of the chunk so a failure does not leave a hole
+                const existing = await readChunkFile<CyclingNode>('nodes', chunk.id);
+                if (existing) {
+                    allNodes.push(...existing);
+                    stats.nodesTotal += existing.length;
+                    nodeChunkInfos.push({ id: chunk.id, bounds: chunk.bbox, file: getChunkFileName('nodes', chunk.id), count: existing.length });
+                    log(`Skipping failed chunk ${chunk.id}, keeping ${existing.length} previously downloaded nodes`);
+                } else {
+                    log(`Skipping failed chunk ${chunk.id}`);
+                }
+                // Continue with next chunk
+            }
         }
         
-        // Download routes if requested
-        let allRoutes: CyclingRoute[] = [];
-        if (downloadRoutes) {
-            const routeChunkInfos: Array<{ id: string; bounds: [number, number, number, number]; routeCount: number }> = [];
-            
-            // Reset stats for routes
-            const routeStats = { chunksCompleted: 0, routesTotal: 0 };
-            
-            log('🛣️ Downloading cycling routes...');
-            for (const chunk of chunks) {
-                try {
-                    const routes = await downloadRoutesChunk(chunk);
-                    allRoutes.push(...routes);
-                    routeStats.routesTotal += routes.length;
+        // Create nodes chunk index file
+        const nodeChunkIndexPath = await writeChunkIndex('nodes', nodeChunkInfos);
+        log(`📋 Saved nodes chunk index to: ${nodeChunkIndexPath}`);
+        
+        // Save combined nodes data
+        const nodesOutputData = {
+            metadata: {
+                downloadDate: new Date().toISOString(),
+                totalNodes: allNodes.length,
+                completedChunks: stats.chunksCompleted,
+                totalChunks: stats.chunksTotal,
+                errors: stats.errors
+            },
+            nodes: allNodes
+        };
+        
+        const nodesOutputPath = path.join(datasetDir, CONFIG.RAW_DATA_FILE);
+        await fs.writeFile(nodesOutputPath, JSON.stringify(nodesOutputData, null, 2));
+        log(`📁 Nodes data saved to: ${nodesOutputPath}`);
+        
+        // Report what changed since the previous download
+        const diff = diffNodes(previousNodes, allNodes);
+        const diffPath = path.join(datasetDir, CONFIG.DIFF_FILE);
+        await fs.writeFile(diffPath, JSON.stringify(diff, null, 2));
+        log(`🔍 Changes since previous download: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.moved.length} moved`);
+        log(`📁 Diff report saved to: ${diffPath}`);
+    }
+    
+    // Download routes if requested
+    let allRoutes: CyclingRoute[] = [];
+    if (downloadRoutes) {
+        const routeChunkInfos: ChunkInfo[] = [];
+        
+        // Reset stats for routes
+        const routeStats = { chunksCompleted: 0, routesTotal: 0 };
+        
+        log('🛣️ Downloading cycling routes...');
+        for (const chunk of chunks) {
+            if (resume && !needsDownload(state.routes[chunk.id])) {
+                const existing = await readChunkFile<CyclingRoute>('routes', chunk.id);
+                if (existing) {
+                    allRoutes.push(...existing);
+                    routeStats.routesTotal += existing.length;
                     routeStats.chunksCompleted++;
-                    
-                    // Save individual route chunk file
-                    const chunkFileName = `routes-chunk-${chunk.id}.json`;
-                    const chunkFilePath = path.join(CONFIG.CHUNKS_DIR, chunkFileName);
-                    const chunkData = {
-                        id: chunk.id,
-                        bounds: chunk.bbox,
-                        routes: routes,
-                        count: routes.length
-                    };
-                    await fs.writeFile(chunkFilePath, JSON.stringify(chunkData, null, 2));
-                    
-                    // Add to chunk index
-                    routeChunkInfos.push({
-                        id: chunk.id,
-                        bounds: chunk.bbox,
-                        routeCount: routes.length
-                    });
-                    
-                    log(`Routes Progress: ${routeStats.chunksCompleted}/${stats.chunksTotal} chunks, ${routeStats.routesTotal} routes total`);
-                    log(`Saved route chunk ${chunk.id} with ${routes.length} routes to ${chunkFileName}`);
-                    
-                    // Rate limiting delay
-                    if (routeStats.chunksCompleted < stats.chunksTotal) {
-                        await sleep(CONFIG.REQUEST_DELAY);
-                    }
-                    
-                } catch (error) {
-                    log(`Skipping failed routes chunk ${chunk.id}`);
-                    // Continue with next chunk
+                    routeChunkInfos.push({ id: chunk.id, bounds: chunk.bbox, file: getChunkFileName('routes', chunk.id), count: existing.length });
+                    log(`Keeping up-to-date route chunk ${chunk.id} with ${existing.length} routes`);
+                    continue;
                 }
             }
             
-            // Create routes chunk index file
-            const routeChunkIndex = {
-                version: "1.0",
-                generatedAt: new Date().toISOString(),
-                totalChunks: routeChunkInfos.length,
-                totalRoutes: routeStats.routesTotal,
-                chunks: routeChunkInfos
-            };
-            
-            const routeChunkIndexPath = path.join(CONFIG.OUTPUT_DIR, 'route-chunk-index.json');
-            await fs.writeFile(routeChunkIndexPath, JSON.stringify(routeChunkIndex, null, 2));
-            log(`📋 Saved routes chunk index to: ${routeChunkIndexPath}`);
-            
-            // Save combined routes data
-            const routesOutputData = {
-                metadata: {
-                    downloadDate: new Date().toISOString(),
-                    totalRoutes: allRoutes.length,
-                    completedChunks: routeStats.chunksCompleted,
-                    totalChunks: stats.chunksTotal,
-                    errors: stats.errors
-                },
-                routes: allRoutes
-            };
-            
-            const routesOutputPath = path.join(CONFIG.OUTPUT_DIR, CONFIG.ROUTE_RAW_DATA_FILE);
-            await fs.writeFile(routesOutputPath, JSON.stringify(routesOutputData, null, 2));
-            log(`📁 Routes data saved to: ${routesOutputPath}`);
+            try {
+                const routes = await downloadWithSubdivision(chunk, downloadRoutesChunk);
+                allRoutes.push(...routes);
+                routeStats.routesTotal += routes.length;
+                routeStats.chunksCompleted++;
+                
+                // Save individual route chunk file and add it to the chunk index
+                const chunkInfo = await writeChunkFile('routes', chunk.id, chunk.bbox, routes);
+                routeChunkInfos.push(chunkInfo);
+                
+                state.routes[chunk.id] = { status: 'completed', updatedAt: new Date().toISOString(), count: routes.length };
+                await saveDownloadState(state);
+                
+                log(`Routes Progress: ${routeStats.chunksCompleted}/${stats.chunksTotal} chunks, ${routeStats.routesTotal} routes total`);
+                log(`Saved route chunk ${chunk.id} with ${routes.length} routes to ${chunkInfo.file}`);
+                
+                // Rate limiting delay
+                if (routeStats.chunksCompleted < stats.chunksTotal) {
+                    await sleep(CONFIG.REQUEST_DELAY);
+                }
+                
+            } catch (error) {
+                const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+                stats.errors.push(`Failed to download routes chunk ${chunk.id}: ${errorMessage}`);
+                state.routes[chunk.id] = {
+                    status: 'failed',
+                    updatedAt: new Date().toISOString(),
+                    count: 0,
+                    error: errorMessage
+                };
+                await saveDownloadState(state);
+                
+                // Keep the previous data of the chunk so a failure does not leave a hole
+                const existing = await readChunkFile<CyclingRoute>('routes', chunk.id);
+                if (existing) {
+                    allRoutes.push(...existing);
+                    routeStats.routesTotal += existing.length;
+                    routeChunkInfos.push({ id: chunk.id, bounds: chunk.bbox, file: getChunkFileName('routes', chunk.id), count: existing.length });
+                    log(`Skipping failed routes chunk ${chunk.id}, keeping ${existing.length} previously downloaded routes`);
+                } else {
+                    log(`Skipping failed routes chunk ${chunk.id}`);
+                }
+                // Continue with next chunk
+            }
         }
         
-        const endTime = new Date();
-        const duration = (endTime.getTime() - stats.startTime.getTime()) / 1000;
+        // Create routes chunk index file
+        const routeChunkIndexPath = await writeChunkIndex('routes', routeChunkInfos);
+        log(`📋 Saved routes chunk index to: ${routeChunkIndexPath}`);
+        
+        // Save combined routes data
+        const routesOutputData = {
+            metadata: {
+                downloadDate: new Date().toISOString(),
+                totalRoutes: allRoutes.length,
+                completedChunks: routeStats.chunksCompleted,
+                totalChunks: stats.chunksTotal,
+                errors: stats.errors
+            },
+            routes: allRoutes
+        };
         
-        log(`✅ Download completed!`);
-        log(`📊 Statistics:`);
-        if (downloadNodes) {
-            log(`   - Total nodes: ${stats.nodesTotal}`);
+        const routesOutputPath = path.join(datasetDir, CONFIG.ROUTE_RAW_DATA_FILE);
+        await fs.writeFile(routesOutputPath, JSON.stringify(routesOutputData, null, 2));
+        log(`📁 Routes data saved to: ${routesOutputPath}`);
+    }
+    
+    // Derive knooppunt edges if requested, from the fresh downloads or the chunk files on disk
+    let edgesTotal = 0;
+    if (deriveEdgeData) {
+        log('🔗 Deriving knooppunt edges...');
+        const edgeNodes = downloadNodes ? allNodes : await loadChunkFiles<CyclingNode>('nodes');
+        const edgeRoutes = downloadRoutes ? allRoutes : await loadChunkFiles<CyclingRoute>('routes');
+        edgesTotal = await saveEdgeChunks(edgeNodes, edgeRoutes, chunks);
+    }
+    
+    const endTime = new Date();
+    const duration = (endTime.getTime() - stats.startTime.getTime()) / 1000;
+    
+    log(`✅ Download of ${dataset.name} completed!`);
+    log(`📊 Statistics:`);
+    if (downloadNodes) {
+        log(`   - Total nodes: ${stats.nodesTotal}`);
+    }
+    if (downloadRoutes) {
+        log(`   - Total routes: ${allRoutes.length}`);
+    }
+    if (deriveEdgeData) {
+        log(`   - Total edges: ${edgesTotal}`);
+    }
+    log(`   - Completed chunks: ${stats.chunksCompleted}/${stats.chunksTotal}`);
+    log(`   - Total requests: ${stats.requestsTotal}`);
+    log(`   - Total retries: ${stats.retriesTotal}`);
+    log(`   - Duration: ${duration}s`);
+    log(`   - Errors: ${stats.errors.length}`);
+}
+
+/**
+ * Main download function
+ */
+async function main(): Promise<void> {
+    try {
+        // Check command line arguments
+        const args = process.argv.slice(2);
+        const resume = args.includes('resume');
+        const types = args.filter(arg => arg !== 'resume' && !arg.startsWith('--'));
+        const downloadRoutes = types.includes('routes') || (types.length === 0);
+        const downloadNodes = types.includes('nodes') || (types.length === 0);
+        const deriveEdgeData = types.includes('edges') || (types.length === 0);
+        // Boundaries rarely change, so they are only downloaded when asked for
+        const downloadRegionData = types.includes('regions');
+        
+        const config = parseDatasetConfig(JSON.parse(await fs.readFile(CONFIG.DATASETS_FILE, 'utf8')), process.env);
+        const network = getNetworkArgument(args) || config.defaultDataset;
+        const datasets = network === 'all' ? config.datasets : config.datasets.filter(candidate => candidate.id === network);
+        if (datasets.length === 0) {
+            throw new Error(`Unknown network ${network}, use one of ${config.datasets.map(candidate => candidate.id).join(', ')} or all`);
         }
-        if (downloadRoutes) {
-            log(`   - Total routes: ${allRoutes.length}`);
+        
+        if (downloadNodes || downloadRoutes || deriveEdgeData) {
+            for (const next of datasets) {
+                dataset = next;
+                datasetDir = path.join(CONFIG.OUTPUT_DIR, dataset.dir);
+                chunksDir = path.join(datasetDir, CONFIG.CHUNKS_DIR);
+                resetStats();
+                
+                if (!downloadNodes && !downloadRoutes) {
+                    log(`🔗 Starting knooppunt edge derivation for ${dataset.name}...`);
+                } else if (downloadRoutes && !downloadNodes) {
+                    log(`🛣️ Starting ${dataset.name} routes download...`);
+                } else if (downloadNodes && !downloadRoutes) {
+                    log(`📍 Starting ${dataset.name} knooppunten download...`);
+                } else {
+                    log(`🚴‍♀️🛣️ Starting ${dataset.name} knooppunten and routes download...`);
+                }
+                await downloadDataset(downloadNodes, downloadRoutes, deriveEdgeData, resume);
+            }
+        }
+        
+        // Download region boundaries if requested
+        if (downloadRegionData) {
+            await ensureDir(CONFIG.OUTPUT_DIR);
+            log('🗺️ Downloading province and gemeente boundaries...');
+            const regions = await downloadRegions();
+            const regionsOutputPath = path.join(CONFIG.OUTPUT_DIR, CONFIG.REGIONS_FILE);
+            await fs.writeFile(regionsOutputPath, JSON.stringify(regions));
+            log(`📁 Region boundaries saved to: ${regionsOutputPath}`);
         }
-        log(`   - Completed chunks: ${stats.chunksCompleted}/${stats.chunksTotal}`);
-        log(`   - Total requests: ${stats.requestsTotal}`);
-        log(`   - Total retries: ${stats.retriesTotal}`);
-        log(`   - Duration: ${duration}s`);
-        log(`   - Errors: ${stats.errors.length}`);
         
     } catch (error) {
         log(`❌ Fatal error: ${error instanceof Error ? error.message : 'Unknown error'}`);
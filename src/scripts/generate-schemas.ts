@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import * as ts from 'typescript';
+
+/**
+ * API schema generator
+ * Converts the types returned by /api/v1 from src/types/index.ts to JSON schemas,
+ * the components of the OpenAPI document at /api/v1/openapi.json. Trailing
+ * comments of the properties become their descriptions.
+ *
+ * Usage:
+ * - npm run schemas (after changing the types, commit the updated schemas.json)
+ */
+
+const TYPES_FILE = path.join(process.cwd(), 'src', 'types', 'index.ts');
+const SCHEMAS_FILE = path.join(process.cwd(), 'src', 'types', 'schemas.json');
+
+// Types used by the API responses, the types they refer to are added as well
+const ROOT_TYPES = [
+    'ApiMeta', 'ApiError', 'NetworkSummary', 'NetworkStats', 'CyclingNode', 'NodeCluster', 'CyclingRoute',
+    'NetworkEdge', 'RoutePlan', 'RideSuggestion', 'RegionStats', 'SearchResult', 'QualityIssue', 'GeoJsonFeatureCollection'
+];
+
+type Schema = { [key: string]: any };
+
+let sourceFile: ts.SourceFile;
+const declarations = new Map<string, ts.InterfaceDeclaration | ts.TypeAliasDeclaration>();
+const pending: string[] = [];
+
+function refTo(name: string): Schema {
+    if (!declarations.has(name)) {
+        throw new Error(`Type ${name} is not declared in ${path.basename(TYPES_FILE)}`);
+    }
+    pending.push(name);
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Comment on the same line after a property, e.g. "id: string;  // Grid cell number"
+ */
+function getTrailingComment(node: ts.Node): string | undefined {
+    const text = sourceFile.getFullText();
+    const comment = (ts.getTrailingCommentRanges(text, node.end) || [])
+        .find(range => range.kind === ts.SyntaxKind.SingleLineCommentTrivia);
+    return comment ? text.slice(comment.pos + 2, comment.end).trim() : undefined;
+}
+
+function toUnionSchema(types: ts.NodeArray<ts.TypeNode>): Schema {
+    const isNull = (type: ts.TypeNode) => ts.isLiteralTypeNode(type) && type.literal.kind === ts.SyntaxKind.NullKeyword;
+    const others = types.filter(type => !isNull(type));
+    const nullable = others.length < types.length;
+
+    let schema: Schema;
+    if (others.every(type => ts.isLiteralTypeNode(type) && ts.isStringLiteral(type.literal))) {
+        schema = { type: 'string', enum: others.map(type => ((type as ts.LiteralTypeNode).literal as ts.StringLiteral).text) };
+    } else if (others.length === 1) {
+        schema = toSchema(others[0]);
+    } else {
+        schema = { anyOf: others.map(toSchema) };
+    }
+
+    if (!nullable) return schema;
+    if (typeof schema.type === 'string') {
+        return { ...schema, type: [schema.type, 'null'], ...(schema.enum ? { enum: [...schema.enum, null] } : {}) };
+    }
+    return { anyOf: [...(schema.anyOf || [schema]), { type: 'null' }] };
+}
+
+function toObjectSchema(members: ts.NodeArray<ts.TypeElement>): Schema {
+    const properties: Schema = {};
+    const required: string[] = [];
+    let additionalProperties: Schema | undefined;
+
+    for (const member of members) {
+        if (ts.isPropertySignature(member) && member.type) {
+            const name = member.name.getText(sourceFile);
+            const description = getTrailingComment(member);
+            properties[name] = { ...toSchema(member.type), ...(description ? { description } : {}) };
+            if (!member.questionToken) required.push(name);
+        } else if (ts.isIndexSignatureDeclaration(member)) {
+            additionalProperties = toSchema(member.type);
+        }
+    }
+
+    return {
+        type: 'object',
+        properties: properties,
+        ...(required.length > 0 ? { required } : {}),
+        ...(additionalProperties ? { additionalProperties } : {})
+    };
+}
+
+function toSchema(node: ts.TypeNode): Schema {
+    switch (node.kind) {
+        case ts.SyntaxKind.StringKeyword: return { type: 'string' };
+        case ts.SyntaxKind.NumberKeyword: return { type: 'number' };
+        case ts.SyntaxKind.BooleanKeyword: return { type: 'boolean' };
+        case ts.SyntaxKind.AnyKeyword:
+        case ts.SyntaxKind.UnknownKeyword: return {};
+    }
+
+    if (ts.isParenthesizedTypeNode(node)) return toSchema(node.type);
+    if (ts.isUnionTypeNode(node)) return toUnionSchema(node.types);
+    if (ts.isIntersectionTypeNode(node)) return { allOf: node.types.map(toSchema) };
+    if (ts.isArrayTypeNode(node)) return { type: 'array', items: toSchema(node.elementType) };
+    if (ts.isTypeLiteralNode(node)) return toObjectSchema(node.members);
+    if (ts.isTupleTypeNode(node)) {
+        return { type: 'array', prefixItems: node.elements.map(toSchema), minItems: node.elements.length, maxItems: node.elements.length };
+    }
+    if (ts.isLiteralTypeNode(node)) {
+        if (ts.isStringLiteral(node.literal)) return { type: 'string', const: node.literal.text };
+        if (node.literal.kind === ts.SyntaxKind.NullKeyword) return { type: 'null' };
+        if (node.literal.kind === ts.SyntaxKind.TrueKeyword || node.literal.kind === ts.SyntaxKind.FalseKeyword) return { type: 'boolean' };
+    }
+    if (ts.isMappedTypeNode(node) && node.type) {
+        // { [key in Keys]: T }
+        return { type: 'object', propertyNames: toSchema(node.typeParameter.constraint!), additionalProperties: toSchema(node.type) };
+    }
+    if (ts.isTypeReferenceNode(node)) {
+        const name = node.typeName.getText(sourceFile);
+        if (name === 'Array' && node.typeArguments?.length === 1) {
+            return { type: 'array', items: toSchema(node.typeArguments[0]) };
+        }
+        return refTo(name);
+    }
+
+    throw new Error(`Unsupported type ${node.getText(sourceFile)}`);
+}
+
+function toDeclarationSchema(declaration: ts.InterfaceDeclaration | ts.TypeAliasDeclaration): Schema {
+    if (declaration.typeParameters) {
+        throw new Error(`Generic type ${declaration.name.text} cannot be converted`);
+    }
+
+    if (ts.isTypeAliasDeclaration(declaration)) {
+        return toSchema(declaration.type);
+    }
+
+    // Interfaces extending others, such as Chunk, combine the schemas
+    const schema = toObjectSchema(declaration.members);
+    const parents = (declaration.heritageClauses || []).flatMap(clause => clause.types.map(type => refTo(type.expression.getText(sourceFile))));
+    return parents.length > 0 ? { allOf: [...parents, schema] } : schema;
+}
+
+/**
+ * JSON schemas of the root types and every type they refer to, sorted by name
+ */
+function buildSchemas(source: string, rootTypes: string[]): { [name: string]: Schema } {
+    sourceFile = ts.createSourceFile(TYPES_FILE, source, ts.ScriptTarget.ES2020, true);
+    declarations.clear();
+    for (const statement of sourceFile.statements) {
+        if (ts.isInterfaceDeclaration(statement) || ts.isTypeAliasDeclaration(statement)) {
+            declarations.set(statement.name.text, statement);
+        }
+    }
+
+    const schemas: { [name: string]: Schema } = {};
+    rootTypes.forEach(refTo);
+    while (pending.length > 0) {
+        const name = pending.shift()!;
+        if (!schemas[name]) {
+            schemas[name] = toDeclarationSchema(declarations.get(name)!);
+        }
+    }
+
+    return Object.fromEntries(Object.keys(schemas).sort().map(name => [name, schemas[name]]));
+}
+
+async function main(): Promise<void> {
+    const schemas = buildSchemas(await fs.readFile(TYPES_FILE, 'utf8'), ROOT_TYPES);
+    await fs.writeFile(SCHEMAS_FILE, JSON.stringify(schemas, null, 2) + '\n');
+    console.log(`✅ ${Object.keys(schemas).length} schemas written to ${path.relative(process.cwd(), SCHEMAS_FILE)}`);
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ Fatal error: ${error instanceof Error ? error.message : 'Unknown error'}`);
+        process.exit(1);
+    });
+}
+
+export { main as generateSchemas };
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { ChunkType, CyclingNode, CyclingRoute, QualityIssue } from '../types';
+import { analyseQuality, QUALITY_CATEGORIES } from '../routes/quality';
+import { findDataset, getNetworkArgument, getRefTag, parseDatasetConfig } from '../routes/datasets';
+import { CHUNK_INDEX_FILES, upgradeChunk, upgradeChunkIndex } from '../utils/chunks';
+import { BBox } from '../utils/spatial-index';
+
+/**
+ * Data quality report
+ * Analyses the downloaded chunks for problems in the OpenStreetMap data and
+ * writes them with links to openstreetmap.org to quality-report.json
+ *
+ * Usage:
+ * - npm run quality (all data)
+ * - npm run quality -- 51.8 5.7 51.9 5.9 (only issues within south west north east)
+ * - npm run quality -- --network=rwn-nl (another network than the default)
+ */
+
+const DATASETS_FILE = path.join(process.cwd(), 'data', 'datasets.json');
+
+// Directories of the network being checked, set by main()
+let dataDir = path.join(process.cwd(), 'data');
+let chunksDir = path.join(dataDir, 'chunks');
+const REPORT_FILE = 'quality-report.json';
+
+// Issues listed per category on the console, the report file holds all of them
+const EXAMPLES_PER_CATEGORY = 10;
+
+const CATEGORY_LABELS: { [category: string]: string } = {
+    invalidRef: 'Missing or invalid ref',
+    duplicateRef: 'Same ref within 500 m',
+    orphanNode: 'Knooppunten not on a route',
+    danglingRouteEnd: 'Dangling route ends'
+};
+
+/**
+ * Load every chunk of a type, returns the items and the bounds of the chunks that could be read
+ */
+async function loadChunks<T>(type: ChunkType): Promise<{ items: T[]; coverage: BBox[] }> {
+    const items: T[] = [];
+    const coverage: BBox[] = [];
+
+    let index;
+    try {
+        index = upgradeChunkIndex(JSON.parse(await fs.readFile(path.join(dataDir, CHUNK_INDEX_FILES[type]), 'utf8')), type);
+    } catch (error) {
+        console.log(`⚠️ No ${type} chunks: ${(error as Error).message}`);
+        return { items, coverage };
+    }
+
+    for (const chunkInfo of index.chunks) {
+        try {
+            const chunk = upgradeChunk(JSON.parse(await fs.readFile(path.join(chunksDir, chunkInfo.file), 'utf8')), type);
+            items.push(...((chunk as any)[type] as T[]));
+            coverage.push(chunkInfo.bounds);
+        } catch (error) {
+            // Missing chunks leave a gap, route checks are skipped there
+        }
+    }
+    console.log(`📦 ${type}: ${items.length} from ${coverage.length}/${index.chunks.length} chunks`);
+    return { items, coverage };
+}
+
+function parseBounds(args: string[]): BBox | null {
+    if (args.length === 0) return null;
+
+    const bounds = args.map(Number);
+    if (bounds.length !== 4 || bounds.some(isNaN) || bounds[0] > bounds[2] || bounds[1] > bounds[3]) {
+        throw new Error('Bounds must be four numbers: south west north east');
+    }
+    return bounds as BBox;
+}
+
+function printIssue(issue: QualityIssue): void {
+    console.log(`   - ${issue.message}`);
+    console.log(`     ${issue.osmUrl}`);
+}
+
+async function main(): Promise<void> {
+    const args = process.argv.slice(2);
+    const bounds = parseBounds(args.filter(arg => !arg.startsWith('--')));
+    const config = parseDatasetConfig(JSON.parse(await fs.readFile(DATASETS_FILE, 'utf8')), process.env);
+    const dataset = findDataset(config, getNetworkArgument(args));
+    dataDir = path.join(process.cwd(), 'data', dataset.dir);
+    chunksDir = path.join(dataDir, 'chunks');
+    console.log(`🔍 Analysing data quality of ${dataset.name}${bounds ? ` within ${bounds.join(', ')}` : ''}`);
+
+    const nodes = await loadChunks<CyclingNode>('nodes');
+    const routes = await loadChunks<CyclingRoute>('routes');
+    if (nodes.items.length === 0) {
+        throw new Error('No nodes found, run npm run download first');
+    }
+
+    const report = analyseQuality(nodes.items, routes.items, routes.coverage, bounds, getRefTag(dataset));
+
+    for (const category of QUALITY_CATEGORIES) {
+        const issues = report.issues.filter(issue => issue.category === category);
+        console.log(`\n${issues.length > 0 ? '⚠️' : '✅'} ${CATEGORY_LABELS[category]}: ${issues.length}`);
+        issues.slice(0, EXAMPLES_PER_CATEGORY).forEach(printIssue);
+        if (issues.length > EXAMPLES_PER_CATEGORY) {
+            console.log(`   ... and ${issues.length - EXAMPLES_PER_CATEGORY} more`);
+        }
+    }
+    if (routes.coverage.length === 0) {
+        console.log('\n⚠️ No route chunks, orphan nodes and dangling route ends were not checked');
+    }
+
+    await fs.writeFile(path.join(dataDir, REPORT_FILE), JSON.stringify(report, null, 2));
+    console.log(`\n📄 ${report.issues.length} issues written to ${path.join(dataDir, REPORT_FILE)}`);
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ Fatal error: ${error instanceof Error ? error.message : 'Unknown error'}`);
+        process.exit(1);
+    });
+}
+
+export { main as qualityReport };
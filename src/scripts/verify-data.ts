@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { ChunkIndex, ChunkType, CyclingNode, CyclingRoute } from '../types';
+import { findDataset, getNetworkArgument, parseDatasetConfig } from '../routes/datasets';
+import { CHUNK_INDEX_FILES, getFormatVersion, upgradeChunk, upgradeChunkIndex } from '../utils/chunks';
+import { getRouteKey } from '../utils/geo';
+
+/**
+ * Verify the downloaded data
+ * Checks that the chunk indexes, the chunk files and the raw data files agree
+ * and exits with an error when they do not
+ *
+ * Usage:
+ * - npm run verify-data
+ * - npm run verify-data -- --network=rwn-nl (another network than the default)
+ */
+
+const DATASETS_FILE = path.join(process.cwd(), 'data', 'datasets.json');
+
+// Directories of the network being checked, set by main()
+let dataDir = path.join(process.cwd(), 'data');
+let chunksDir = path.join(dataDir, 'chunks');
+const RAW_DATA_FILES: { [type in ChunkType]?: string } = {
+    nodes: 'raw-nodes-data.json',
+    routes: 'raw-routes-data.json'
+};
+
+// Nodes may lie this far (degrees) outside their chunk bounds due to rounding
+const BOUNDS_TOLERANCE = 0.000001;
+
+const errors: string[] = [];
+const warnings: string[] = [];
+
+function fail(message: string): void {
+    errors.push(message);
+    console.log(`❌ ${message}`);
+}
+
+function warn(message: string): void {
+    warnings.push(message);
+    console.log(`⚠️ ${message}`);
+}
+
+async function readJson(filePath: string): Promise<any | null> {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') return null;
+        throw new Error(`${path.basename(filePath)} is not valid JSON: ${(error as Error).message}`);
+    }
+}
+
+/**
+ * Identity of an item, used to compare chunks with the raw data
+ */
+function getItemKey(type: ChunkType, item: any): string {
+    if (type === 'nodes') return String((item as CyclingNode).osmId ?? item.id);
+    if (type === 'edges') return String(item.id);
+    return getRouteKey(item as CyclingRoute);
+}
+
+/**
+ * Verify one dataset, returns the item keys found in its chunks
+ */
+async function verifyDataset(type: ChunkType, required: boolean): Promise<Set<string> | null> {
+    const indexFile = CHUNK_INDEX_FILES[type];
+    console.log(`\n📋 Checking ${type} (${indexFile})`);
+
+    let raw: any;
+    let index: ChunkIndex;
+    try {
+        raw = await readJson(path.join(dataDir, indexFile));
+        if (raw === null) {
+            (required ? fail : warn)(`${indexFile} not found`);
+            return null;
+        }
+        index = upgradeChunkIndex(raw, type);
+    } catch (error) {
+        fail((error as Error).message);
+        return null;
+    }
+
+    if (getFormatVersion(raw) < index.version) {
+        warn(`${indexFile} uses the old format version ${getFormatVersion(raw)}, run npm run download to rewrite it`);
+    }
+
+    const keys = new Set<string>();
+    const duplicates = new Set<string>();
+    let total = 0;
+
+    for (const chunkInfo of index.chunks) {
+        const label = `${type} chunk ${chunkInfo.id} (${chunkInfo.file})`;
+        let chunkRaw: any;
+        try {
+            chunkRaw = await readJson(path.join(chunksDir, chunkInfo.file));
+        } catch (error) {
+            fail(`${label}: ${(error as Error).message}`);
+            continue;
+        }
+        if (chunkRaw === null) {
+            fail(`${label}: listed in the index but the file does not exist`);
+            continue;
+        }
+
+        let items: any[];
+        try {
+            const chunk = upgradeChunk(chunkRaw, type);
+            items = (chunk as any)[type];
+            if (chunk.id !== chunkInfo.id) {
+                fail(`${label}: file has id ${chunk.id}`);
+            }
+        } catch (error) {
+            fail(`${label}: ${(error as Error).message}`);
+            continue;
+        }
+
+        if (typeof chunkRaw.count === 'number' && chunkRaw.count !== items.length) {
+            fail(`${label}: count is ${chunkRaw.count} but the file holds ${items.length} ${type}`);
+        }
+        if (chunkInfo.count !== undefined && chunkInfo.count !== items.length) {
+            fail(`${label}: index count is ${chunkInfo.count} but the file holds ${items.length} ${type}`);
+        }
+
+        // Nodes are assigned to the grid cell they lie in, routes and edges may extend beyond it
+        if (type === 'nodes') {
+            const [south, west, north, east] = chunkInfo.bounds;
+            const outside = items.filter((node: CyclingNode) =>
+                node.lat < south - BOUNDS_TOLERANCE || node.lat > north + BOUNDS_TOLERANCE ||
+                node.lng < west - BOUNDS_TOLERANCE || node.lng > east + BOUNDS_TOLERANCE
+            );
+            if (outside.length > 0) {
+                fail(`${label}: ${outside.length} nodes lie outside the chunk bounds`);
+            }
+        }
+
+        for (const item of items) {
+            const key = getItemKey(type, item);
+            if (keys.has(key)) duplicates.add(key);
+            keys.add(key);
+        }
+        total += items.length;
+    }
+
+    // Chunk files that no index entry points to are never loaded
+    const listedFiles = new Set(index.chunks.map(chunk => chunk.file));
+    const orphans = (await fs.readdir(chunksDir).catch(() => [] as string[]))
+        .filter(file => file.startsWith(`${type}-chunk-`) && file.endsWith('.json') && !listedFiles.has(file));
+    if (orphans.length > 0) {
+        fail(`${orphans.length} ${type} chunk files are not in the index: ${orphans.slice(0, 5).join(', ')}${orphans.length > 5 ? ', ...' : ''}`);
+    }
+
+    if (index.total !== undefined && index.total !== total) {
+        fail(`${indexFile}: total is ${index.total} but the chunks hold ${total} ${type}`);
+    }
+    // Routes crossing a chunk border are stored in every chunk they pass, nodes only once
+    if (type === 'nodes' && duplicates.size > 0) {
+        warn(`${duplicates.size} ${type} appear in more than one chunk (e.g. ${Array.from(duplicates).slice(0, 3).join(', ')})`);
+    }
+
+    console.log(`   ${index.chunks.length} chunks, ${total} ${type}, ${keys.size} unique`);
+    return keys;
+}
+
+/**
+ * Compare the items in the chunks with the raw data file of the dataset
+ */
+async function verifyRawData(type: ChunkType, chunkKeys: Set<string>): Promise<void> {
+    const rawFile = RAW_DATA_FILES[type];
+    if (!rawFile) return;
+
+    let raw: any;
+    try {
+        raw = await readJson(path.join(dataDir, rawFile));
+    } catch (error) {
+        fail((error as Error).message);
+        return;
+    }
+    if (raw === null) {
+        warn(`${rawFile} not found, skipping raw data comparison for ${type}`);
+        return;
+    }
+
+    const items: any[] = Array.isArray(raw[type]) ? raw[type] : [];
+    const rawKeys = new Set(items.map(item => getItemKey(type, item)));
+    const missingFromChunks = Array.from(rawKeys).filter(key => !chunkKeys.has(key));
+    const missingFromRaw = Array.from(chunkKeys).filter(key => !rawKeys.has(key));
+
+    const declaredTotal = raw.metadata?.[type === 'nodes' ? 'totalNodes' : 'totalRoutes'];
+    if (typeof declaredTotal === 'number' && declaredTotal !== items.length) {
+        fail(`${rawFile}: metadata says ${declaredTotal} ${type} but the file holds ${items.length}`);
+    }
+    if (missingFromChunks.length > 0) {
+        fail(`${missingFromChunks.length} ${type} in ${rawFile} are missing from the chunks (e.g. ${missingFromChunks.slice(0, 3).join(', ')})`);
+    }
+    if (missingFromRaw.length > 0) {
+        fail(`${missingFromRaw.length} ${type} in the chunks are missing from ${rawFile} (e.g. ${missingFromRaw.slice(0, 3).join(', ')})`);
+    }
+}
+
+async function main(): Promise<void> {
+    const config = parseDatasetConfig(JSON.parse(await fs.readFile(DATASETS_FILE, 'utf8')), process.env);
+    const dataset = findDataset(config, getNetworkArgument(process.argv.slice(2)));
+    dataDir = path.join(process.cwd(), 'data', dataset.dir);
+    chunksDir = path.join(dataDir, 'chunks');
+    console.log(`🔍 Verifying ${dataset.name} data in`, dataDir);
+
+    const datasets: Array<{ type: ChunkType; required: boolean }> = [
+        { type: 'nodes', required: true },
+        { type: 'routes', required: false },
+        { type: 'edges', required: false }
+    ];
+
+    for (const { type, required } of datasets) {
+        const keys = await verifyDataset(type, required);
+        if (keys) {
+            await verifyRawData(type, keys);
+        }
+    }
+
+    console.log(`\n📊 ${errors.length} errors, ${warnings.length} warnings`);
+    if (errors.length > 0) {
+        console.log('❌ Data verification failed');
+        process.exit(1);
+    }
+    console.log('✅ Data verified');
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ Fatal error: ${error instanceof Error ? error.message : 'Unknown error'}`);
+        process.exit(1);
+    });
+}
+
+export { main as verifyData };
@@ -1,17 +1,21 @@
 import express, { Express, Request, Response, NextFunction } from 'express';
 import cors from 'cors';
 import * as path from 'path';
-import apiRoutes from './routes/api';
+import apiRoutes, { preloadClusters } from './routes/api';
+import userRoutes from './routes/users';
+import v1Routes, { handleApiError } from './routes/v1';
 
 const app: Express = express();
 const PORT: number = parseInt(process.env.PORT || '3000', 10);
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // Visited lists and exports can hold every node
 app.use(express.static('public'));
 
 // API Routes
+app.use('/api/v1', v1Routes, handleApiError);
+app.use('/api/users', userRoutes);
 app.use('/api', apiRoutes);
 
 // Serve main page
@@ -39,4 +43,5 @@ app.listen(PORT, (): void => {
     console.log(`🌐 Server running on http://localhost:${PORT}`);
     console.log(`📁 Serving files from: ${path.join(process.cwd(), 'public')}`);
     console.log(`🔄 Use 'npm run dev' for auto-reload development`);
+    preloadClusters();
 });
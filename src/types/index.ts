@@ -22,21 +22,55 @@ export interface NodeCluster {
     id: string;
     lat: number;
     lng: number;
-    nodes: CyclingNode[];
+    nodes?: CyclingNode[];  // For individual nodes, clusters only carry their count
     count: number;
+    visitedCount?: number;  // Visited nodes in the cluster, when a visited set was given
     isCluster: boolean;
     type?: 'node' | 'cluster';  // For frontend compatibility
     osmId?: string;  // For individual nodes
     name?: string;   // For individual nodes
+    expansionZoom?: number;  // For clusters: zoom level where the cluster splits into its children
+}
+
+// A single visit of a node, visitedAt is null for visits migrated from the old id-only format
+export interface VisitRecord {
+    visitedAt: string | null;
+    trip?: string;
+    note?: string;
+}
+
+export interface VisitedNode {
+    osmId: string | number;
+    visits: VisitRecord[];
 }
 
 // Export/Import data structure
 export interface ExportData {
     version: string;
     exportDate: string;
-    visitedNodes: string[];
-    totalNodes: number;
-    completionPercentage: number;
+    totalVisited: number;
+    visitedNodes: Array<{
+        knooppuntNumber?: string | number;
+        name?: string;
+        osmId: string | number;
+        coordinates?: [number, number];
+        visits: VisitRecord[];
+    }>;
+}
+
+// Server-side user account with synced visited progress
+export interface UserAccount {
+    id: string;
+    name: string;
+    salt: string;
+    passwordHash: string;
+    tokens: string[];       // Hashes of active login tokens
+    visited: VisitedNode[];
+    updatedAt: string;
+}
+
+export interface UserStore {
+    users: { [id: string]: UserAccount };
 }
 
 // Map position for cookie persistence
@@ -60,31 +94,47 @@ export interface ApiResponse<T> {
 }
 
 // Chunk management types
+// Shared by the downloader, the API loader and verify-data. Files in older
+// layouts are upgraded to this format when loaded (see utils/chunks.ts).
+export const CHUNK_FORMAT_VERSION = 2;
+
+export type ChunkType = 'nodes' | 'routes' | 'edges';
+
 export interface ChunkInfo {
-    id: string;
-    bounds: [number, number, number, number]; // [south, west, north, east]
-    nodeCount?: number;
+    id: string;                                // Grid cell number, "1" to "64" for an 8x8 grid
+    bounds: [number, number, number, number];  // [south, west, north, east]
+    file: string;                              // File name in data/chunks
+    count?: number;                            // Items in the chunk, unknown for old indexes
 }
 
 export interface ChunkIndex {
+    version: number;
+    type: ChunkType;
+    generatedAt: string | null;
     totalChunks: number;
+    total?: number;  // Items over all chunks, unknown for old indexes
     chunks: ChunkInfo[];
-    lastUpdated?: string;
 }
 
-export interface Chunk {
+interface ChunkFile {
+    version: number;
     id: string;
     bounds: [number, number, number, number];
-    nodes: CyclingNode[];
     count: number;
 }
 
+export interface Chunk extends ChunkFile {
+    nodes: CyclingNode[];
+}
+
 // Route types
 export interface CyclingRoute {
     id: string;
     name?: string;
     description?: string;
-    geometry: Array<{ lat: number; lng: number }>;
+    geometry?: Array<{ lat: number; lng: number }>;  // Line of a single way, relations only store their segments
+    segments?: Array<Array<{ lat: number; lng: number }>>; // Stitched member ways of a relation, one line per connected part
+    bbox?: [number, number, number, number]; // [south, west, north, east] of the geometry
     distance?: number;
     difficulty?: string;
     // Additional fields for frontend compatibility
@@ -94,11 +144,285 @@ export interface CyclingRoute {
     tags?: { [key: string]: any };
 }
 
-export interface RouteChunk {
-    id: string;
-    bounds: [number, number, number, number];
+export interface RouteChunk extends ChunkFile {
     routes: CyclingRoute[];
-    count: number;
+}
+
+// Knooppunt-to-knooppunt network edge
+export interface NetworkEdge {
+    id: string;
+    from: string;          // From-node osmId
+    to: string;            // To-node osmId
+    fromRef?: string;
+    toRef?: string;
+    length: number;        // Length along the route geometry in km
+    surface: { [surface: string]: number };  // Share of the length per surface type (0-1)
+    geometry: Array<{ lat: number; lng: number }>;
+}
+
+export interface EdgeChunk extends ChunkFile {
+    edges: NetworkEdge[];
+}
+
+export type ChunkOf<T extends ChunkType> = T extends 'nodes' ? Chunk : T extends 'routes' ? RouteChunk : EdgeChunk;
+
+// Route planner result
+export interface RoutePlan {
+    from: string;
+    to: string;
+    via: string[];
+    nodes: CyclingNode[];  // Knooppunten passed, in riding order
+    refs: string[];
+    distance: number;      // Total distance in km
+    geometry: Array<{ lat: number; lng: number }>;
+}
+
+// Suggested round trip along as many unvisited knooppunten as the distance allows
+export interface RideSuggestion {
+    start: string;           // osmId of the start and end knooppunt
+    targetDistance: number;  // Distance budget in km
+    nodes: CyclingNode[];    // Knooppunten passed, in riding order
+    refs: string[];
+    newNodes: string[];      // osmIds of the unvisited knooppunten on the ride
+    distance: number;        // Total distance in km
+    geometry: Array<{ lat: number; lng: number }>;
+}
+
+// Download diff report (download-diff.json): changes between the previous and the new node dataset
+export interface DiffNode {
+    osmId: string;
+    ref?: string;
+    lat: number;
+    lng: number;
+}
+
+export interface NodeDiff {
+    generatedAt: string;
+    previousTotal: number;
+    currentTotal: number;
+    added: DiffNode[];
+    removed: DiffNode[];
+    moved: Array<DiffNode & { previous: { lat: number; lng: number }; distance: number }>;
+}
+
+// Reconciling visited osmIds that disappeared from the node data
+export interface ReconcileCandidate {
+    node: CyclingNode;
+    distance: number;  // Meters from the last known position of the missing node
+}
+
+export interface ReconcileResult {
+    osmId: string;
+    previous: DiffNode | null;  // Last known ref and position, null when unknown
+    candidates: ReconcileCandidate[];
+}
+
+// GPX/KML/GeoJSON export
+export type ExportFormat = 'gpx' | 'kml' | 'geojson';
+
+export interface ExportRoute {
+    name: string;
+    nodes: CyclingNode[];  // Knooppunten in riding order
+    distance: number;      // km
+    geometry: Array<{ lat: number; lng: number }>;
+}
+
+// GeoJSON output of the node, cluster and route endpoints (format=geojson or Accept: application/geo+json)
+export type GeoJsonGeometry =
+    | { type: 'Point'; coordinates: [number, number] }
+    | { type: 'LineString'; coordinates: Array<[number, number]> }
+    | { type: 'MultiLineString'; coordinates: Array<Array<[number, number]>> };
+
+export interface GeoJsonFeature {
+    type: 'Feature';
+    id?: string;
+    bbox?: [number, number, number, number];  // [west, south, east, north], the GeoJSON order
+    geometry: GeoJsonGeometry;
+    properties: { [key: string]: any };
+}
+
+export interface GeoJsonFeatureCollection {
+    type: 'FeatureCollection';
+    bbox?: [number, number, number, number];  // [west, south, east, north] of the requested bounds
+    features: GeoJsonFeature[];
+    [member: string]: any;                    // Foreign members such as count, zoom and source
+}
+
+// Printable route card: one leg per pair of consecutive knooppunten
+export interface RouteCardLeg {
+    from: CyclingNode;
+    to: CyclingNode;
+    distance: number;  // km along the route network, or straight line when not routed
+    routed: boolean;   // False when the knooppunten are not connected by the local route data
+    geometry: Array<{ lat: number; lng: number }>;
+}
+
+// Ride track import
+export interface TrackPoint {
+    lat: number;
+    lng: number;
+    time?: string;
+}
+
+export interface TrackMatch {
+    node: CyclingNode;
+    passedAt?: string;     // Time of the closest track point, when the track has times
+    distance: number;      // Closest distance to the track in meters
+    twins: CyclingNode[];  // Same-ref nodes on the other side of the road
+}
+
+// Administrative regions (provinces and gemeenten) for completion statistics
+export type RegionLevel = 'province' | 'municipality';
+
+export interface RegionStats {
+    id: string;
+    name: string;
+    level: RegionLevel;
+    bounds: [number, number, number, number];  // [south, west, north, east]
+    total: number;
+    visited: number;
+    percentage: number;
+}
+
+// Achievement rules, read from data/achievements.json
+export type AchievementType = 'visitedCount' | 'regionComplete' | 'regionCoverage' | 'ride' | 'weekendStreak';
+
+export interface AchievementRule {
+    id: string;
+    type: AchievementType;
+    title: string;
+    description?: string;
+    icon?: string;
+    target: number;        // Ignored for regionCoverage, where every region of the level counts
+    level?: RegionLevel;   // Required for the region rules
+}
+
+export interface AchievementProgress {
+    id: string;
+    type: AchievementType;
+    title: string;
+    description?: string;
+    icon?: string;
+    target: number;
+    progress: number;
+    achieved: boolean;
+    achievedAt?: string | null;  // Visit that reached the target, when it is known
+    detail?: string;             // E.g. the best ride or region so far
+    available: boolean;          // False when the rule needs data that has not been downloaded
+}
+
+// Data quality report: problems in the OpenStreetMap knooppunt data, to fix upstream
+export type QualityCategory = 'invalidRef' | 'duplicateRef' | 'orphanNode' | 'danglingRouteEnd';
+
+export interface QualityIssue {
+    id: string;                // Stable per problem, e.g. "orphanNode/123"
+    category: QualityCategory;
+    message: string;
+    lat: number;
+    lng: number;
+    osmType: 'node' | 'way' | 'relation';
+    osmId: string;
+    osmUrl: string;            // Object page on openstreetmap.org
+    editUrl: string;           // Opens the object in the OpenStreetMap editor
+    related?: string[];        // Other OSM objects involved, e.g. the same-ref neighbour or the relation of a way
+}
+
+export interface QualityReport {
+    generatedAt: string;
+    bounds: [number, number, number, number] | null;  // [south, west, north, east], null for all data
+    counts: { [category in QualityCategory]: number };
+    issues: QualityIssue[];
+}
+
+// Search result: a knooppunt, or a place to show when the query has no ref
+export interface SearchResult {
+    type: 'node' | 'place';
+    label: string;
+    lat: number;
+    lng: number;
+    node?: CyclingNode;
+    place?: string;
+    distance?: number;  // Meters from the searched coordinates or the given center
+    bounds?: [number, number, number, number];  // [south, west, north, east] of the nodes in a place
+    count?: number;     // Knooppunten in a place
+}
+
+// Raster map tile sources for the layer switcher, read from data/tile-sources.json
+export interface TileSource {
+    id: string;
+    name: string;
+    url: string;           // Leaflet URL template with {z}, {x}, {y} and optionally {s} and {r}
+    attribution: string;
+    maxZoom: number;
+    subdomains?: string;   // Letters substituted for {s}
+    dark: boolean;         // Dark map style, the map background follows it while tiles load
+}
+
+export interface TileConfig {
+    tileSources: TileSource[];
+    defaultTileSource: string;  // id of the source shown on first visit
+}
+
+// Knooppunt networks, read from data/datasets.json. Each dataset is downloaded and served separately
+export interface NetworkDataset {
+    id: string;                // Value of the ?network= parameter, e.g. "rwn-nl"
+    name: string;
+    network: string;           // OSM network of the knooppunten: rcn (cycling), rwn (walking), lcn, ...
+    routeNetworks: string[];   // Networks of the route relations downloaded with the knooppunten
+    countries: string[];       // ISO 3166-1 codes the knooppunten are limited to, empty for the whole bbox
+    bbox: [number, number, number, number];  // [south, west, north, east] of the download grid
+    gridSize: number;          // Grid cells per side, gridSize² chunks
+    dir: string;               // Data directory relative to data/
+}
+
+export interface DatasetConfig {
+    datasets: NetworkDataset[];
+    defaultDataset: string;    // id of the dataset served without a network parameter
+}
+
+// Network as listed by /api/v1/networks
+export interface NetworkSummary {
+    id: string;                // Value of the network parameter
+    name: string;
+    network: string;           // OSM network of the knooppunten, e.g. rcn
+    countries: string[];
+    bbox: [number, number, number, number];  // [south, west, north, east]
+    isDefault: boolean;        // Used when no network parameter is given
+}
+
+// Knooppunt totals of a network
+export interface NetworkStats {
+    totalNodes: number;
+    visitedNodes: number | null;  // Null when no visited list or user was given
+    lastUpdated: string | null;   // Generation time of the downloaded data
+}
+
+// Versioned public API (/api/v1): every JSON response is { data, meta } or { data: null, error }
+export interface ApiMeta {
+    network: string | null;    // Dataset id the data comes from, null when the endpoint has no network
+    count?: number;            // Items in data, for lists
+    bbox?: [number, number, number, number];  // [south, west, north, east] of the request
+    zoom?: number;             // Zoom level the clusters were built for
+    lastUpdated?: string | null;
+    warning?: string;
+    source: string;
+}
+
+export interface ValidationIssue {
+    parameter: string;         // Query parameter or body field, e.g. "bbox" or "body.visited"
+    message: string;
+}
+
+export interface ApiError {
+    status: number;            // HTTP status code
+    message: string;
+    details?: ValidationIssue[];  // Every invalid parameter, for status 400
+}
+
+export interface ApiEnvelope<T> {
+    data: T | null;
+    meta?: ApiMeta;
+    error?: ApiError;
 }
 
 // API parameter types
@@ -0,0 +1,144 @@
+/**
+ * Chunk format helpers shared by the downloader, the API loader and verify-data
+ * Knows the file naming and upgrades indexes and chunk files written in older layouts
+ */
+
+import { CHUNK_FORMAT_VERSION, ChunkIndex, ChunkInfo, ChunkOf, ChunkType } from '../types';
+
+export const CHUNK_INDEX_FILES: { [type in ChunkType]: string } = {
+    nodes: 'nodes-chunk-index.json',
+    routes: 'route-chunk-index.json',
+    edges: 'edge-chunk-index.json'
+};
+
+type Bounds = [number, number, number, number];
+
+/**
+ * File name of a chunk, e.g. nodes-chunk-12.json
+ */
+export function getChunkFileName(type: ChunkType, id: string): string {
+    return `${type}-chunk-${id}.json`;
+}
+
+/**
+ * Chunk id of a grid cell: cells are numbered row by row from the south-west, starting at 1
+ */
+export function getGridChunkId(row: number, col: number, gridSize: number): string {
+    return String(row * gridSize + col + 1);
+}
+
+function isBounds(value: unknown): value is Bounds {
+    return Array.isArray(value) && value.length === 4 && value.every(n => typeof n === 'number' && !isNaN(n));
+}
+
+/**
+ * Format version of a raw index or chunk file: unversioned files are 0,
+ * the first downloader layout wrote "1.0"
+ */
+export function getFormatVersion(raw: any): number {
+    if (raw?.version === undefined) return 0;
+    const version = parseFloat(String(raw.version));
+    return isNaN(version) ? 0 : Math.floor(version);
+}
+
+/**
+ * Create an index for the given chunk entries
+ */
+export function createChunkIndex(type: ChunkType, chunks: ChunkInfo[]): ChunkIndex {
+    return {
+        version: CHUNK_FORMAT_VERSION,
+        type: type,
+        generatedAt: new Date().toISOString(),
+        totalChunks: chunks.length,
+        total: chunks.reduce((sum, chunk) => sum + (chunk.count || 0), 0),
+        chunks: chunks
+    };
+}
+
+/**
+ * Validate a raw index and upgrade it to the current format
+ * Throws when the index cannot be used
+ */
+export function upgradeChunkIndex(raw: any, type: ChunkType): ChunkIndex {
+    const version = getFormatVersion(raw);
+    if (version > CHUNK_FORMAT_VERSION) {
+        throw new Error(`${type} chunk index has format version ${version}, newer than supported ${CHUNK_FORMAT_VERSION}`);
+    }
+    if (!raw || !Array.isArray(raw.chunks)) {
+        throw new Error(`${type} chunk index has no chunks list`);
+    }
+    if (raw.type !== undefined && raw.type !== type) {
+        throw new Error(`Expected a ${type} chunk index, found ${raw.type}`);
+    }
+
+    const chunks: ChunkInfo[] = raw.chunks.map((entry: any, position: number) => {
+        if (entry?.id === undefined || entry.id === null || !isBounds(entry.bounds)) {
+            throw new Error(`${type} chunk index entry ${position} has no id or valid bounds`);
+        }
+        const id = String(entry.id);
+        const count = entry.count ?? entry.nodeCount ?? entry.routeCount ?? entry.edgeCount;
+
+        return {
+            id: id,
+            bounds: entry.bounds,
+            // Unversioned indexes listed file names that never matched the chunk files
+            file: version >= CHUNK_FORMAT_VERSION && typeof entry.file === 'string' ? entry.file : getChunkFileName(type, id),
+            count: typeof count === 'number' ? count : undefined
+        };
+    });
+
+    const ids = new Set<string>();
+    for (const chunk of chunks) {
+        if (ids.has(chunk.id)) {
+            throw new Error(`${type} chunk index lists chunk ${chunk.id} twice`);
+        }
+        ids.add(chunk.id);
+    }
+
+    const total = raw.total ?? raw.totalNodes ?? raw.totalRoutes ?? raw.totalEdges;
+    return {
+        version: CHUNK_FORMAT_VERSION,
+        type: type,
+        generatedAt: raw.generatedAt ?? raw.createdDate ?? raw.created ?? null,
+        totalChunks: chunks.length,
+        total: typeof total === 'number' ? total : undefined,
+        chunks: chunks
+    };
+}
+
+function dropFlatGeometry(route: any): any {
+    if (!Array.isArray(route?.segments) || route.segments.length === 0 || route.geometry === undefined) return route;
+    const { geometry, ...rest } = route;
+    return rest;
+}
+
+/**
+ * Validate a raw chunk file and upgrade it to the current format
+ * Older route chunks used chunkId instead of id, had no count and stored the
+ * points of stitched relations twice, as segments and as one flat geometry
+ */
+export function upgradeChunk<T extends ChunkType>(raw: any, type: T): ChunkOf<T> {
+    const version = getFormatVersion(raw);
+    if (version > CHUNK_FORMAT_VERSION) {
+        throw new Error(`${type} chunk has format version ${version}, newer than supported ${CHUNK_FORMAT_VERSION}`);
+    }
+
+    const id = raw?.id ?? raw?.chunkId;
+    if (id === undefined || id === null) {
+        throw new Error(`${type} chunk has no id`);
+    }
+    if (!Array.isArray(raw[type])) {
+        throw new Error(`${type} chunk ${id} has no ${type} list`);
+    }
+    if (!isBounds(raw.bounds)) {
+        throw new Error(`${type} chunk ${id} has no valid bounds`);
+    }
+
+    return {
+        version: CHUNK_FORMAT_VERSION,
+        id: String(id),
+        bounds: raw.bounds,
+        count: raw[type].length,
+        [type]: type === 'routes' ? raw[type].map(dropFlatGeometry) : raw[type]
+    } as unknown as ChunkOf<T>;
+}
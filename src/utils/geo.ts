@@ -0,0 +1,67 @@
+/**
+ * Geographic helper functions shared by the API modules and scripts
+ */
+
+import { CyclingRoute } from '../types';
+
+/**
+ * Calculate distance between two geographic points in kilometers
+ */
+export function getDistance(lat1: number, lng1: number, lat2: number, lng2: number): number {
+    const R = 6371; // Earth's radius in km
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+              Math.sin(dLng/2) * Math.sin(dLng/2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    return R * c;
+}
+
+/**
+ * Calculate the length of a polyline in kilometers
+ */
+export function getPathLength(geometry: Array<{ lat: number; lng: number }>): number {
+    let length = 0;
+    for (let i = 1; i < geometry.length; i++) {
+        length += getDistance(geometry[i - 1].lat, geometry[i - 1].lng, geometry[i].lat, geometry[i].lng);
+    }
+    return length;
+}
+
+/**
+ * Identity of a route: older route chunks hold one record per relation member way, without an id
+ */
+export function getRouteKey(route: CyclingRoute): string {
+    return route.id ? String(route.id) : `${route.relationId}/${route.wayId}`;
+}
+
+/**
+ * Get the connected lines of a route: the stitched relation segments when
+ * available, otherwise the plain geometry as a single line
+ */
+export function getRouteSegments(route: CyclingRoute): Array<Array<{ lat: number; lng: number }>> {
+    if (route.segments && route.segments.length > 0) {
+        return route.segments;
+    }
+    return route.geometry && route.geometry.length > 0 ? [route.geometry] : [];
+}
+
+/**
+ * Check whether a point lies inside a polygon given as GeoJSON rings of [lng, lat]
+ * Uses the even-odd rule, so holes (inner rings) are excluded
+ */
+export function isPointInPolygon(lat: number, lng: number, rings: Array<Array<[number, number]>>): boolean {
+    let inside = false;
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [lngI, latI] = ring[i];
+            const [lngJ, latJ] = ring[j];
+            if ((latI > lat) !== (latJ > lat) &&
+                lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
@@ -0,0 +1,205 @@
+/**
+ * Minimal Mapbox Vector Tile (MVT 2.1) encoder
+ * Writes the protobuf layout of the vector tile spec directly, for point and
+ * line features with string, number and boolean properties
+ */
+
+export type TilePoint = [number, number]; // [x, y] in tile coordinates, 0 to extent
+
+export interface TileFeature {
+    id?: number;
+    type: 'point' | 'line';
+    geometry: TilePoint[][];  // One point list per point feature, one per part of a (multi)line
+    properties: { [key: string]: string | number | boolean | undefined | null };
+}
+
+export interface TileLayer {
+    name: string;
+    features: TileFeature[];
+    extent?: number;
+}
+
+export const DEFAULT_EXTENT = 4096;
+
+const GEOMETRY_TYPES = { point: 1, line: 2 };
+const COMMAND_MOVE_TO = 1;
+const COMMAND_LINE_TO = 2;
+
+/**
+ * Growable byte buffer with the protobuf wire encodings used by the spec
+ */
+class ProtobufWriter {
+    private bytes: number[] = [];
+
+    varint(value: number): void {
+        // Values above 2^31 (large feature ids) cannot use bitwise operators
+        while (value > 0x7f) {
+            this.bytes.push((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        this.bytes.push(value);
+    }
+
+    tag(field: number, wireType: number): void {
+        this.varint((field << 3) | wireType);
+    }
+
+    varintField(field: number, value: number): void {
+        this.tag(field, 0);
+        this.varint(value);
+    }
+
+    doubleField(field: number, value: number): void {
+        this.tag(field, 1);
+        const buffer = Buffer.alloc(8);
+        buffer.writeDoubleLE(value);
+        this.bytes.push(...buffer);
+    }
+
+    bytesField(field: number, bytes: number[] | Buffer): void {
+        this.tag(field, 2);
+        this.varint(bytes.length);
+        for (const byte of bytes) {
+            this.bytes.push(byte);
+        }
+    }
+
+    stringField(field: number, value: string): void {
+        this.bytesField(field, Buffer.from(value, 'utf8'));
+    }
+
+    packedField(field: number, values: number[]): void {
+        const packed = new ProtobufWriter();
+        for (const value of values) {
+            packed.varint(value);
+        }
+        this.bytesField(field, packed.bytes);
+    }
+
+    toBuffer(): Buffer {
+        return Buffer.from(this.bytes);
+    }
+
+    toArray(): number[] {
+        return this.bytes;
+    }
+}
+
+function zigzag(value: number): number {
+    return (value << 1) ^ (value >> 31);
+}
+
+function command(id: number, count: number): number {
+    return (id & 0x7) | (count << 3);
+}
+
+/**
+ * Encode the geometry commands of a feature, coordinates are deltas from the previous point
+ */
+function encodeGeometry(feature: TileFeature): number[] {
+    const commands: number[] = [];
+    let x = 0;
+    let y = 0;
+
+    const moveTo = (point: TilePoint) => {
+        commands.push(zigzag(point[0] - x), zigzag(point[1] - y));
+        x = point[0];
+        y = point[1];
+    };
+
+    if (feature.type === 'point') {
+        const points = feature.geometry.flat();
+        commands.push(command(COMMAND_MOVE_TO, points.length));
+        points.forEach(moveTo);
+        return commands;
+    }
+
+    for (const line of feature.geometry) {
+        if (line.length < 2) continue;
+        commands.push(command(COMMAND_MOVE_TO, 1));
+        moveTo(line[0]);
+        commands.push(command(COMMAND_LINE_TO, line.length - 1));
+        line.slice(1).forEach(moveTo);
+    }
+    return commands;
+}
+
+function encodeValue(value: string | number | boolean): number[] {
+    const writer = new ProtobufWriter();
+    if (typeof value === 'string') {
+        writer.stringField(1, value);
+    } else if (typeof value === 'boolean') {
+        writer.varintField(7, value ? 1 : 0);
+    } else if (Number.isInteger(value) && value >= 0) {
+        writer.varintField(5, value);
+    } else {
+        writer.doubleField(3, value);
+    }
+    return writer.toArray();
+}
+
+function encodeLayer(layer: TileLayer): number[] {
+    const writer = new ProtobufWriter();
+    const keys: string[] = [];
+    const keyIndex = new Map<string, number>();
+    const values: Array<string | number | boolean> = [];
+    const valueIndex = new Map<string, number>();
+
+    writer.varintField(15, 2); // Spec version
+    writer.stringField(1, layer.name);
+
+    for (const feature of layer.features) {
+        const geometry = encodeGeometry(feature);
+        if (geometry.length === 0) continue;
+
+        const tags: number[] = [];
+        for (const [key, value] of Object.entries(feature.properties)) {
+            if (value === undefined || value === null) continue;
+
+            if (!keyIndex.has(key)) {
+                keyIndex.set(key, keys.length);
+                keys.push(key);
+            }
+            // Keyed on type as well, so 1 and "1" stay separate values
+            const valueKey = `${typeof value}:${value}`;
+            if (!valueIndex.has(valueKey)) {
+                valueIndex.set(valueKey, values.length);
+                values.push(value);
+            }
+            tags.push(keyIndex.get(key)!, valueIndex.get(valueKey)!);
+        }
+
+        const featureWriter = new ProtobufWriter();
+        if (feature.id !== undefined) {
+            featureWriter.varintField(1, feature.id);
+        }
+        if (tags.length > 0) {
+            featureWriter.packedField(2, tags);
+        }
+        featureWriter.varintField(3, GEOMETRY_TYPES[feature.type]);
+        featureWriter.packedField(4, geometry);
+        writer.bytesField(2, featureWriter.toArray());
+    }
+
+    for (const key of keys) {
+        writer.stringField(3, key);
+    }
+    for (const value of values) {
+        writer.bytesField(4, encodeValue(value));
+    }
+    writer.varintField(5, layer.extent || DEFAULT_EXTENT);
+
+    return writer.toArray();
+}
+
+/**
+ * Encode layers into a vector tile, empty layers are left out
+ */
+export function encodeTile(layers: TileLayer[]): Buffer {
+    const writer = new ProtobufWriter();
+    for (const layer of layers) {
+        if (layer.features.length === 0) continue;
+        writer.bytesField(3, encodeLayer(layer));
+    }
+    return writer.toBuffer();
+}
@@ -0,0 +1,107 @@
+/**
+ * In-memory spatial grid index
+ * Buckets items by bounding box in fixed-size lat/lng cells, so a bounds query
+ * only visits the cells it overlaps instead of every node or geometry point
+ */
+
+export type BBox = [number, number, number, number]; // [south, west, north, east]
+
+// Default cell size in degrees, roughly 5 km at Dutch latitudes
+const DEFAULT_CELL_SIZE = 0.05;
+
+export class GridIndex<T> {
+    private cells = new Map<string, number[]>();
+    private items: T[] = [];
+    private boxes: BBox[] = [];
+    // Cell range holding items, queries are clamped to it so a world-sized view stays cheap
+    private extent = { minRow: Infinity, maxRow: -Infinity, minCol: Infinity, maxCol: -Infinity };
+
+    constructor(private cellSize: number = DEFAULT_CELL_SIZE) {}
+
+    get size(): number {
+        return this.items.length;
+    }
+
+    /**
+     * Add an item covering the given bounding box (a point has south = north and west = east)
+     */
+    insert(item: T, bbox: BBox): void {
+        const position = this.items.length;
+        this.items.push(item);
+        this.boxes.push(bbox);
+
+        const [south, west, north, east] = bbox;
+        this.extent.minRow = Math.min(this.extent.minRow, Math.floor(south / this.cellSize));
+        this.extent.maxRow = Math.max(this.extent.maxRow, Math.floor(north / this.cellSize));
+        this.extent.minCol = Math.min(this.extent.minCol, Math.floor(west / this.cellSize));
+        this.extent.maxCol = Math.max(this.extent.maxCol, Math.floor(east / this.cellSize));
+
+        this.forEachCell(bbox, key => {
+            const cell = this.cells.get(key);
+            if (cell) {
+                cell.push(position);
+            } else {
+                this.cells.set(key, [position]);
+            }
+        });
+    }
+
+    insertPoint(item: T, lat: number, lng: number): void {
+        this.insert(item, [lat, lng, lat, lng]);
+    }
+
+    /**
+     * Find all items whose bounding box intersects the given bounds
+     */
+    search(south: number, west: number, north: number, east: number): T[] {
+        const seen = new Set<number>();
+        const results: T[] = [];
+
+        this.forEachCell([south, west, north, east], key => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+
+            for (const position of cell) {
+                if (seen.has(position)) continue;
+                seen.add(position);
+
+                const [itemSouth, itemWest, itemNorth, itemEast] = this.boxes[position];
+                if (!(east < itemWest || west > itemEast || north < itemSouth || south > itemNorth)) {
+                    results.push(this.items[position]);
+                }
+            }
+        });
+
+        return results;
+    }
+
+    private forEachCell(bbox: BBox, callback: (key: string) => void): void {
+        const [south, west, north, east] = bbox;
+        const minRow = Math.max(Math.floor(south / this.cellSize), this.extent.minRow);
+        const maxRow = Math.min(Math.floor(north / this.cellSize), this.extent.maxRow);
+        const minCol = Math.max(Math.floor(west / this.cellSize), this.extent.minCol);
+        const maxCol = Math.min(Math.floor(east / this.cellSize), this.extent.maxCol);
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                callback(`${row}_${col}`);
+            }
+        }
+    }
+}
+
+/**
+ * Bounding box of a list of points, null for an empty list
+ */
+export function getBBox(points: Array<{ lat: number; lng: number }>): BBox | null {
+    if (points.length === 0) return null;
+
+    const bbox: BBox = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const point of points) {
+        bbox[0] = Math.min(bbox[0], point.lat);
+        bbox[1] = Math.min(bbox[1], point.lng);
+        bbox[2] = Math.max(bbox[2], point.lat);
+        bbox[3] = Math.max(bbox[3], point.lng);
+    }
+    return bbox;
+}